@@ -0,0 +1,167 @@
+// Secondary amines that can be nitrosated in the final step, and the nitrosamine each one forms
+// amine / product: SMILES (built in 3D by static/smiles.js)
+// iarc: IARC carcinogen classification of the nitrosamine
+// acceptableIntake: EMA/FDA acceptable daily intake limit for drug impurities
+// source: where the amine comes from in the diet
+// pKa: of the protonated amine (R₂NH₂⁺); only the free amine is nitrosated
+// nitrosationRate: k of rate = k[amine][nitrite]² at pH 3.4 and 25°C in M⁻² s⁻¹, total concentrations
+//   (approximate values after Mirvish, Toxicol. Appl. Pharmacol. 1975)
+// activation: metabolic activation of the nitrosamine (missing when it is not activated)
+//   enzyme: cytochrome P450 that α-hydroxylates it
+//   hydroxy: the α-hydroxynitrosamine, SMILES written O, α-carbon, amine N first (atoms 0, 1, 2)
+//   diazonium: the alkyldiazonium ion, SMILES written N≡N⁺-C first (atoms 0, 1, 2); open-chain
+//     nitrosamines also release an aldehyde, which the ring-opened cyclic ones keep on the chain
+//   adduct: the O⁶-alkylguanine; alkyl is the SMILES of the alkyl group, bonded to O⁶ through atom 0
+const AMINES = {
+  dimethylamine: {
+    name: "Dimethylamine",
+    amine: "CNC",
+    condensed: "(CH₃)₂NH",
+    source: "Fish and seafood, formed from trimethylamine oxide",
+    pKa: 10.73,
+    nitrosationRate: 0.0017,
+    product: {
+      name: "N-Nitrosodimethylamine",
+      abbreviation: "NDMA",
+      smiles: "CN(C)N=O",
+      condensed: "(CH₃)₂N-N=O",
+      iarc: "Group 2A (probably carcinogenic to humans)",
+      acceptableIntake: "96 ng/day",
+      activation: {
+        enzyme: "CYP2E1",
+        hydroxy: { smiles: "OCN(C)N=O", condensed: "HOCH₂-N(CH₃)-N=O" },
+        diazonium: { name: "Methyldiazonium ion", smiles: "N#[N+]C.C=O", condensed: "CH₃-N₂⁺", aldehyde: "HCHO" },
+        adduct: { name: "O⁶-Methylguanine", condensed: "O⁶-CH₃-dG", alkyl: "C" },
+      },
+    },
+  },
+  diethylamine: {
+    name: "Diethylamine",
+    amine: "CCNCC",
+    condensed: "(C₂H₅)₂NH",
+    source: "Trace component of cheese, fish and fermented beverages",
+    pKa: 10.98,
+    nitrosationRate: 0.0004,
+    product: {
+      name: "N-Nitrosodiethylamine",
+      abbreviation: "NDEA",
+      smiles: "CCN(CC)N=O",
+      condensed: "(C₂H₅)₂N-N=O",
+      iarc: "Group 2A (probably carcinogenic to humans)",
+      acceptableIntake: "26.5 ng/day",
+      activation: {
+        enzyme: "CYP2E1 and CYP2A6",
+        hydroxy: { smiles: "OC(N(CC)N=O)C", condensed: "CH₃CH(OH)-N(C₂H₅)-N=O" },
+        diazonium: { name: "Ethyldiazonium ion", smiles: "N#[N+]CC.CC=O", condensed: "C₂H₅-N₂⁺", aldehyde: "CH₃CHO" },
+        adduct: { name: "O⁶-Ethylguanine", condensed: "O⁶-C₂H₅-dG", alkyl: "CC" },
+      },
+    },
+  },
+  pyrrolidine: {
+    name: "Pyrrolidine",
+    amine: "C1CCNC1",
+    condensed: "C₄H₈NH",
+    source: "Decarboxylation of proline in fried bacon and cured meats",
+    pKa: 11.27,
+    nitrosationRate: 0.0053,
+    product: {
+      name: "N-Nitrosopyrrolidine",
+      abbreviation: "NPYR",
+      smiles: "O=NN1CCCC1",
+      condensed: "C₄H₈N-N=O",
+      iarc: "Group 2B (possibly carcinogenic to humans)",
+      acceptableIntake: "1700 ng/day",
+      activation: {
+        enzyme: "CYP2A6",
+        hydroxy: { smiles: "OC1N(N=O)CCC1", condensed: "C₄H₇(OH)N-N=O" },
+        diazonium: { name: "4-Oxobutyldiazonium ion", smiles: "N#[N+]CCCC=O", condensed: "OHC(CH₂)₃-N₂⁺" },
+        adduct: { name: "O⁶-(4-Oxobutyl)guanine", condensed: "O⁶-(CH₂)₃CHO-dG", alkyl: "CCCC=O" },
+      },
+    },
+  },
+  piperidine: {
+    name: "Piperidine",
+    amine: "C1CCNCC1",
+    condensed: "C₅H₁₀NH",
+    source: "Black pepper (piperine) and cured meats",
+    pKa: 11.12,
+    nitrosationRate: 0.00045,
+    product: {
+      name: "N-Nitrosopiperidine",
+      abbreviation: "NPIP",
+      smiles: "O=NN1CCCCC1",
+      condensed: "C₅H₁₀N-N=O",
+      iarc: "Group 2B (possibly carcinogenic to humans)",
+      acceptableIntake: "1300 ng/day",
+      activation: {
+        enzyme: "CYP2A6",
+        hydroxy: { smiles: "OC1N(N=O)CCCC1", condensed: "C₅H₉(OH)N-N=O" },
+        diazonium: { name: "5-Oxopentyldiazonium ion", smiles: "N#[N+]CCCCC=O", condensed: "OHC(CH₂)₄-N₂⁺" },
+        adduct: { name: "O⁶-(5-Oxopentyl)guanine", condensed: "O⁶-(CH₂)₄CHO-dG", alkyl: "CCCCC=O" },
+      },
+    },
+  },
+  morpholine: {
+    name: "Morpholine",
+    amine: "C1COCCN1",
+    condensed: "O(C₂H₄)₂NH",
+    source: "Wax coatings on fruit, rubber and packaging materials",
+    pKa: 8.36,
+    nitrosationRate: 0.42,
+    product: {
+      name: "N-Nitrosomorpholine",
+      abbreviation: "NMOR",
+      smiles: "O=NN1CCOCC1",
+      condensed: "O(C₂H₄)₂N-N=O",
+      iarc: "Group 2B (possibly carcinogenic to humans)",
+      acceptableIntake: "127 ng/day",
+      activation: {
+        enzyme: "CYP2A6 and CYP2E1",
+        hydroxy: { smiles: "OC1N(N=O)CCOC1", condensed: "O(C₂H₄)(C₂H₃OH)N-N=O" },
+        diazonium: { name: "2-(2-Oxoethoxy)ethyldiazonium ion", smiles: "N#[N+]CCOCC=O", condensed: "OHCCH₂O(CH₂)₂-N₂⁺" },
+        adduct: { name: "O⁶-[2-(2-Oxoethoxy)ethyl]guanine", condensed: "O⁶-(CH₂)₂OCH₂CHO-dG", alkyl: "CCOCC=O" },
+      },
+    },
+  },
+  proline: {
+    name: "Proline",
+    amine: "OC(=O)[C@@H]1CCCN1",
+    condensed: "C₄H₇NH-COOH",
+    source: "Dietary protein (collagen, gluten, casein)",
+    pKa: 10.6,
+    nitrosationRate: 0.037,
+    product: {
+      name: "N-Nitrosoproline",
+      abbreviation: "NPRO",
+      smiles: "OC(=O)[C@@H]1CCCN1N=O",
+      condensed: "C₄H₇(COOH)N-N=O",
+      iarc: "Group 3 (not classifiable; not carcinogenic in animal studies)",
+      acceptableIntake: "No limit set (excreted unchanged in urine)",
+      // NPRO is not α-hydroxylated (it is excreted unchanged), so there is no activation
+    },
+  },
+};
+
+const DEFAULT_AMINE = "dimethylamine";
+
+// Equation for a step of an amine from the table, e.g. "(CH₃)₂NH + NO⁺ → (CH₃)₂N-N=O + H⁺"
+// {amine}, {nitrosamine}, {hydroxy}, {diazonium} and {adduct} in the template are replaced by the
+// condensed formulas; {aldehyde} becomes " + HCHO" etc. for open-chain nitrosamines and "" otherwise
+function getAmineEquation(amineKey, template = "{amine} + NO⁺ → {nitrosamine} + H⁺") {
+  // Nitrosamines that are not activated show the default amine's activation steps
+  const usesActivation = /\{(hydroxy|diazonium|aldehyde|adduct)\}/.test(template);
+  const amine = AMINES[usesActivation && !AMINES[amineKey].product.activation ? DEFAULT_AMINE : amineKey];
+  const activation = amine.product.activation;
+  
+  let equation = template
+    .replace("{amine}", amine.condensed)
+    .replace("{nitrosamine}", amine.product.condensed);
+  if (activation) {
+    equation = equation
+      .replace("{hydroxy}", activation.hydroxy.condensed)
+      .replace("{diazonium}", activation.diazonium.condensed)
+      .replace("{aldehyde}", activation.diazonium.aldehyde ? ` + ${activation.diazonium.aldehyde}` : "")
+      .replace("{adduct}", activation.adduct.condensed);
+  }
+  return equation;
+}
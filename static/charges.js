@@ -0,0 +1,69 @@
+// Partial charges by partial equalisation of orbital electronegativity (Gasteiger & Marsili, 1980)
+// over the atoms and bonds of a molecule record (see static/molfile.js)
+// Each atom's electronegativity depends on its charge, χ = a + bq + cq². Along every bond, charge
+// flows towards the more electronegative atom, in proportion to the difference over the donor's
+// cation electronegativity (χ at q = +1). The flow is damped by half each iteration, so charges
+// stop before the electronegativities are equal.
+
+// [a, b, c] by element and hybridisation
+const GASTEIGER_PARAMETERS = {
+  H: { sp3: [7.17, 6.24, -0.56] },
+  C: { sp3: [7.98, 9.18, 1.88], sp2: [8.79, 9.32, 1.51], sp: [10.39, 9.45, 0.73] },
+  N: { sp3: [11.54, 10.82, 1.36], sp2: [12.87, 11.15, 0.85], sp: [15.68, 11.7, -0.27] },
+  O: { sp3: [14.18, 12.92, 1.39], sp2: [17.07, 13.79, 0.47] },
+  F: { sp3: [14.66, 13.85, 2.31] },
+  P: { sp3: [8.9, 8.32, 1.58] },
+  S: { sp3: [10.14, 9.13, 1.38] },
+  Cl: { sp3: [11.0, 9.69, 1.35] },
+  Br: { sp3: [10.08, 8.47, 1.16] },
+  I: { sp3: [9.9, 7.96, 0.96] },
+};
+const HYDROGEN_CATION_ELECTRONEGATIVITY = 20.02; // used for H instead of a + b + c
+const GASTEIGER_ITERATIONS = 6;
+
+// sp with a triple bond or two double bonds, sp2 with a double or delocalised bond, sp3 otherwise.
+// Falls back to the nearest hybridisation the element has parameters for.
+function getGasteigerParameters(record, index) {
+  const parameters = GASTEIGER_PARAMETERS[record.atoms[index].element];
+  if (!parameters) return null;
+
+  const orders = record.bonds
+    .filter(bond => bond.begin === index || bond.end === index)
+    .map(bond => bond.order);
+  const multiple = orders.filter(order => order > 1);
+  const hybridisation = orders.some(order => order >= 3) || multiple.filter(order => order >= 2).length >= 2
+    ? "sp"
+    : multiple.length > 0 ? "sp2" : "sp3";
+  return parameters[hybridisation] || parameters.sp2 || parameters.sp3;
+}
+
+// Partial charge of every atom (e), starting from the formal charges. Atoms without parameters
+// (metal ions) keep their formal charge and take no part in the equalisation.
+function calculatePartialCharges(record, iterations = GASTEIGER_ITERATIONS) {
+  const charges = record.atoms.map(atom => atom.charge || 0);
+  const parameters = record.atoms.map((_, index) => getGasteigerParameters(record, index));
+  const cationElectronegativity = parameters.map((values, index) => {
+    if (!values) return null;
+    return record.atoms[index].element === "H" ? HYDROGEN_CATION_ELECTRONEGATIVITY : values[0] + values[1] + values[2];
+  });
+  const bonds = record.bonds.filter(bond => bond.order > 0 && parameters[bond.begin] && parameters[bond.end]);
+
+  let damping = 1;
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    damping *= 0.5;
+    const electronegativity = charges.map((charge, index) => {
+      const values = parameters[index];
+      return values ? values[0] + values[1] * charge + values[2] * charge * charge : null;
+    });
+
+    const transfers = charges.map(() => 0);
+    bonds.forEach(({ begin, end }) => {
+      const [donor, acceptor] = electronegativity[begin] > electronegativity[end] ? [end, begin] : [begin, end];
+      const transfer = damping * (electronegativity[acceptor] - electronegativity[donor]) / cationElectronegativity[donor];
+      transfers[donor] += transfer;
+      transfers[acceptor] -= transfer;
+    });
+    transfers.forEach((transfer, index) => { charges[index] += transfer; });
+  }
+  return charges;
+}
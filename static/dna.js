@@ -0,0 +1,266 @@
+// B-DNA double helix built from nucleotide templates placed by the helical symmetry of the fibre model
+// Coordinates are in Å in the base reference frame of Olson et al. (J. Mol. Biol. 313, 229; 2001):
+// x points into the major groove, y towards the C1' atom of strand I and z along the helix axis in the
+// 5'→3' direction of strand I. The bases are the standard bases of that paper with hydrogens added;
+// the sugar-phosphate backbone was fitted to standard bond lengths and angles (Parkinson et al. 1996)
+// and the B-DNA torsions under the twist and rise below, so consecutive nucleotides link up exactly.
+// atoms: [name, element, x, y, z, charge]; bonds: [name, name, order] (Kekulé bases, phosphate anion)
+
+const B_DNA_TWIST = 36; // degrees per base pair
+const B_DNA_RISE = 3.38; // Å per base pair
+const DNA_COMPLEMENT = { A: "T", T: "A", G: "C", C: "G" };
+
+const DNA_BACKBONE = {
+  atoms: [
+    ["P", "P", -0.147, 9.345, -1.328],
+    ["OP1", "O", 0.831, 8.985, -0.269, -1],
+    ["OP2", "O", -0.219, 10.747, -1.812],
+    ["O5'", "O", -1.599, 8.913, -0.829],
+    ["C5'", "C", -2.558, 8.374, -1.735],
+    ["C4'", "C", -3.333, 7.249, -1.085],
+    ["O4'", "O", -2.622, 5.998, -1.264],
+    ["C3'", "C", -3.551, 7.396, 0.425],
+    ["O3'", "O", -4.821, 6.867, 0.792],
+    ["C2'", "C", -2.458, 6.508, 1.000],
+    ["C1'", "C", -2.479, 5.370, 0.000],
+    ["H5'", "H", -3.252, 9.161, -2.033],
+    ["H5''", "H", -2.043, 7.991, -2.616],
+    ["H4'", "H", -4.307, 7.276, -1.573],
+    ["H3'", "H", -3.520, 8.430, 0.768],
+    ["H2'", "H", -1.493, 7.015, 1.014],
+    ["H2''", "H", -2.704, 6.166, 2.005],
+    ["H1'", "H", -3.286, 4.683, 0.253],
+  ],
+  bonds: [
+    ["P", "OP1", 1], ["P", "OP2", 2], ["P", "O5'", 1], ["O5'", "C5'", 1], ["C5'", "C4'", 1],
+    ["C4'", "O4'", 1], ["C4'", "C3'", 1], ["C3'", "O3'", 1], ["C3'", "C2'", 1], ["C2'", "C1'", 1],
+    ["C1'", "O4'", 1], ["C5'", "H5'", 1], ["C5'", "H5''", 1], ["C4'", "H4'", 1], ["C3'", "H3'", 1],
+    ["C2'", "H2'", 1], ["C2'", "H2''", 1], ["C1'", "H1'", 1],
+  ],
+};
+
+// The 5' nucleotide of each strand has no phosphate
+const DNA_PHOSPHATE_ATOMS = ["P", "OP1", "OP2"];
+
+// glycosidic: the base atom bonded to C1'
+const DNA_BASES = {
+  A: {
+    name: "Adenine",
+    glycosidic: "N9",
+    atoms: [
+      ["N9", "N", -1.291, 4.498, 0.000],
+      ["C8", "C", 0.024, 4.897, 0.000],
+      ["N7", "N", 0.877, 3.902, 0.000],
+      ["C5", "C", 0.071, 2.771, 0.000],
+      ["C6", "C", 0.369, 1.398, 0.000],
+      ["N6", "N", 1.611, 0.909, 0.000],
+      ["N1", "N", -0.668, 0.532, 0.000],
+      ["C2", "C", -1.912, 1.023, 0.000],
+      ["N3", "N", -2.320, 2.290, 0.000],
+      ["C4", "C", -1.267, 3.124, 0.000],
+      ["H8", "H", 0.326, 5.934, 0.000],
+      ["H2", "H", -2.700, 0.284, 0.000],
+      ["H61", "H", 1.760, -0.090, 0.000],
+      ["H62", "H", 2.401, 1.538, 0.000],
+    ],
+    bonds: [
+      ["N9", "C8", 1], ["C8", "N7", 2], ["N7", "C5", 1], ["C5", "C4", 2], ["C4", "N9", 1], ["C5", "C6", 1],
+      ["C6", "N6", 1], ["C6", "N1", 2], ["N1", "C2", 1], ["C2", "N3", 2], ["N3", "C4", 1], ["C8", "H8", 1],
+      ["C2", "H2", 1], ["N6", "H61", 1], ["N6", "H62", 1],
+    ],
+  },
+  G: {
+    name: "Guanine",
+    glycosidic: "N9",
+    atoms: [
+      ["N9", "N", -1.289, 4.551, 0.000],
+      ["C8", "C", 0.023, 4.962, 0.000],
+      ["N7", "N", 0.870, 3.969, 0.000],
+      ["C5", "C", 0.071, 2.833, 0.000],
+      ["C6", "C", 0.424, 1.460, 0.000],
+      ["O6", "O", 1.554, 0.955, 0.000],
+      ["N1", "N", -0.700, 0.641, 0.000],
+      ["C2", "C", -1.999, 1.087, 0.000],
+      ["N2", "N", -2.949, 0.139, 0.000],
+      ["N3", "N", -2.342, 2.364, 0.000],
+      ["C4", "C", -1.265, 3.177, 0.000],
+      ["H8", "H", 0.322, 6.000, 0.000],
+      ["H1", "H", -0.550, -0.358, 0.000],
+      ["H21", "H", -3.924, 0.401, 0.000],
+      ["H22", "H", -2.689, -0.837, 0.000],
+    ],
+    bonds: [
+      ["N9", "C8", 1], ["C8", "N7", 2], ["N7", "C5", 1], ["C5", "C4", 2], ["C4", "N9", 1], ["C5", "C6", 1],
+      ["C6", "O6", 2], ["C6", "N1", 1], ["N1", "C2", 1], ["C2", "N2", 1], ["C2", "N3", 2], ["N3", "C4", 1],
+      ["C8", "H8", 1], ["N1", "H1", 1], ["N2", "H21", 1], ["N2", "H22", 1],
+    ],
+  },
+  C: {
+    name: "Cytosine",
+    glycosidic: "N1",
+    atoms: [
+      ["N1", "N", -1.285, 4.542, 0.000],
+      ["C2", "C", -1.472, 3.158, 0.000],
+      ["O2", "O", -2.628, 2.709, 0.000],
+      ["N3", "N", -0.391, 2.344, 0.000],
+      ["C4", "C", 0.837, 2.868, 0.000],
+      ["N4", "N", 1.875, 2.027, 0.000],
+      ["C5", "C", 1.056, 4.275, 0.000],
+      ["C6", "C", -0.023, 5.068, 0.000],
+      ["H5", "H", 2.054, 4.687, 0.000],
+      ["H6", "H", 0.106, 6.140, 0.000],
+      ["H41", "H", 1.717, 1.029, 0.000],
+      ["H42", "H", 2.818, 2.389, 0.000],
+    ],
+    bonds: [
+      ["N1", "C2", 1], ["C2", "O2", 2], ["C2", "N3", 1], ["N3", "C4", 2], ["C4", "N4", 1], ["C4", "C5", 1],
+      ["C5", "C6", 2], ["C6", "N1", 1], ["C5", "H5", 1], ["C6", "H6", 1], ["N4", "H41", 1], ["N4", "H42", 1],
+    ],
+  },
+  T: {
+    name: "Thymine",
+    glycosidic: "N1",
+    atoms: [
+      ["N1", "N", -1.284, 4.500, 0.000],
+      ["C2", "C", -1.462, 3.135, 0.000],
+      ["O2", "O", -2.562, 2.608, 0.000],
+      ["N3", "N", -0.298, 2.407, 0.000],
+      ["C4", "C", 0.994, 2.897, 0.000],
+      ["O4", "O", 1.944, 2.119, 0.000],
+      ["C5", "C", 1.106, 4.338, 0.000],
+      ["C7", "C", 2.466, 4.961, 0.000],
+      ["C6", "C", -0.024, 5.057, 0.000],
+      ["H3", "H", -0.397, 1.402, 0.000],
+      ["H6", "H", 0.057, 6.134, 0.000],
+      ["H71", "H", 3.225, 4.178, 0.000],
+      ["H72", "H", 2.583, 5.580, -0.890],
+      ["H73", "H", 2.583, 5.580, 0.890],
+    ],
+    bonds: [
+      ["N1", "C2", 1], ["C2", "O2", 2], ["C2", "N3", 1], ["N3", "C4", 1], ["C4", "O4", 2], ["C4", "C5", 1],
+      ["C5", "C6", 2], ["C6", "N1", 1], ["C5", "C7", 1], ["N3", "H3", 1], ["C6", "H6", 1], ["C7", "H71", 1],
+      ["C7", "H72", 1], ["C7", "H73", 1],
+    ],
+  },
+};
+
+// Watson-Crick hydrogen bonds of a pair, [atom of the purine, atom of the pyrimidine]
+const DNA_PAIR_HYDROGEN_BONDS = {
+  GC: [["O6", "H41"], ["H1", "N3"], ["H22", "O2"]],
+  AT: [["H61", "O4"], ["N1", "H3"]],
+};
+
+// Position of a template point for base pair "pair" (0 = first pair): strand II templates are turned
+// by the pseudo-dyad (180° about x), then the pair is twisted and raised along the axis
+function getHelixPosition(point, pair, strand = 1) {
+  const [x, y, z] = strand === 1 ? point : [point[0], -point[1], -point[2]];
+  const angle = pair * B_DNA_TWIST * Math.PI / 180;
+  return [
+    x * Math.cos(angle) - y * Math.sin(angle),
+    x * Math.sin(angle) + y * Math.cos(angle),
+    z + pair * B_DNA_RISE,
+  ];
+}
+
+// Point "length" Å from a towards b
+function getPointTowards(a, b, length) {
+  const direction = vecNormalize(vecSub(b, a));
+  return vecAdd(a, vecScale(direction, length));
+}
+
+// Add one nucleotide to a duplex record. ends: { five, three } for the terminal nucleotides, which
+// carry 5'-OH / 3'-OH instead of the phosphate links
+function addDnaResidue(record, base, pair, strand, ends) {
+  const residue = { number: record.residues.length + 1, strand, pair, base, atoms: {} };
+  const template = DNA_BASES[base];
+  const local = {};
+  
+  const addAtom = (name, element, point, charge = 0) => {
+    const [x, y, z] = getHelixPosition(point, pair, strand);
+    residue.atoms[name] = record.atoms.length;
+    record.atoms.push({ element, x, y, z, charge, name, residue: residue.number });
+  };
+  const addBond = (first, second, order) => {
+    if (residue.atoms[first] === undefined || residue.atoms[second] === undefined) return;
+    record.bonds.push({ begin: residue.atoms[first], end: residue.atoms[second], order });
+  };
+  
+  [...DNA_BACKBONE.atoms, ...template.atoms].forEach(([name, element, x, y, z, charge]) => {
+    local[name] = [x, y, z];
+    if (ends.five && DNA_PHOSPHATE_ATOMS.includes(name)) return;
+    addAtom(name, element, [x, y, z], charge);
+  });
+  
+  // Terminal hydroxyl hydrogens point where the missing phosphorus would be; the next nucleotide's
+  // phosphorus is the template's moved on by one pair
+  if (ends.five) {
+    addAtom("HO5'", "H", getPointTowards(local["O5'"], local.P, 0.96));
+  }
+  if (ends.three) {
+    addAtom("HO3'", "H", getPointTowards(local["O3'"], getHelixPosition(local.P, 1), 0.96));
+  }
+  
+  [...DNA_BACKBONE.bonds, ...template.bonds].forEach(([first, second, order]) => addBond(first, second, order));
+  addBond(template.glycosidic, "C1'", 1);
+  addBond("O5'", "HO5'", 1);
+  addBond("O3'", "HO3'", 1);
+  
+  record.residues.push(residue);
+  return residue;
+}
+
+// Build a B-DNA duplex record (see parseMolfile in static/molfile.js) for a sequence read 5'→3' along
+// strand I. Atoms also have a name and residue number; residues: [{ number, strand, pair, base, atoms }]
+// with atoms mapping atom names to indices. Residues are numbered 5'→3' along strand I, then strand II.
+function buildDnaDuplex(sequence, name) {
+  const bases = sequence.toUpperCase().split("");
+  if (bases.length === 0) {
+    throw new Error("DNA sequence is empty");
+  }
+  bases.forEach(base => {
+    if (!DNA_BASES[base]) {
+      throw new Error(`Unknown base ${base} in DNA sequence ${sequence}`);
+    }
+  });
+  
+  const record = {
+    name: name || `5'-${bases.join("")}-3'`,
+    atoms: [],
+    bonds: [],
+    residues: [],
+    properties: { SEQUENCE: bases.join("") },
+  };
+  
+  // Strand II pairs with strand I and runs the other way
+  const strands = [
+    bases.map((base, pair) => ({ base, pair })),
+    bases.map((base, pair) => ({ base: DNA_COMPLEMENT[base], pair })).reverse(),
+  ];
+  const paired = bases.map(() => []);
+  
+  strands.forEach((nucleotides, strandIndex) => {
+    let previous = null;
+    nucleotides.forEach((nucleotide, position) => {
+      const residue = addDnaResidue(record, nucleotide.base, nucleotide.pair, strandIndex + 1, {
+        five: position === 0,
+        three: position === nucleotides.length - 1,
+      });
+      // 3'-5' phosphodiester link
+      if (previous) {
+        record.bonds.push({ begin: previous.atoms["O3'"], end: residue.atoms.P, order: 1 });
+      }
+      paired[nucleotide.pair].push(residue);
+      previous = residue;
+    });
+  });
+  
+  // Watson-Crick hydrogen bonds as zero-order bonds
+  paired.forEach(pair => {
+    const [purine, pyrimidine] = "AG".includes(pair[0].base) ? pair : [pair[1], pair[0]];
+    DNA_PAIR_HYDROGEN_BONDS[purine.base + pyrimidine.base].forEach(([first, second]) => {
+      record.bonds.push({ begin: purine.atoms[first], end: pyrimidine.atoms[second], order: 0 });
+    });
+  });
+  
+  return record;
+}
@@ -0,0 +1,111 @@
+// Element data shared by the structure builders and chemistry helpers
+// mass: standard atomic weight (g/mol)
+// valenceElectrons: electrons in the valence shell (used for lone pairs and formal charges)
+// covalentRadii: [single, double, triple] bond radii in Å (Pyykkö & Atsumi)
+// vdwRadius: van der Waals radius in Å (Bondi)
+// valences: normal valences of the SMILES organic subset, lowest first
+const ELEMENT_DATA = {
+  H: { mass: 1.008, valenceElectrons: 1, covalentRadii: [0.32], vdwRadius: 1.2, valences: [1] },
+  Li: { mass: 6.94, valenceElectrons: 1, covalentRadii: [1.33, 1.24], vdwRadius: 1.82 },
+  B: { mass: 10.81, valenceElectrons: 3, covalentRadii: [0.85, 0.78, 0.73], vdwRadius: 1.92, valences: [3] },
+  C: { mass: 12.011, valenceElectrons: 4, covalentRadii: [0.75, 0.67, 0.6], vdwRadius: 1.7, valences: [4] },
+  N: { mass: 14.007, valenceElectrons: 5, covalentRadii: [0.71, 0.6, 0.54], vdwRadius: 1.55, valences: [3, 5] },
+  O: { mass: 15.999, valenceElectrons: 6, covalentRadii: [0.63, 0.57, 0.53], vdwRadius: 1.52, valences: [2] },
+  F: { mass: 18.998, valenceElectrons: 7, covalentRadii: [0.64, 0.59, 0.53], vdwRadius: 1.47, valences: [1] },
+  Na: { mass: 22.99, valenceElectrons: 1, covalentRadii: [1.55, 1.6], vdwRadius: 2.27 },
+  Mg: { mass: 24.305, valenceElectrons: 2, covalentRadii: [1.39, 1.32, 1.27], vdwRadius: 1.73 },
+  P: { mass: 30.974, valenceElectrons: 5, covalentRadii: [1.11, 1.02, 0.94], vdwRadius: 1.8, valences: [3, 5] },
+  S: { mass: 32.06, valenceElectrons: 6, covalentRadii: [1.03, 0.94, 0.95], vdwRadius: 1.8, valences: [2, 4, 6] },
+  Cl: { mass: 35.45, valenceElectrons: 7, covalentRadii: [0.99, 0.95, 0.93], vdwRadius: 1.75, valences: [1] },
+  K: { mass: 39.098, valenceElectrons: 1, covalentRadii: [1.96, 1.93], vdwRadius: 2.75 },
+  Ca: { mass: 40.078, valenceElectrons: 2, covalentRadii: [1.71, 1.47, 1.33], vdwRadius: 2.31 },
+  Fe: { mass: 55.845, valenceElectrons: 8, covalentRadii: [1.16, 1.09, 1.02], vdwRadius: 2.0 },
+  Br: { mass: 79.904, valenceElectrons: 7, covalentRadii: [1.14, 1.09, 1.1], vdwRadius: 1.85, valences: [1] },
+  I: { mass: 126.904, valenceElectrons: 7, covalentRadii: [1.33, 1.29, 1.25], vdwRadius: 1.98, valences: [1] },
+};
+
+// Lone pairs that complete the octet (duplet for H) of an atom with the given sum of bond orders.
+// Metals and boron keep none; carbocations and radicals need their lone pairs given explicitly.
+function getOctetLonePairs(element, bondOrderSum) {
+  const data = ELEMENT_DATA[element];
+  if (!data || !data.valences || element === "H" || data.valenceElectrons <= 3) return 0;
+  return Math.max(0, Math.floor((8 - 2 * bondOrderSum) / 2));
+}
+
+// Formal charge = valence electrons - non-bonding electrons - bonding electron pairs
+// Transition metals (no normal valences listed) are left at 0
+function getFormalCharge(element, bondOrderSum, lonePairs) {
+  const data = ELEMENT_DATA[element];
+  if (!data || (!data.valences && data.valenceElectrons > 3)) return 0;
+  return data.valenceElectrons - 2 * lonePairs - bondOrderSum;
+}
+
+// Lone pairs that give an atom a known formal charge (inverse of getFormalCharge)
+function getLonePairsForCharge(element, bondOrderSum, charge) {
+  const data = ELEMENT_DATA[element];
+  if (!data) return 0;
+  return Math.max(0, (data.valenceElectrons - charge - bondOrderSum) / 2);
+}
+
+// Resonance hybrids average whole charges over their contributors (thirds for N₂O₃), so charges
+// and sums of charges are rounded to CHARGE_PRECISION before they are shown or compared
+const CHARGE_PRECISION = 1e-6;
+
+function roundCharge(charge) {
+  const scale = 1 / CHARGE_PRECISION;
+  return Math.round(charge * scale) / scale;
+}
+
+const SUBSCRIPT_DIGITS = "₀₁₂₃₄₅₆₇₈₉";
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+// Convert the digits of a number to Unicode subscripts ("2" -> "₂")
+function toSubscript(value) {
+  return String(value).replace(/\d/g, digit => SUBSCRIPT_DIGITS[digit]);
+}
+
+// Format a charge as Unicode superscript ("+", "2-" -> "⁺", "²⁻")
+function toChargeSuperscript(charge) {
+  if (!charge) return "";
+  const magnitude = Math.abs(charge);
+  const digits = magnitude === 1 ? "" : String(magnitude).replace(/\d/g, digit => SUPERSCRIPT_DIGITS[digit]);
+  return digits + (charge > 0 ? "⁺" : "⁻");
+}
+
+// Molecular formula in Hill order (C, H, then alphabetical) with the net charge, e.g. "C₂H₆N₂O"
+// atoms: [{ element, charge }]
+function getMolecularFormula(atoms) {
+  const counts = {};
+  let netCharge = 0;
+  atoms.forEach(atom => {
+    counts[atom.element] = (counts[atom.element] || 0) + 1;
+    netCharge += atom.charge || 0;
+  });
+
+  const elements = Object.keys(counts).sort();
+  if (counts.C) {
+    elements.splice(elements.indexOf("C"), 1);
+    elements.unshift("C");
+    if (counts.H) {
+      elements.splice(elements.indexOf("H"), 1);
+      elements.splice(1, 0, "H");
+    }
+  }
+
+  const formula = elements
+    .map(element => element + (counts[element] > 1 ? toSubscript(counts[element]) : ""))
+    .join("");
+  return formula + toChargeSuperscript(roundCharge(netCharge));
+}
+
+// Molecular weight in g/mol (unknown elements count as 0 and are reported)
+function getMolecularWeight(atoms) {
+  return atoms.reduce((total, atom) => {
+    const data = ELEMENT_DATA[atom.element];
+    if (!data) {
+      console.warn(`No atomic weight for element ${atom.element}`);
+      return total;
+    }
+    return total + data.mass;
+  }, 0);
+}
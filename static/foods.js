@@ -0,0 +1,16 @@
+// Cured meats offered by the dietary nitrite calculator (Intake tab)
+// serving: typical portion in g
+// ppm: nitrite level in mg NaNO₂ per kg of product; the defaults are the permitted ingoing levels
+//   (US 9 CFR 424.22, EU Regulation 1129/2011), so they are an upper estimate: residual levels
+//   after curing, cooking and storage are usually 10-50 ppm
+const CURED_MEATS = {
+  bacon: { name: "Bacon", serving: 30, ppm: 120 },
+  ham: { name: "Ham", serving: 60, ppm: 150 },
+  hotDog: { name: "Hot dog", serving: 50, ppm: 156 },
+  salami: { name: "Salami", serving: 30, ppm: 150 },
+  turkeyDeli: { name: "Deli turkey", serving: 56, ppm: 156 },
+  cornedBeef: { name: "Corned beef", serving: 85, ppm: 200 },
+};
+
+// Servings eaten in the default example (g)
+const DEFAULT_INTAKE_SERVINGS = { bacon: 30, hotDog: 50 };
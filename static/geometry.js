@@ -0,0 +1,275 @@
+// Geometry validation: compares bond lengths and angles of a molecule record (see static/molfile.js)
+// with experimental reference values. Atoms are classified with the graph helpers of static/smiles.js
+// (delocalised bonds, hybridisation, rings), but the reference values are measured structures and do
+// not depend on the BOND_LENGTHS the SMILES embedding builds with. tools/check-geometry.js runs the
+// validation on the structure files and on a set of SMILES builds.
+
+// Reference bond lengths in Å, keyed by the two elements in alphabetical order and the bond symbol
+// ("-" single, "=" double, "#" triple, ":" delocalised/aromatic). "(conj)" entries apply to single
+// bonds shortened by conjugation (see isConjugatedBond()). Gas-phase microwave or electron
+// diffraction structures unless noted.
+const REFERENCE_BOND_LENGTHS = {
+  "C-C": { length: 1.535, source: "ethane" },
+  "C-C(conj)": { length: 1.467, source: "1,3-butadiene C2-C3" },
+  "C=C": { length: 1.339, source: "ethene" },
+  "C#C": { length: 1.203, source: "ethyne" },
+  "C:C": { length: 1.397, source: "benzene" },
+  "C-H": { length: 1.09, source: "methane 1.087, ethane 1.094" },
+  "C-N": { length: 1.471, source: "methylamine" },
+  "C-N(conj)": { length: 1.352, source: "formamide" },
+  "C=N": { length: 1.273, source: "methanimine" },
+  "C#N": { length: 1.153, source: "hydrogen cyanide" },
+  "C:N": { length: 1.338, source: "pyridine" },
+  "C-O": { length: 1.427, source: "methanol" },
+  "C-O(conj)": { length: 1.343, source: "formic acid C-OH" },
+  "C=O": { length: 1.208, source: "formaldehyde 1.205, acetone 1.213" },
+  "C:O": { length: 1.26, source: "carboxylate ion (sodium formate, X-ray)" },
+  "C-F": { length: 1.383, source: "fluoromethane" },
+  "C-Cl": { length: 1.776, source: "chloromethane" },
+  "C-Br": { length: 1.934, source: "bromomethane" },
+  "C-I": { length: 2.132, source: "iodomethane" },
+  "C-S": { length: 1.819, source: "methanethiol" },
+  "Cl-H": { length: 1.275, source: "hydrogen chloride" },
+  "H-N": { length: 1.012, source: "ammonia" },
+  "H-O": { length: 0.958, source: "water" },
+  "H-S": { length: 1.336, source: "hydrogen sulfide" },
+  "N-N": { length: 1.447, source: "hydrazine" },
+  "N-N(conj)": { length: 1.344, source: "N-nitrosodimethylamine" },
+  "N=N": { length: 1.247, source: "trans-azomethane" },
+  "N#N": { length: 1.098, source: "dinitrogen" },
+  "N-O": { length: 1.453, source: "hydroxylamine" },
+  "N-O(conj)": { length: 1.433, source: "trans nitrous acid HO-N" },
+  "N=O": { length: 1.2, source: "trans nitrous acid 1.170, N-nitrosodimethylamine 1.235" },
+  "N#O": { length: 1.06, source: "nitrosonium ion (NO+ salts, X-ray)" },
+  "N:O": { length: 1.24, source: "nitrite ion (sodium nitrite, X-ray)" },
+  "O-O": { length: 1.464, source: "hydrogen peroxide" },
+};
+
+// Reference bond angles in degrees for specific bonding patterns, keyed by "A-B-C" with the central
+// atom in the middle, bond symbols as above and the outer atoms in alphabetical order
+const REFERENCE_BOND_ANGLES = {
+  "O:N:O": { angle: 115.4, source: "nitrite ion (sodium nitrite, X-ray)" },
+  "O-N=O": { angle: 110.7, source: "trans nitrous acid" },
+  "H-O-N": { angle: 102.1, source: "trans nitrous acid" },
+  "N-N=O": { angle: 114, source: "N-nitrosodimethylamine" },
+  "H-O-H": { angle: 104.5, source: "water" },
+};
+
+// Fallback angles by hybridisation of the central atom (sp3 angles depend on the lone pairs:
+// methane 109.5°, ammonia 106.7°, O between water 104.5° and dimethyl ether 111.7°, hydrogen
+// sulfide 92.1° to dimethyl sulfide 98.9°) and inside small rings (cyclopropane, puckered
+// cyclobutane 88°, cyclopentane and pyrrole 104-110°)
+const HYBRIDISATION_ANGLES = {
+  sp: 180,
+  sp2: 120,
+  sp3: { C: 109.5, N: 107, O: 107, S: 97 },
+  ring5: 106,
+  ring4: 90,
+  ring3: 60,
+};
+
+// Angles at an sp3 atom of a three-membered ring (cyclopropane): between the two exocyclic bonds
+// (H-C-H 115.0°) and between an exocyclic and a ring bond (H-C-C 117.7°)
+const RING3_EXOCYCLIC_ANGLES = {
+  exo: { angle: 115, source: "cyclopropane H-C-H" },
+  ring: { angle: 117.7, source: "cyclopropane H-C-C" },
+};
+
+const GEOMETRY_TOLERANCES = { length: 0.05, angle: 6 };
+
+const BOND_SYMBOLS = { 1: "-", 2: "=", 3: "#", 1.5: ":" };
+
+function getAtomLabel(record, index) {
+  return `${record.atoms[index].element}${index + 1}`;
+}
+
+function getAtomDistance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+function getAtomAngle(a, centre, b) {
+  const u = [a.x - centre.x, a.y - centre.y, a.z - centre.z];
+  const v = [b.x - centre.x, b.y - centre.y, b.z - centre.z];
+  const dot = u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+  const cos = dot / (Math.hypot(...u) * Math.hypot(...v));
+  return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+// The record as a graph for the static/smiles.js helpers: zero-order (ionic, hydrogen) bonds are left out
+// and 1.5 bonds count as aromatic
+function getGeometryGraph(record) {
+  const bonds = record.bonds
+    .filter(bond => BOND_SYMBOLS[bond.order])
+    .map(bond => ({ begin: bond.begin, end: bond.end, order: bond.order, aromatic: bond.order === 1.5 }));
+  const atoms = record.atoms.map((atom, index) => ({
+    element: atom.element,
+    charge: atom.charge || 0,
+    aromatic: bonds.some(bond => bond.aromatic && (bond.begin === index || bond.end === index)),
+  }));
+
+  const neighbors = atoms.map(() => []);
+  bonds.forEach(bond => {
+    neighbors[bond.begin].push(bond.end);
+    neighbors[bond.end].push(bond.begin);
+  });
+  return { graph: { atoms, bonds }, neighbors };
+}
+
+// Bonded neighbours of every atom with the bond order used for lengths: [{ atom, order }]
+function getGeometryNeighbours(graph, orders) {
+  const neighbours = graph.atoms.map(() => []);
+  graph.bonds.forEach((bond, index) => {
+    neighbours[bond.begin].push({ atom: bond.end, order: orders[index] });
+    neighbours[bond.end].push({ atom: bond.begin, order: orders[index] });
+  });
+  return neighbours;
+}
+
+// Measured value for the given atoms (indices) in the bonds or angles of a structure's own geometry
+// (see validateGeometry()); atoms are numbered from 1 there and may be listed in either direction
+function findMeasuredValue(entries, atoms) {
+  const numbers = atoms.map(index => index + 1);
+  const reversed = [...numbers].reverse();
+  return (entries || []).find(entry => entry.atoms.length === numbers.length && (
+    entry.atoms.every((number, index) => number === numbers[index]) ||
+    entry.atoms.every((number, index) => number === reversed[index])
+  ));
+}
+
+// Single bonds between two planar atoms, or between a planar atom and an oxygen with lone pairs
+// (acids, esters, enols, nitrous acid), are shortened by conjugation
+function isConjugatedBond(graph, geometries, bond, order) {
+  if (order !== 1 || bond.aromatic) return false;
+  const ends = [bond.begin, bond.end];
+  if (ends.some(index => graph.atoms[index].element === "H")) return false;
+  const planar = index => geometries[index].hybridization !== "sp3";
+  const donor = index => graph.atoms[index].element === "O" && geometries[index].lonePairs > 0;
+  return ends.some(planar) && ends.every(index => planar(index) || donor(index));
+}
+
+// Reference length of a bond from REFERENCE_BOND_LENGTHS; null for element pairs and orders without
+// a table entry
+function getBondReference(graph, bond, geometries, order) {
+  const key = [graph.atoms[bond.begin].element, graph.atoms[bond.end].element].sort().join(BOND_SYMBOLS[order]);
+  if (isConjugatedBond(graph, geometries, bond, order) && REFERENCE_BOND_LENGTHS[`${key}(conj)`]) {
+    return { key: `${key}(conj)`, ...REFERENCE_BOND_LENGTHS[`${key}(conj)`] };
+  }
+  return REFERENCE_BOND_LENGTHS[key] ? { key, ...REFERENCE_BOND_LENGTHS[key] } : null;
+}
+
+function getAngleReference(graph, neighbours, neighbors, geometries, first, centre, second) {
+  const element = graph.atoms[centre].element;
+  const outer = [first, second].sort((a, b) => {
+    const byElement = graph.atoms[a.atom].element.localeCompare(graph.atoms[b.atom].element);
+    return byElement || a.order - b.order;
+  });
+  const key = `${graph.atoms[outer[0].atom].element}${BOND_SYMBOLS[outer[0].order]}${element}` +
+    `${BOND_SYMBOLS[outer[1].order]}${graph.atoms[outer[1].atom].element}`;
+  if (REFERENCE_BOND_ANGLES[key]) {
+    return { key, ...REFERENCE_BOND_ANGLES[key] };
+  }
+
+  // getAtomGeometries() makes amine nitrogens next to a C=O/N=O or an aromatic ring planar (nitrosamines, amides, pyrrole)
+  const hybridisation = geometries[centre].hybridization;
+
+  // Small rings force their own angles
+  const ringSize = getPathLengthAvoiding(neighbors, first.atom, second.atom, centre) + 2;
+  if (ringSize <= 5) {
+    return { key: `${ringSize}-ring`, angle: HYBRIDISATION_ANGLES[`ring${ringSize}`], source: `${ringSize}-membered ring` };
+  }
+  // The exocyclic bonds of an sp3 atom in a three-membered ring open up
+  const inRing3 = neighbour => neighbours[centre].some(other =>
+    other !== neighbour && getPathLengthAvoiding(neighbors, neighbour.atom, other.atom, centre) === 1
+  );
+  if (hybridisation === "sp3" && neighbours[centre].some(inRing3)) {
+    const type = [first, second].some(inRing3) ? "ring" : "exo";
+    return { key: `${element} 3-ring ${type}`, ...RING3_EXOCYCLIC_ANGLES[type] };
+  }
+  // At a planar ring atom the two exterior angles share what the ring angle leaves of 360°
+  if (hybridisation === "sp2" && neighbours[centre].length === 3) {
+    const third = neighbours[centre].find(neighbour => neighbour !== first && neighbour !== second);
+    const exteriorRingSize = Math.min(
+      getPathLengthAvoiding(neighbors, first.atom, third.atom, centre),
+      getPathLengthAvoiding(neighbors, second.atom, third.atom, centre)
+    ) + 2;
+    if (exteriorRingSize <= 5) {
+      const angle = (360 - HYBRIDISATION_ANGLES[`ring${exteriorRingSize}`]) / 2;
+      return { key: `${element} sp2 exo`, angle, source: `exocyclic to a ${exteriorRingSize}-membered ring` };
+    }
+  }
+
+  if (hybridisation === "sp3") {
+    return { key: `${element} sp3`, angle: HYBRIDISATION_ANGLES.sp3[element] || 109.5, source: "tetrahedral" };
+  }
+  return { key: `${element} ${hybridisation}`, angle: HYBRIDISATION_ANGLES[hybridisation], source: hybridisation };
+}
+
+// Measure every bond length and bond angle of a record (coordinates in Å) and compare them with
+// the reference tables. Bonds without a reference are listed with reference null and not judged.
+// measured is the structure's own experimental geometry, for molecules far from the typical values
+// (the 1.86 Å N-N bond of N₂O₃); its values take precedence over the tables:
+// { source, bonds: [{ atoms: [1, 2], length }], angles: [{ atoms: [1, 2, 3], angle }] }
+// with atoms numbered from 1 as in the atom labels and the centre of an angle in the middle.
+// Returns { bonds, angles, maxLengthDeviation, maxAngleDeviation, valid }
+function validateGeometry(record, tolerances = GEOMETRY_TOLERANCES, measured = null) {
+  const { graph, neighbors } = getGeometryGraph(record);
+  const geometries = getAtomGeometries(graph, neighbors);
+  const orders = getBondLengthOrders(graph, neighbors);
+  const neighbours = getGeometryNeighbours(graph, orders);
+
+  const bonds = graph.bonds.map((bond, index) => {
+    const order = orders[index];
+    const entry = measured && findMeasuredValue(measured.bonds, [bond.begin, bond.end]);
+    const reference = entry
+      ? { key: "measured", length: entry.length, source: measured.source }
+      : getBondReference(graph, bond, geometries, order);
+    const length = getAtomDistance(record.atoms[bond.begin], record.atoms[bond.end]);
+    const deviation = reference ? length - reference.length : null;
+    return {
+      atoms: [bond.begin, bond.end],
+      label: `${getAtomLabel(record, bond.begin)}${BOND_SYMBOLS[order]}${getAtomLabel(record, bond.end)}`,
+      type: reference ? reference.key : null,
+      length,
+      reference: reference ? reference.length : null,
+      source: reference ? reference.source : null,
+      deviation,
+      valid: deviation === null || Math.abs(deviation) <= tolerances.length,
+    };
+  });
+
+  const angles = [];
+  neighbours.forEach((bonded, centre) => {
+    for (let i = 0; i < bonded.length; i++) {
+      for (let j = i + 1; j < bonded.length; j++) {
+        const entry = measured && findMeasuredValue(measured.angles, [bonded[i].atom, centre, bonded[j].atom]);
+        const reference = entry
+          ? { key: "measured", angle: entry.angle, source: measured.source }
+          : getAngleReference(graph, neighbours, neighbors, geometries, bonded[i], centre, bonded[j]);
+        const angle = getAtomAngle(record.atoms[bonded[i].atom], record.atoms[centre], record.atoms[bonded[j].atom]);
+        const deviation = angle - reference.angle;
+        angles.push({
+          atoms: [bonded[i].atom, centre, bonded[j].atom],
+          label: `${getAtomLabel(record, bonded[i].atom)}-${getAtomLabel(record, centre)}-${getAtomLabel(record, bonded[j].atom)}`,
+          type: reference.key,
+          angle,
+          reference: reference.angle,
+          source: reference.source,
+          deviation,
+          valid: Math.abs(deviation) <= tolerances.angle,
+        });
+      }
+    }
+  });
+
+  const maxDeviation = (items) => items.reduce(
+    (max, item) => item.deviation === null ? max : Math.max(max, Math.abs(item.deviation)), 0
+  );
+
+  return {
+    bonds,
+    angles,
+    maxLengthDeviation: maxDeviation(bonds),
+    maxAngleDeviation: maxDeviation(angles),
+    valid: bonds.every(bond => bond.valid) && angles.every(angle => angle.valid),
+  };
+}
@@ -0,0 +1,290 @@
+// MDL molfile (V2000/V3000) and SDF parsing, plus MOL/SDF/XYZ writers
+// Works on plain molecule records - createMoleculeFromRecord() turns them into scene groups and
+// getMoleculeRecord() reads them back from the scene:
+// { name, atoms: [{ element, x, y, z, charge }], bonds: [{ begin, end, order }], properties }
+// Atom indices in bonds are 0-based. Coordinates are in Ångström.
+
+// V2000 charge column codes (4 = doublet radical, no charge)
+const MOLFILE_CHARGE_CODES = { 0: 0, 1: 3, 2: 2, 3: 1, 4: 0, 5: -1, 6: -2, 7: -3 };
+
+// Bond type codes to bond orders. Aromatic bonds are 1.5, "any", coordination and
+// hydrogen bonds are treated as zero-order (drawn dashed)
+const MOLFILE_BOND_ORDERS = { 1: 1, 2: 2, 3: 3, 4: 1.5, 8: 0, 9: 0, 10: 0 };
+
+// Normalise an element symbol read from a file ("CL" or "cl" -> "Cl")
+function normalizeElementSymbol(symbol) {
+  const trimmed = symbol.trim();
+  if (!trimmed) return trimmed;
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1).toLowerCase();
+}
+
+// Parse a single molfile (the part of an SDF record before "M  END")
+function parseMolfile(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  if (lines.length < 4) {
+    throw new Error("Molfile is too short: missing header or counts line");
+  }
+
+  const countsLine = lines[3];
+  const molecule = {
+    name: lines[0].trim(),
+    atoms: [],
+    bonds: [],
+    properties: {},
+  };
+
+  if (/V3000/i.test(countsLine)) {
+    parseMolfileV3000(lines.slice(4), molecule);
+  } else {
+    parseMolfileV2000(lines, countsLine, molecule);
+  }
+
+  return molecule;
+}
+
+function parseMolfileV2000(lines, countsLine, molecule) {
+  const atomCount = parseInt(countsLine.substr(0, 3), 10);
+  const bondCount = parseInt(countsLine.substr(3, 3), 10);
+  if (isNaN(atomCount) || isNaN(bondCount)) {
+    throw new Error(`Invalid V2000 counts line: "${countsLine}"`);
+  }
+  if (lines.length < 4 + atomCount + bondCount) {
+    throw new Error(`Molfile declares ${atomCount} atoms and ${bondCount} bonds but is truncated`);
+  }
+
+  // Atom block: xxxxx.xxxxyyyyy.yyyyzzzzz.zzzz aaaddcccssshhhbbbvvvHHHrrriiimmmnnneee
+  for (let i = 0; i < atomCount; i++) {
+    const line = lines[4 + i];
+    let x = parseFloat(line.substr(0, 10));
+    let y = parseFloat(line.substr(10, 10));
+    let z = parseFloat(line.substr(20, 10));
+    let symbol = line.substr(31, 3);
+    let chargeCode = parseInt(line.substr(36, 3), 10);
+
+    // Fall back to whitespace separated fields for hand-written files
+    if (isNaN(x) || isNaN(y) || isNaN(z) || !symbol.trim()) {
+      const fields = line.trim().split(/\s+/);
+      x = parseFloat(fields[0]);
+      y = parseFloat(fields[1]);
+      z = parseFloat(fields[2]);
+      symbol = fields[3] || "";
+      chargeCode = parseInt(fields[5], 10);
+    }
+    if (isNaN(x) || isNaN(y) || isNaN(z) || !symbol.trim()) {
+      throw new Error(`Invalid atom line ${i + 1}: "${line}"`);
+    }
+
+    molecule.atoms.push({
+      element: normalizeElementSymbol(symbol),
+      x, y, z,
+      charge: MOLFILE_CHARGE_CODES[chargeCode] || 0,
+    });
+  }
+
+  // Bond block: 111222tttsssxxxrrrccc
+  for (let i = 0; i < bondCount; i++) {
+    const line = lines[4 + atomCount + i];
+    let begin = parseInt(line.substr(0, 3), 10);
+    let end = parseInt(line.substr(3, 3), 10);
+    let type = parseInt(line.substr(6, 3), 10);
+
+    if (isNaN(begin) || isNaN(end) || isNaN(type)) {
+      const fields = line.trim().split(/\s+/);
+      begin = parseInt(fields[0], 10);
+      end = parseInt(fields[1], 10);
+      type = parseInt(fields[2], 10);
+    }
+    addMolfileBond(molecule, begin, end, type, i + 1);
+  }
+
+  // Properties block - "M  CHG" supersedes the charge column of the atom block
+  let chargesReset = false;
+  for (let i = 4 + atomCount + bondCount; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith("M  END")) break;
+    if (line.startsWith("M  CHG")) {
+      if (!chargesReset) {
+        molecule.atoms.forEach(atom => { atom.charge = 0; });
+        chargesReset = true;
+      }
+      const fields = line.substr(6).trim().split(/\s+/).map(Number);
+      for (let j = 1; j + 1 < fields.length && j < 1 + fields[0] * 2; j += 2) {
+        const atom = molecule.atoms[fields[j] - 1];
+        if (atom) atom.charge = fields[j + 1];
+      }
+    }
+  }
+}
+
+function parseMolfileV3000(lines, molecule) {
+  // Join "M  V30" continuation lines (ending in "-") into logical lines
+  const logicalLines = [];
+  let pending = "";
+  for (const line of lines) {
+    if (line.startsWith("M  END")) break;
+    if (!line.startsWith("M  V30 ")) continue;
+    const content = line.substr(7);
+    if (content.endsWith("-")) {
+      pending += content.slice(0, -1);
+      continue;
+    }
+    logicalLines.push((pending + content).trim());
+    pending = "";
+  }
+
+  let block = null;
+  for (const line of logicalLines) {
+    if (line.startsWith("BEGIN ")) {
+      block = line.substr(6).trim();
+      continue;
+    }
+    if (line.startsWith("END ")) {
+      block = null;
+      continue;
+    }
+
+    const fields = line.split(/\s+/);
+    if (block === "ATOM") {
+      // index type x y z aamap [KEY=VALUE ...]
+      const x = parseFloat(fields[2]);
+      const y = parseFloat(fields[3]);
+      const z = parseFloat(fields[4]);
+      if (isNaN(x) || isNaN(y) || isNaN(z)) {
+        throw new Error(`Invalid V3000 atom line: "${line}"`);
+      }
+      const chargeField = fields.find(field => /^CHG=/i.test(field));
+      molecule.atoms.push({
+        element: normalizeElementSymbol(fields[1]),
+        x, y, z,
+        charge: chargeField ? parseInt(chargeField.substr(4), 10) : 0,
+      });
+    } else if (block === "BOND") {
+      // index type atom1 atom2 [KEY=VALUE ...]
+      addMolfileBond(molecule, parseInt(fields[2], 10), parseInt(fields[3], 10), parseInt(fields[1], 10), fields[0]);
+    }
+  }
+}
+
+function addMolfileBond(molecule, begin, end, type, bondNumber) {
+  if (isNaN(begin) || isNaN(end) || !molecule.atoms[begin - 1] || !molecule.atoms[end - 1]) {
+    throw new Error(`Bond ${bondNumber} references a missing atom (${begin}-${end})`);
+  }
+  molecule.bonds.push({
+    begin: begin - 1,
+    end: end - 1,
+    order: MOLFILE_BOND_ORDERS[type] !== undefined ? MOLFILE_BOND_ORDERS[type] : 1,
+  });
+}
+
+// Parse an SDF file into an array of molecule records with their data items in `properties`
+function parseSdf(text) {
+  const chunks = text.replace(/\r\n?/g, "\n").split(/^\$\$\$\$[ \t]*$/m);
+  const results = [];
+
+  chunks.forEach((chunk, index) => {
+    if (!chunk.trim()) return;
+
+    // Drop the newline left over from the previous "$$$$" separator
+    const body = index > 0 ? chunk.replace(/^\n/, "") : chunk;
+    const endIndex = body.search(/^M {2}END/m);
+    if (endIndex === -1) {
+      throw new Error(`SDF record ${results.length + 1} has no "M  END" line`);
+    }
+
+    const molecule = parseMolfile(body.substr(0, endIndex + 6));
+
+    // Data items: "> <NAME>" followed by value lines up to a blank line
+    const dataLines = body.substr(endIndex + 6).split("\n");
+    for (let i = 0; i < dataLines.length; i++) {
+      const header = dataLines[i].match(/^>.*<([^>]+)>/);
+      if (!header) continue;
+      const values = [];
+      while (i + 1 < dataLines.length && dataLines[i + 1].trim() !== "") {
+        values.push(dataLines[++i]);
+      }
+      molecule.properties[header[1]] = values.join("\n");
+    }
+
+    if (!molecule.name && molecule.properties.NAME) {
+      molecule.name = molecule.properties.NAME;
+    }
+    results.push(molecule);
+  });
+
+  return results;
+}
+
+// Bond orders to V2000 bond type codes (inverse of MOLFILE_BOND_ORDERS; zero-order bonds are written as "any")
+const MOLFILE_BOND_TYPES = { 1: 1, 2: 2, 3: 3, 1.5: 4, 0: 8 };
+
+// Right-align a value in a fixed-width molfile column
+function padMolfileField(value, width) {
+  return String(value).padStart(width, " ");
+}
+
+// Write a molecule record as a V2000 molfile
+function writeMolfile(molecule) {
+  if (molecule.atoms.length > 999 || molecule.bonds.length > 999) {
+    throw new Error("V2000 molfiles are limited to 999 atoms and 999 bonds");
+  }
+
+  const lines = [
+    (molecule.name || "").slice(0, 80),
+    "  NitrosamineViz",
+    "",
+    `${padMolfileField(molecule.atoms.length, 3)}${padMolfileField(molecule.bonds.length, 3)}  0  0  0  0  0  0  0  0999 V2000`,
+  ];
+
+  const chargeCodes = {};
+  Object.keys(MOLFILE_CHARGE_CODES).forEach(code => {
+    if (code !== "0" && code !== "4") chargeCodes[MOLFILE_CHARGE_CODES[code]] = Number(code);
+  });
+
+  molecule.atoms.forEach(atom => {
+    const coordinates = [atom.x, atom.y, atom.z].map(value => padMolfileField(value.toFixed(4), 10)).join("");
+    const symbol = atom.element.padEnd(3, " ");
+    const chargeCode = chargeCodes[atom.charge || 0] || 0;
+    lines.push(`${coordinates} ${symbol} 0${padMolfileField(chargeCode, 3)}  0  0  0  0  0  0  0  0  0  0`);
+  });
+
+  molecule.bonds.forEach(bond => {
+    const type = MOLFILE_BOND_TYPES[bond.order] !== undefined ? MOLFILE_BOND_TYPES[bond.order] : 1;
+    lines.push(`${padMolfileField(bond.begin + 1, 3)}${padMolfileField(bond.end + 1, 3)}${padMolfileField(type, 3)}  0`);
+  });
+
+  // Charges are repeated in "M  CHG" lines (at most 8 per line), which supersede the atom block
+  const charged = molecule.atoms
+    .map((atom, index) => ({ index: index + 1, charge: atom.charge || 0 }))
+    .filter(entry => entry.charge !== 0);
+  for (let i = 0; i < charged.length; i += 8) {
+    const chunk = charged.slice(i, i + 8);
+    lines.push(`M  CHG${padMolfileField(chunk.length, 3)}${chunk.map(entry => `${padMolfileField(entry.index, 4)}${padMolfileField(entry.charge, 4)}`).join("")}`);
+  }
+
+  lines.push("M  END");
+  return lines.join("\n") + "\n";
+}
+
+// Write molecule records as an SDF file, with each record's properties as data items
+function writeSdf(molecules) {
+  return molecules.map(molecule => {
+    let text = writeMolfile(molecule);
+    Object.keys(molecule.properties || {}).forEach(key => {
+      text += `> <${key}>\n${molecule.properties[key]}\n\n`;
+    });
+    return text + "$$$$\n";
+  }).join("");
+}
+
+// Write a molecule record as an XYZ file (atom count, comment line, element and coordinates in Å)
+function writeXyz(molecule) {
+  const lines = [
+    String(molecule.atoms.length),
+    (molecule.name || "").replace(/\n/g, " "),
+  ];
+  molecule.atoms.forEach(atom => {
+    const coordinates = [atom.x, atom.y, atom.z].map(value => padMolfileField(value.toFixed(6), 12)).join(" ");
+    lines.push(`${atom.element.padEnd(2, " ")} ${coordinates}`);
+  });
+  return lines.join("\n") + "\n";
+}
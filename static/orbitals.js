@@ -0,0 +1,268 @@
+// Molecular orbitals of small molecules by extended Hückel theory (Hoffmann, 1963), from a
+// molecule record (see static/molfile.js) with coordinates in Å
+// Valence s and p Slater orbitals, each fitted by three Gaussians (STO-3G), so overlaps are analytic.
+// Diagonal Hamiltonian elements are valence-state ionisation energies, off-diagonal elements follow
+// the Wolfsberg-Helmholz formula H_ij = K S_ij (H_ii + H_jj) / 2, and HC = SCE is solved after
+// Löwdin orthogonalisation.
+
+// Slater exponent and ionisation energies (eV) of the valence s and p orbitals
+const EXTENDED_HUCKEL_PARAMETERS = {
+  H: { zeta: 1.3, s: -13.6 },
+  C: { zeta: 1.625, s: -21.4, p: -11.4 },
+  N: { zeta: 1.95, s: -26.0, p: -13.4 },
+  O: { zeta: 2.275, s: -32.3, p: -14.8 },
+};
+const WOLFSBERG_HELMHOLZ_K = 1.75;
+const BOHR_PER_ANGSTROM = 1.8897261;
+
+// STO-3G fits of Slater orbitals with exponent 1 (exponents scale with zeta²)
+const STO_3G = {
+  "1s": { exponents: [2.227660584, 0.4057711562, 0.1098175104], coefficients: [0.1543289673, 0.5353281423, 0.4446345422] },
+  "2s": { exponents: [0.994202729, 0.2310313333, 0.0751385887], coefficients: [-0.09996722919, 0.3995128261, 0.7001154689] },
+  "2p": { exponents: [0.994202729, 0.2310313333, 0.0751385887], coefficients: [0.155916275, 0.6076837186, 0.3919573931] },
+};
+
+const ORBITAL_SETTINGS = {
+  level: 0.05, // isosurface value of the wavefunction in bohr^-3/2
+  spacing: 0.2, // Å
+  maxPoints: 100000,
+  padding: 3, // Å around the atoms
+};
+
+// Contracted basis functions: { atom, axis (-1 for s, 0-2 for p), centre (bohr), exponents,
+// coefficients (including the primitive normalisation), energy }
+function getOrbitalBasis(record) {
+  const basis = [];
+  record.atoms.forEach((atom, index) => {
+    const parameters = EXTENDED_HUCKEL_PARAMETERS[atom.element];
+    if (!parameters) {
+      throw new Error(`No extended Hückel parameters for ${atom.element}`);
+    }
+    const centre = [atom.x, atom.y, atom.z].map(value => value * BOHR_PER_ANGSTROM);
+    const shells = atom.element === "H" ? [["1s", -1]] : [["2s", -1], ["2p", 0], ["2p", 1], ["2p", 2]];
+
+    shells.forEach(([shell, axis]) => {
+      const exponents = STO_3G[shell].exponents.map(exponent => exponent * parameters.zeta ** 2);
+      const coefficients = STO_3G[shell].coefficients.map((coefficient, primitive) => {
+        const exponent = exponents[primitive];
+        const norm = Math.pow(2 * exponent / Math.PI, 0.75) * (axis === -1 ? 1 : 2 * Math.sqrt(exponent));
+        return coefficient * norm;
+      });
+      basis.push({ atom: index, axis, centre, exponents, coefficients, energy: axis === -1 ? parameters.s : parameters.p });
+    });
+  });
+
+  // Renormalise the contractions
+  basis.forEach(basisFunction => {
+    const norm = Math.sqrt(getBasisOverlap(basisFunction, basisFunction));
+    basisFunction.coefficients = basisFunction.coefficients.map(coefficient => coefficient / norm);
+  });
+  return basis;
+}
+
+// Overlap of two contracted s or p Gaussian functions
+function getBasisOverlap(first, second) {
+  let overlap = 0;
+  first.exponents.forEach((a, i) => {
+    second.exponents.forEach((b, j) => {
+      const p = a + b;
+      const distance2 = first.centre.reduce((sum, value, axis) => sum + (value - second.centre[axis]) ** 2, 0);
+      const ss = Math.pow(Math.PI / p, 1.5) * Math.exp(-a * b / p * distance2);
+      const centre = first.centre.map((value, axis) => (a * value + b * second.centre[axis]) / p);
+      const fromFirst = first.axis === -1 ? 1 : centre[first.axis] - first.centre[first.axis];
+      const fromSecond = second.axis === -1 ? 1 : centre[second.axis] - second.centre[second.axis];
+      const sameAxis = first.axis !== -1 && first.axis === second.axis ? 1 / (2 * p) : 0;
+      overlap += first.coefficients[i] * second.coefficients[j] * (fromFirst * fromSecond + sameAxis) * ss;
+    });
+  });
+  return overlap;
+}
+
+// Eigenvalues (ascending) and eigenvectors of a symmetric matrix by cyclic Jacobi rotations
+function diagonalizeSymmetric(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => row.slice());
+  const v = matrix.map((_, i) => matrix.map((__, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] ** 2;
+    }
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-14) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = a.map((_, index) => index).sort((i, j) => a[i][i] - a[j][j]);
+  return {
+    values: order.map(index => a[index][index]),
+    vectors: order.map(index => v.map(row => row[index])),
+  };
+}
+
+// Orbitals of a molecule record: { basis, overlap, energies (eV, ascending), orbitals (coefficient
+// arrays), electrons, homo, lumo (orbital indices) }. Only H, C, N and O are parametrised.
+function solveExtendedHuckel(record) {
+  const basis = getOrbitalBasis(record);
+  const size = basis.length;
+  const overlap = basis.map(first => basis.map(second => getBasisOverlap(first, second)));
+  const hamiltonian = basis.map((first, i) => basis.map((second, j) => (i === j
+    ? first.energy
+    : WOLFSBERG_HELMHOLZ_K * overlap[i][j] * (first.energy + second.energy) / 2)));
+
+  // Löwdin orthogonalisation: X = S^-1/2
+  const { values, vectors } = diagonalizeSymmetric(overlap);
+  const x = basis.map((_, i) => basis.map((__, j) =>
+    values.reduce((sum, value, k) => sum + vectors[k][i] * vectors[k][j] / Math.sqrt(value), 0)
+  ));
+  const multiply = (left, right) => left.map((_, i) => right[0].map((__, j) =>
+    left[i].reduce((sum, value, k) => sum + value * right[k][j], 0)
+  ));
+  const solution = diagonalizeSymmetric(multiply(multiply(x, hamiltonian), x));
+  const orbitals = solution.vectors.map(vector => x.map(row => row.reduce((sum, value, k) => sum + value * vector[k], 0)));
+
+  const electrons = record.atoms.reduce((sum, atom) => sum + ELEMENT_DATA[atom.element].valenceElectrons - (atom.charge || 0), 0);
+  const homo = Math.ceil(electrons / 2) - 1;
+  return {
+    basis,
+    overlap,
+    energies: solution.values,
+    orbitals,
+    electrons,
+    homo,
+    lumo: homo + 1 < size ? homo + 1 : -1,
+  };
+}
+
+// Index of "HOMO", "LUMO", "HOMO-1", "LUMO+2", ...
+function getOrbitalIndex(result, name) {
+  const match = /^(HOMO|LUMO)([+-]\d+)?$/.exec(name);
+  if (!match) {
+    throw new Error(`Unknown orbital: ${name}`);
+  }
+  const index = (match[1] === "HOMO" ? result.homo : result.homo + 1) + Number(match[2] || 0);
+  if (index < 0 || index >= result.orbitals.length) {
+    throw new Error(`${name} is outside the ${result.orbitals.length} orbitals of the basis`);
+  }
+  return index;
+}
+
+// Share of an orbital on each atom (Mulliken populations, summing to 1)
+function getOrbitalComposition(result, coefficients, atomCount) {
+  const shares = new Array(atomCount).fill(0);
+  result.basis.forEach((basisFunction, i) => {
+    const population = coefficients[i] * coefficients.reduce((sum, value, j) => sum + result.overlap[i][j] * value, 0);
+    shares[basisFunction.atom] += population;
+  });
+  return shares;
+}
+
+// Function giving the value of an orbital (bohr^-3/2) at x, y, z in Å. The basis is flattened into
+// typed arrays first, as isosurfaces evaluate it at every grid point.
+function getOrbitalEvaluator(result, coefficients) {
+  const terms = result.basis
+    .map((basisFunction, index) => ({ basisFunction, coefficient: coefficients[index] }))
+    .filter(term => term.coefficient);
+  const centres = new Float64Array(terms.length * 3);
+  const axes = new Int8Array(terms.length);
+  const exponents = new Float64Array(terms.length * 3);
+  const weights = new Float64Array(terms.length * 3); // orbital coefficient × contraction coefficient
+  terms.forEach(({ basisFunction, coefficient }, term) => {
+    centres.set(basisFunction.centre, term * 3);
+    axes[term] = basisFunction.axis;
+    exponents.set(basisFunction.exponents, term * 3);
+    weights.set(basisFunction.coefficients.map(value => value * coefficient), term * 3);
+  });
+
+  return (x, y, z) => {
+    const position = [x * BOHR_PER_ANGSTROM, y * BOHR_PER_ANGSTROM, z * BOHR_PER_ANGSTROM];
+    let value = 0;
+    for (let term = 0; term < axes.length; term++) {
+      const dx = position[0] - centres[term * 3];
+      const dy = position[1] - centres[term * 3 + 1];
+      const dz = position[2] - centres[term * 3 + 2];
+      const distance2 = dx * dx + dy * dy + dz * dz;
+      const angular = axes[term] === -1 ? 1 : [dx, dy, dz][axes[term]];
+      let radial = 0;
+      for (let primitive = term * 3; primitive < term * 3 + 3; primitive++) {
+        // Primitives below e^-30 add nothing visible
+        const exponent = exponents[primitive] * distance2;
+        if (exponent < 30) radial += weights[primitive] * Math.exp(-exponent);
+      }
+      value += angular * radial;
+    }
+    return value;
+  };
+}
+
+// Value of an orbital (bohr^-3/2) at a point in Å
+function evaluateOrbital(result, coefficients, point) {
+  return getOrbitalEvaluator(result, coefficients)(...point);
+}
+
+// Coefficients of an orbital; within a set of degenerate orbitals (e.g. the two π* of NO⁺), the
+// combination with the largest value at a point (Å), so that its lobe faces that point
+function getOrbitalTowards(result, index, point, tolerance = 1e-3) {
+  const degenerate = result.energies
+    .map((_, candidate) => candidate)
+    .filter(candidate => Math.abs(result.energies[candidate] - result.energies[index]) < tolerance);
+  if (degenerate.length === 1 || !point) return result.orbitals[index];
+
+  const weights = degenerate.map(candidate => evaluateOrbital(result, result.orbitals[candidate], point));
+  const norm = Math.hypot(...weights);
+  if (norm < 1e-12) return result.orbitals[index];
+  return result.orbitals[index].map((_, basisIndex) =>
+    degenerate.reduce((sum, candidate, k) => sum + weights[k] / norm * result.orbitals[candidate][basisIndex], 0)
+  );
+}
+
+// Isosurfaces of an orbital at ±level as { positive, negative } triangle sets in Å (see extractIsosurface)
+function buildOrbitalIsosurfaces(result, coefficients, record, options = {}) {
+  const settings = { ...ORBITAL_SETTINGS, ...options };
+  const grid = createSurfaceGrid(
+    [0, 1, 2].map(axis => Math.min(...record.atoms.map(atom => [atom.x, atom.y, atom.z][axis])) - settings.padding),
+    [0, 1, 2].map(axis => Math.max(...record.atoms.map(atom => [atom.x, atom.y, atom.z][axis])) + settings.padding),
+    settings.spacing,
+    settings.maxPoints
+  );
+  const { min, size, spacing, values } = grid;
+  const evaluate = getOrbitalEvaluator(result, coefficients);
+  for (let k = 0; k < size[2]; k++) {
+    for (let j = 0; j < size[1]; j++) {
+      for (let i = 0; i < size[0]; i++) {
+        values[(k * size[1] + j) * size[0] + i] = evaluate(min[0] + i * spacing, min[1] + j * spacing, min[2] + k * spacing);
+      }
+    }
+  }
+
+  const positive = extractIsosurface(grid, settings.level);
+  const negative = extractIsosurface({ ...grid, values: values.map(value => -value) }, settings.level);
+  return { positive, negative };
+}
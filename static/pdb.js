@@ -0,0 +1,374 @@
+// PDB and mmCIF parsing for protein structures
+// Produces structure records that createProteinFromStructure() turns into a cartoon:
+// { title, atoms: [{ serial, name, element, residueName, chainId, residueNumber, insertionCode, x, y, z, hetero }],
+//   secondaryStructure: [{ type: "helix" | "sheet", chainId, start, end }] }
+// Only the first model is read and only the first alternate location of each atom is kept.
+// Coordinates are in Ångström.
+
+// Maximum Cα–Cα distance (Å) between consecutive residues before the backbone trace is split
+const MAX_CA_DISTANCE = 4.2;
+
+// Parse a structure file, picking the format from the file name or the content
+function parseProteinStructure(text, fileName = "") {
+  if (/\.cif$/i.test(fileName) || /^data_/m.test(text.slice(0, 1000))) {
+    return parseMmcif(text);
+  }
+  return parsePdb(text);
+}
+
+// Parse a PDB format file (fixed column ATOM/HETATM, HELIX and SHEET records)
+function parsePdb(text) {
+  const structure = { title: "", atoms: [], secondaryStructure: [] };
+  const titleParts = [];
+  let modelCount = 0;
+
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  for (const line of lines) {
+    const record = line.substr(0, 6).trim();
+
+    if (record === "MODEL") {
+      modelCount++;
+      if (modelCount > 1) break;
+    } else if (record === "ENDMDL") {
+      break;
+    } else if (record === "TITLE") {
+      titleParts.push(line.substr(10).trim());
+    } else if (record === "HELIX") {
+      structure.secondaryStructure.push({
+        type: "helix",
+        chainId: line.substr(19, 1).trim(),
+        start: parseInt(line.substr(21, 4), 10),
+        end: parseInt(line.substr(33, 4), 10),
+      });
+    } else if (record === "SHEET") {
+      structure.secondaryStructure.push({
+        type: "sheet",
+        chainId: line.substr(21, 1).trim(),
+        start: parseInt(line.substr(22, 4), 10),
+        end: parseInt(line.substr(33, 4), 10),
+      });
+    } else if (record === "ATOM" || record === "HETATM") {
+      const altLoc = line.substr(16, 1).trim();
+      if (altLoc && altLoc !== "A" && altLoc !== "1") continue;
+
+      const x = parseFloat(line.substr(30, 8));
+      const y = parseFloat(line.substr(38, 8));
+      const z = parseFloat(line.substr(46, 8));
+      if (isNaN(x) || isNaN(y) || isNaN(z)) {
+        throw new Error(`Invalid coordinates in PDB line: "${line}"`);
+      }
+
+      const name = line.substr(12, 4).trim();
+      structure.atoms.push({
+        serial: parseInt(line.substr(6, 5), 10),
+        name,
+        element: normalizeElementSymbol(line.substr(76, 2).trim() || name.replace(/[^A-Za-z]/g, "").charAt(0)),
+        residueName: line.substr(17, 3).trim(),
+        chainId: line.substr(21, 1).trim(),
+        residueNumber: parseInt(line.substr(22, 4), 10),
+        insertionCode: line.substr(26, 1).trim(),
+        x, y, z,
+        hetero: record === "HETATM",
+      });
+    }
+  }
+
+  structure.title = titleParts.join(" ").replace(/\s+/g, " ");
+  if (structure.atoms.length === 0) {
+    throw new Error("PDB file contains no ATOM or HETATM records");
+  }
+  return structure;
+}
+
+// Split an mmCIF line into { value, quoted } tokens, honouring single and double quotes
+function tokenizeCifLine(line) {
+  const tokens = [];
+  let i = 0;
+  while (i < line.length) {
+    const char = line[i];
+    if (char === " " || char === "\t") {
+      i++;
+    } else if (char === "#") {
+      break;
+    } else if (char === "'" || char === '"') {
+      // A quoted value ends at a matching quote followed by whitespace or the end of the line
+      let end = i + 1;
+      while (end < line.length && !(line[end] === char && (end + 1 === line.length || /\s/.test(line[end + 1])))) {
+        end++;
+      }
+      tokens.push({ value: line.slice(i + 1, end), quoted: true });
+      i = end + 1;
+    } else {
+      let end = i;
+      while (end < line.length && !/\s/.test(line[end])) end++;
+      tokens.push({ value: line.slice(i, end), quoted: false });
+      i = end;
+    }
+  }
+  return tokens;
+}
+
+// Read the categories of the first data block of an mmCIF file
+// Returns { "_atom_site": [{ group_PDB: "ATOM", ... }, ...], ... }
+function parseCifCategories(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+
+  // Flatten the file into tokens, turning ";" text fields into single tokens
+  const tokens = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith(";")) {
+      const textLines = [line.slice(1)];
+      while (++i < lines.length && !lines[i].startsWith(";")) {
+        textLines.push(lines[i]);
+      }
+      tokens.push({ value: textLines.join("\n").trim(), quoted: true });
+      continue;
+    }
+    tokens.push(...tokenizeCifLine(line));
+  }
+
+  const categories = {};
+  const splitTag = tag => {
+    const dot = tag.indexOf(".");
+    return dot === -1 ? [tag, ""] : [tag.slice(0, dot), tag.slice(dot + 1)];
+  };
+  const isTag = token => !token.quoted && token.value.startsWith("_");
+  const isKeyword = token => !token.quoted && /^(loop_|data_|save_|global_|stop_)/i.test(token.value);
+
+  let blocks = 0;
+  let i = 0;
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (!token.quoted && /^data_/i.test(token.value)) {
+      blocks++;
+      if (blocks > 1) break;
+      i++;
+    } else if (!token.quoted && token.value.toLowerCase() === "loop_") {
+      const fields = [];
+      let category = null;
+      i++;
+      while (i < tokens.length && isTag(tokens[i])) {
+        const [name, field] = splitTag(tokens[i].value);
+        category = name;
+        fields.push(field);
+        i++;
+      }
+      const rows = categories[category] || (categories[category] = []);
+      while (i + fields.length <= tokens.length && !isTag(tokens[i]) && !isKeyword(tokens[i])) {
+        const row = {};
+        fields.forEach((field, index) => { row[field] = tokens[i + index].value; });
+        rows.push(row);
+        i += fields.length;
+      }
+    } else if (isTag(token)) {
+      // Single item: "_category.field value" - all items of a category form one row
+      const [name, field] = splitTag(token.value);
+      const rows = categories[name] || (categories[name] = [{}]);
+      rows[0][field] = tokens[i + 1] ? tokens[i + 1].value : "";
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+
+  return categories;
+}
+
+// mmCIF uses "." (inapplicable) and "?" (unknown) for missing values
+function cifValue(row, ...fields) {
+  for (const field of fields) {
+    const value = row[field];
+    if (value !== undefined && value !== "." && value !== "?") return value;
+  }
+  return "";
+}
+
+// Parse an mmCIF file (_atom_site, _struct_conf and _struct_sheet_range categories)
+function parseMmcif(text) {
+  const categories = parseCifCategories(text);
+  const atomSite = categories._atom_site || [];
+  if (atomSite.length === 0) {
+    throw new Error("mmCIF file contains no _atom_site records");
+  }
+
+  const structure = {
+    title: categories._struct ? cifValue(categories._struct[0], "title") : "",
+    atoms: [],
+    secondaryStructure: [],
+  };
+
+  const firstModel = cifValue(atomSite[0], "pdbx_PDB_model_num");
+  for (const row of atomSite) {
+    if (firstModel && cifValue(row, "pdbx_PDB_model_num") !== firstModel) break;
+
+    const altLoc = cifValue(row, "label_alt_id");
+    if (altLoc && altLoc !== "A" && altLoc !== "1") continue;
+
+    const x = parseFloat(row.Cartn_x);
+    const y = parseFloat(row.Cartn_y);
+    const z = parseFloat(row.Cartn_z);
+    if (isNaN(x) || isNaN(y) || isNaN(z)) {
+      throw new Error(`Invalid coordinates for mmCIF atom ${row.id}`);
+    }
+
+    const name = cifValue(row, "auth_atom_id", "label_atom_id");
+    structure.atoms.push({
+      serial: parseInt(row.id, 10),
+      name,
+      element: normalizeElementSymbol(cifValue(row, "type_symbol") || name.charAt(0)),
+      residueName: cifValue(row, "auth_comp_id", "label_comp_id"),
+      chainId: cifValue(row, "auth_asym_id", "label_asym_id"),
+      residueNumber: parseInt(cifValue(row, "auth_seq_id", "label_seq_id"), 10),
+      insertionCode: cifValue(row, "pdbx_PDB_ins_code"),
+      x, y, z,
+      hetero: row.group_PDB === "HETATM",
+    });
+  }
+
+  (categories._struct_conf || []).forEach(row => {
+    if (!/^HELX/i.test(cifValue(row, "conf_type_id"))) return;
+    structure.secondaryStructure.push({
+      type: "helix",
+      chainId: cifValue(row, "beg_auth_asym_id", "beg_label_asym_id"),
+      start: parseInt(cifValue(row, "beg_auth_seq_id", "beg_label_seq_id"), 10),
+      end: parseInt(cifValue(row, "end_auth_seq_id", "end_label_seq_id"), 10),
+    });
+  });
+  (categories._struct_sheet_range || []).forEach(row => {
+    structure.secondaryStructure.push({
+      type: "sheet",
+      chainId: cifValue(row, "beg_auth_asym_id", "beg_label_asym_id"),
+      start: parseInt(cifValue(row, "beg_auth_seq_id", "beg_label_seq_id"), 10),
+      end: parseInt(cifValue(row, "end_auth_seq_id", "end_label_seq_id"), 10),
+    });
+  });
+
+  return structure;
+}
+
+// Group the polymer (ATOM) records into residues per chain, in file order
+function getPolymerResidues(structure) {
+  const chains = [];
+  const chainsById = {};
+
+  structure.atoms.forEach(atom => {
+    if (atom.hetero) return;
+
+    let chain = chainsById[atom.chainId];
+    if (!chain) {
+      chain = { chainId: atom.chainId, residues: [] };
+      chainsById[atom.chainId] = chain;
+      chains.push(chain);
+    }
+
+    let residue = chain.residues[chain.residues.length - 1];
+    if (!residue || residue.number !== atom.residueNumber || residue.insertionCode !== atom.insertionCode) {
+      residue = {
+        name: atom.residueName,
+        number: atom.residueNumber,
+        insertionCode: atom.insertionCode,
+        atoms: {},
+      };
+      chain.residues.push(residue);
+    }
+    residue.atoms[atom.name] = atom;
+  });
+
+  return chains;
+}
+
+// Secondary structure type of a residue from the HELIX/SHEET ranges
+function getSecondaryStructure(structure, chainId, residueNumber) {
+  const range = structure.secondaryStructure.find(candidate =>
+    candidate.chainId === chainId && residueNumber >= candidate.start && residueNumber <= candidate.end
+  );
+  return range ? range.type : "coil";
+}
+
+// Cα trace of each chain, split into segments at chain breaks
+// Returns [{ chainId, residues: [{ name, number, ca: {x, y, z}, secondary }] }]
+function getBackboneTrace(structure) {
+  const segments = [];
+
+  getPolymerResidues(structure).forEach(chain => {
+    let segment = null;
+    let previousCa = null;
+
+    chain.residues.forEach(residue => {
+      const ca = residue.atoms.CA;
+      if (!ca) return;
+
+      const gap = previousCa && Math.hypot(ca.x - previousCa.x, ca.y - previousCa.y, ca.z - previousCa.z) > MAX_CA_DISTANCE;
+      if (!segment || gap) {
+        segment = { chainId: chain.chainId, residues: [] };
+        segments.push(segment);
+      }
+
+      segment.residues.push({
+        name: residue.name,
+        number: residue.number,
+        ca: { x: ca.x, y: ca.y, z: ca.z },
+        secondary: getSecondaryStructure(structure, chain.chainId, residue.number),
+      });
+      previousCa = ca;
+    });
+  });
+
+  return segments.filter(segment => segment.residues.length > 1);
+}
+
+// Amine nitrogens that can be nitrosated: the proline ring nitrogen (a secondary amine once
+// digestion releases the residue) and the free α-amino group of each chain's N-terminus
+// Returns [{ type: "proline" | "nTerminus", chainId, residueName, residueNumber, description, position }]
+function findNitrosationSites(structure) {
+  const sites = [];
+
+  getPolymerResidues(structure).forEach(chain => {
+    chain.residues.forEach((residue, index) => {
+      const nitrogen = residue.atoms.N;
+      if (!nitrogen) return;
+
+      const isProline = residue.name === "PRO";
+      const isNTerminus = index === 0;
+      if (!isProline && !isNTerminus) return;
+
+      let description;
+      if (isProline && isNTerminus) {
+        description = "N-terminal proline (secondary amine)";
+      } else if (isProline) {
+        description = "Proline ring nitrogen (secondary amine after proteolysis)";
+      } else {
+        description = "N-terminal α-amino group";
+      }
+
+      sites.push({
+        type: isProline ? "proline" : "nTerminus",
+        chainId: chain.chainId,
+        residueName: residue.name,
+        residueNumber: residue.number,
+        description,
+        position: { x: nitrogen.x, y: nitrogen.y, z: nitrogen.z },
+      });
+    });
+  });
+
+  return sites;
+}
+
+// Non-polymer groups other than water (e.g. the heme of myoglobin), as residues of atoms
+function getLigands(structure) {
+  const ligands = [];
+  structure.atoms.forEach(atom => {
+    if (!atom.hetero || atom.residueName === "HOH" || atom.residueName === "WAT") return;
+
+    let ligand = ligands[ligands.length - 1];
+    if (!ligand || ligand.name !== atom.residueName || ligand.number !== atom.residueNumber || ligand.chainId !== atom.chainId) {
+      ligand = { name: atom.residueName, number: atom.residueNumber, chainId: atom.chainId, atoms: [] };
+      ligands.push(ligand);
+    }
+    ligand.atoms.push(atom);
+  });
+  return ligands;
+}
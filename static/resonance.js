@@ -0,0 +1,77 @@
+// Resonance contributors by arrow pushing on a structure { atoms: [{ element, lonePairs }], bonds: [{ begin, end, order }] }
+// A lone pair on a donor X next to a Y=Z double bond becomes an X=Y bond while the Y=Z π pair moves
+// onto Z (X–Y=Z ↔ X⁺=Y–Z⁻). Donors are anions (nitrite, carboxylate) and neutral nitrogens
+// (nitrosamines, amides); neutral oxygens would only give minor charge-separated structures.
+
+const MAX_RESONANCE_CONTRIBUTORS = 8;
+
+function getContributorCharge(structure, contributor, index) {
+  const element = structure.atoms[index].element;
+  let orderSum = 0;
+  structure.bonds.forEach((bond, bondIndex) => {
+    if (bond.begin === index || bond.end === index) orderSum += contributor.orders[bondIndex];
+  });
+  return getFormalCharge(element, orderSum, contributor.lonePairs[index]);
+}
+
+function canDonateLonePair(structure, contributor, index) {
+  if (contributor.lonePairs[index] < 1) return false;
+  const charge = getContributorCharge(structure, contributor, index);
+  return charge < 0 || (charge === 0 && structure.atoms[index].element === "N");
+}
+
+// All contributors reachable from the drawn structure, the drawn one first. Each contributor has
+// orders (per bond), lonePairs (per atom) and the move that produced it from its parent:
+// { donor, centre, acceptor, parent } (atom indices and the parent contributor index)
+function getResonanceContributors(structure) {
+  const first = {
+    orders: structure.bonds.map(bond => bond.order),
+    lonePairs: structure.atoms.map(atom => atom.lonePairs || 0),
+    move: null,
+  };
+  const contributors = [first];
+  const seen = new Set([first.orders.join(",")]);
+
+  for (let current = 0; current < contributors.length; current++) {
+    const contributor = contributors[current];
+
+    structure.bonds.forEach((donorBond, donorBondIndex) => {
+      if (contributor.orders[donorBondIndex] !== 1) return;
+
+      [[donorBond.begin, donorBond.end], [donorBond.end, donorBond.begin]].forEach(([donor, centre]) => {
+        if (!canDonateLonePair(structure, contributor, donor)) return;
+
+        structure.bonds.forEach((piBond, piBondIndex) => {
+          if (piBondIndex === donorBondIndex || contributor.orders[piBondIndex] !== 2) return;
+          if (piBond.begin !== centre && piBond.end !== centre) return;
+          const acceptor = piBond.begin === centre ? piBond.end : piBond.begin;
+
+          const orders = contributor.orders.slice();
+          orders[donorBondIndex] = 2;
+          orders[piBondIndex] = 1;
+          const key = orders.join(",");
+          if (seen.has(key) || contributors.length >= MAX_RESONANCE_CONTRIBUTORS) return;
+          seen.add(key);
+
+          const lonePairs = contributor.lonePairs.slice();
+          lonePairs[donor] -= 1;
+          lonePairs[acceptor] += 1;
+          contributors.push({ orders, lonePairs, move: { donor, centre, acceptor, parent: current } });
+        });
+      });
+    });
+  }
+
+  return contributors;
+}
+
+// Resonance hybrid: bond orders and lone pairs averaged over the contributors (equal weights), so the
+// formal charges are averaged too (e.g. -½ on each oxygen of the nitrite ion)
+function getResonanceHybrid(contributors) {
+  const average = values => values.reduce((total, value) => total + value, 0) / contributors.length;
+  return {
+    orders: contributors[0].orders.map((_, index) => average(contributors.map(contributor => contributor.orders[index]))),
+    lonePairs: contributors[0].lonePairs.map((_, index) => average(contributors.map(contributor => contributor.lonePairs[index]))),
+    move: null,
+  };
+}
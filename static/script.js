@@ -11,7 +11,17 @@ let cameraAnimations = {};
 let transitionEffects = new THREE.Group(); // For transition effects like particles
 let raycaster, mouse;
 let currentStep = 0;
-const totalSteps = 3; // 0-indexed, so 4 steps total (0,1,2,3)
+let totalSteps = 0; // 0-indexed index of the last step, set when the pathway is loaded
+let pathway = null; // Reaction pathway definition loaded from static/pathways
+let activeBranch = null; // Pathway branch being followed (see setActiveBranch), null for the main route
+let activeSteps = []; // Steps of the route being followed: the main steps, or a branch after its branch point
+let pathwayGraph = null; // Steps of all routes as a graph (see buildPathwayGraph)
+const DEFAULT_PATHWAY_URL = "static/pathways/nitrite-to-nitrosamine.json";
+let selectedAmine = DEFAULT_AMINE; // Secondary amine nitrosated in the nitrosamine step (see static/amines.js)
+const nitrosamineRecords = {}; // Embedded product structures by amine, built on first use
+const activationRecords = {}; // Embedded α-hydroxynitrosamines and diazonium ions by SMILES
+const pendingMolecules = {}; // Group builders by molecule type, run when the step is first shown (see buildPendingMolecule)
+let guanineAdductAlkyl = null; // Alkyl SMILES of the selected amine's guanine adduct (see updateActivationSteps)
 let animationPlaying = false;
 let originalPositions = {};
 let bloomPass, effectFXAA;
@@ -57,7 +67,7 @@ const SCIENTIFIC_DATA = {
     formula: "R₂N-N=O",
     properties: "Generally stable compounds, lipophilic, readily absorbed in GI tract",
     examples: "Dimethylnitrosamine (NDMA), N-nitrosopyrrolidine (NPYR)",
-    carcinogenicity: "Group 2A probable human carcinogens (IARC classification)",
+    carcinogenicity: "Most are Group 2A/2B probable or possible human carcinogens (IARC classification)",
     mechanism: "Metabolically activated by cytochrome P450 2E1 to form alkylating agents that cause DNA adducts",
     formation_conditions: "Form when secondary amines react with nitrosating agents under acidic conditions (pH 2-4 optimal)",
     regulation: "Strictly regulated in food and pharmaceuticals (<0.03-1.0 ppm depending on compound)",
@@ -67,6 +77,57 @@ const SCIENTIFIC_DATA = {
     epidemiology: "Associated with 18% increased risk of colorectal cancer per 50g daily processed meat consumption",
     detection_methods: "GC-MS, LC-MS/MS with detection limits of 0.1-1.0 ng/g in biological samples",
   },
+  dinitrogenTrioxide: {
+    formula: "N₂O₃",
+    molecularWeight: "76.01 g/mol",
+    structure: "Asymmetric O=N-NO₂ with a long, weak N-N bond (1.86 Å)",
+    properties: "Neutral, more selective nitrosating agent than NO⁺; blue liquid below 3°C",
+    formation: "2 HNO₂ ⇌ N₂O₃ + H₂O (K ≈ 3 × 10⁻³ M⁻¹), second order in nitrous acid",
+    reactivity: "Dominant nitrosating agent at moderate gastric pH (3-5); transfers NO to the free amine and releases nitrite",
+  },
+  ascorbicAcid: {
+    formula: "C₆H₈O₆",
+    molecularWeight: "176.12 g/mol",
+    pKa: "4.10 (C3 enol OH)",
+    role: "Nitrite scavenger in gastric juice (vitamin C)",
+    properties: "Water-soluble antioxidant and strong reducing agent (ene-diol)",
+    formation: "Secreted by the gastric mucosa (0.1-1 mM in gastric juice) and taken in with fruit and vegetables",
+    reactivity: "Reacts with HNO₂ and N₂O₃ faster than secondary amines are nitrosated",
+  },
+  ascorbateReduction: {
+    compound: "Dehydroascorbic acid + 2 nitric oxide",
+    formula: "C₆H₆O₆ + 2 NO",
+    mechanism: "O-Nitrosation of the ene-diol followed by homolysis releases NO; two HNO₂ are used per ascorbic acid",
+    properties: "NO is a neutral radical, not a nitrosating agent in the absence of oxygen",
+    reactivity: "With oxygen (e.g. in a fatty meal) NO can be re-oxidised to N₂O₃, which weakens the protection",
+  },
+  // Nitrosamine formed when a scavenger competes for the nitrosating agent (compound data and
+  // amount formed are filled in from the nitrosamine data and the kinetics, see updateKinetics)
+  inhibitedNitrosamine: {
+    formula: "R₂N-N=O",
+    properties: "Same product, formed in much smaller amounts",
+    research: "Vitamin C in food lowers gastric nitrosamine formation; vitamin E acts similarly in fatty phases",
+  },
+  // Metabolic activation of the selected nitrosamine (compound data filled in by updateActivationSteps)
+  alphaHydroxyNitrosamine: {
+    formula: "R-CH(OH)-N(R')-N=O",
+    role: "Proximate carcinogen, formed mainly in the liver but also in the oesophagus and lung",
+    properties: "Unstable, half-life of about 10 seconds at pH 7.4; never accumulates",
+    mechanism: "The P450 iron-oxo species abstracts an α-hydrogen and rebounds OH onto the α-carbon",
+  },
+  alkyldiazonium: {
+    formula: "R-N₂⁺",
+    role: "Ultimate carcinogen: alkylates DNA, RNA and proteins",
+    properties: "Strong electrophile with N₂ as leaving group; reacts within milliseconds with water or DNA",
+    mechanism: "Ring opening or aldehyde loss gives an alkyldiazohydroxide (R-N=N-OH), which loses OH⁻",
+  },
+  guanineAdduct: {
+    formula: "O⁶-R-dG",
+    role: "Premutagenic DNA lesion and exposure biomarker",
+    health_concerns: "O⁶-Alkylguanine pairs with thymine, so replication gives G:C → A:T transitions (as found in KRAS codon 12)",
+    properties: "Repaired by O⁶-methylguanine-DNA methyltransferase (MGMT), which is used up in the reaction",
+    mechanism: "N⁷ of guanine takes about 70% of the methyl groups and O⁶ about 7%, but only O⁶ miscodes",
+  },
 };
 
 // atom colors with enhanced scientific accuracy (using standard CPK coloring scheme for chemistry)
@@ -78,6 +139,11 @@ const atomColors = {
   H: 0xEEEEEE, // Off-white for Hydrogen (better against dark background)
   C: 0x616161, // Darker gray for Carbon (better definition)
   Cl: 0x4CAF50, // Emerald green for Chlorine (more vibrant)
+  F: 0x90E050, // Pale green for Fluorine (standard CPK)
+  Br: 0xA62929, // Dark red for Bromine (standard CPK)
+  I: 0x940094, // Violet for Iodine (standard CPK)
+  S: 0xFFC107, // Amber for Sulfur (brighter than CPK yellow against the dark background)
+  P: 0xFF9800, // Orange for Phosphorus (standard CPK)
   Protein: 0x8BC34A, // Brighter green for protein environment
   Stomach: 0xFFCCBC, // Peach for stomach environment
   
@@ -96,10 +162,19 @@ const atomSizes = {
   H: 1.1, // Slightly larger than vdW (1.1 vs 1.2Å) for visibility
   C: 1.7, // Accurate carbon radius (van der Waals radius ~1.7Å)
   Cl: 1.75, // Accurate chlorine radius
+  F: 1.47, // van der Waals radius ~1.47Å
+  Br: 1.85, // van der Waals radius ~1.85Å
+  I: 1.98, // van der Waals radius ~1.98Å
+  S: 1.8, // van der Waals radius ~1.80Å
+  P: 1.8, // van der Waals radius ~1.80Å
   Protein: 2.0,
   Stomach: 2.0,
 };
 
+// Scene units per Ångström for molecules built from real coordinates
+// (matches the scale factor used for the hand-built nitrite ion)
+const SCENE_UNITS_PER_ANGSTROM = 2.2;
+
 // Animation utility functions for smooth transitions
 function createParticleSystem(origin, color, count = 20, spread = 3, size = 0.1) {
   const particleGroup = new THREE.Group();
@@ -329,8 +404,8 @@ function switchTab(tabName) {
     }
   });
   
-  // Update tab contents
-  document.querySelectorAll('.tab-content').forEach(content => {
+  // Update tab contents (and the fixed footer of the tabs that have one)
+  document.querySelectorAll('.tab-content, .tab-content-footer').forEach(content => {
     if (content.getAttribute('data-tab') === tabName) {
       content.classList.remove('hidden');
     } else {
@@ -344,8 +419,8 @@ function switchTab(tabName) {
   const resetCameraBtn = document.getElementById('reset-camera-btn');
   const toggleFullscreenBtn = document.getElementById('toggle-fullscreen');
   
-  if (tabName === 'info') {
-    // Hide elements when info tab is active
+  if (tabName === 'info' || isMobile()) {
+    // Hide elements when info tab is active (on mobile the panel covers the screen for every tab)
     if (stepNavigator) stepNavigator.classList.add('hidden');
     if (infoButton) infoButton.classList.add('hidden');
     if (resetCameraBtn) resetCameraBtn.classList.add('hidden');
@@ -421,8 +496,20 @@ function init() {
 
   setupLighting();
   createMolecules();
+  selectAmine(selectedAmine);
+  loadPathwayStructures();
+  loadPathwayProtein();
+  
+  // Pre-built glTF scene - ?scene=static/scenes/<name>.glb
+  const sceneUrl = new URLSearchParams(window.location.search).get("scene");
+  if (sceneUrl) {
+    loadGlbScene(sceneUrl).catch(error => console.error(`Failed to load scene ${sceneUrl}:`, error));
+  }
+  createEnergyProfile();
+  updatePHReadout();
+  
   // step 0
-  updateMoleculeData("sodiumNitrite");
+  updateMoleculeData(getDataKeyForStep(0));
   updateScientificContext(0);
   showStep(0);
 
@@ -574,6 +661,247 @@ function addEventListeners() {
     nextStep();
   });
 
+  // Structure export buttons
+  document.querySelectorAll("[data-export]").forEach(button => {
+    button.addEventListener("click", function() {
+      exportMolecule(this.getAttribute("data-export"));
+    });
+  });
+
+  // glTF export and import
+  document.querySelectorAll("[data-export-glb]").forEach(button => {
+    button.addEventListener("click", function() {
+      exportGlb(this.getAttribute("data-export-glb"));
+    });
+  });
+  
+  const glbInput = document.getElementById("glb-import");
+  if (glbInput) {
+    glbInput.addEventListener("change", function() {
+      const file = this.files[0];
+      if (!file) return;
+      file.arrayBuffer()
+        .then(loadGlbScene)
+        .catch(error => console.error(`Failed to import ${file.name}:`, error));
+      this.value = "";
+    });
+  }
+
+  // Choose the amine that is nitrosated in the final step
+  const amineSelect = document.getElementById("amine-select");
+  if (amineSelect) {
+    amineSelect.innerHTML = Object.keys(AMINES)
+      .map(key => `<option value="${key}">${AMINES[key].name} → ${AMINES[key].product.abbreviation}</option>`)
+      .join("");
+    amineSelect.value = selectedAmine;
+    amineSelect.addEventListener("change", function() {
+      if (animationPlaying) {
+        this.value = selectedAmine;
+        return;
+      }
+      try {
+        selectAmine(this.value);
+      } catch (error) {
+        console.error(`Failed to build the nitrosamine of ${this.value}:`, error);
+        this.value = selectedAmine;
+      }
+    });
+  }
+
+  // Representation of all molecules (restyles in place, so it also works during animations)
+  const representationSelect = document.getElementById("representation-select");
+  if (representationSelect) {
+    representationSelect.innerHTML = Object.keys(REPRESENTATIONS)
+      .map(key => `<option value="${key}">${REPRESENTATIONS[key].name}</option>`)
+      .join("");
+    representationSelect.value = representation;
+    representationSelect.addEventListener("change", function() {
+      setRepresentation(this.value);
+    });
+  }
+  
+  const coloringSelect = document.getElementById("coloring-select");
+  if (coloringSelect) {
+    coloringSelect.innerHTML = Object.keys(ATOM_COLORINGS)
+      .map(key => `<option value="${key}">${ATOM_COLORINGS[key].name}</option>`)
+      .join("");
+    coloringSelect.value = atomColoring;
+    document.getElementById("charge-legend-min").textContent = `≤ −${CHARGE_COLOR_RANGE} e`;
+    document.getElementById("charge-legend-max").textContent = `≥ +${CHARGE_COLOR_RANGE} e`;
+    coloringSelect.addEventListener("change", function() {
+      setAtomColoring(this.value);
+    });
+  }
+
+  const surfaceToggle = document.getElementById("surface-toggle");
+  if (surfaceToggle) {
+    surfaceToggle.addEventListener("click", () => setSurfacesShown(!surfacesShown));
+  }
+
+  // Route through the pathway: the main steps or one of the branches
+  const routeSelect = document.getElementById("route-select");
+  if (routeSelect) {
+    const branches = pathway.branches || [];
+    routeSelect.innerHTML = `<option value="">${pathway.mainRoute || "Main route"}</option>` + branches
+      .map(branch => `<option value="${branch.id}">${branch.title}</option>`)
+      .join("");
+    routeSelect.closest("div").classList.toggle("hidden", branches.length === 0);
+    routeSelect.value = activeBranch || "";
+    routeSelect.addEventListener("change", function() {
+      if (animationPlaying) {
+        this.value = activeBranch || "";
+        return;
+      }
+      setActiveBranch(this.value || null);
+    });
+  }
+
+  // Pathway map: click a step to go there
+  const pathwayMap = document.getElementById("pathway-map");
+  if (pathwayMap) {
+    pathwayMap.addEventListener("click", function(event) {
+      const node = event.target.closest("[data-step-id]");
+      if (node) goToPathwayStep(node.getAttribute("data-step-id"));
+    });
+  }
+
+  // Route buttons in the step navigator (shown at branch points)
+  const routeChoices = document.getElementById("route-choices");
+  if (routeChoices) {
+    routeChoices.addEventListener("click", function(event) {
+      const button = event.target.closest("[data-route]");
+      if (!button || animationPlaying) return;
+      setActiveBranch(button.getAttribute("data-route") || null);
+    });
+  }
+
+  // Gastric pH: the readout follows the slider, the H⁺ ions are rebuilt when it is released
+  const phSlider = document.getElementById("ph-slider");
+  if (phSlider) {
+    phSlider.min = PH_RANGE.min;
+    phSlider.max = PH_RANGE.max;
+    phSlider.step = PH_RANGE.step;
+    phSlider.value = gastricPH;
+    phSlider.addEventListener("input", function() {
+      setGastricPH(parseFloat(this.value), false);
+    });
+    phSlider.addEventListener("change", function() {
+      setGastricPH(parseFloat(this.value));
+    });
+  }
+
+  // Kinetics: nitrite dose, amine concentration and time (pH is shared with the info panel)
+  document.querySelectorAll("[data-kinetics]").forEach(input => {
+    const setting = input.getAttribute("data-kinetics");
+    input.value = kineticsSettings[setting];
+    input.addEventListener("input", function() {
+      kineticsSettings[setting] = parseFloat(this.value);
+      updateKinetics();
+    });
+  });
+  // Dietary nitrite calculator: body weight and the cured meats eaten
+  const bodyWeight = document.getElementById("intake-body-weight");
+  if (bodyWeight) {
+    bodyWeight.value = intakeSettings.bodyWeight;
+    bodyWeight.addEventListener("input", function() {
+      const value = parseFloat(this.value);
+      if (!(value > 0)) return;
+      intakeSettings.bodyWeight = value;
+      updateIntake();
+    });
+  }
+  createIntakeRows();
+  
+  // Relative risk of the daily processed meat intake
+  const riskIntake = document.getElementById("risk-intake");
+  if (riskIntake) {
+    riskIntake.max = RISK_CHART_MAX_INTAKE;
+    riskIntake.value = dailyProcessedMeat;
+    riskIntake.addEventListener("input", function() {
+      dailyProcessedMeat = parseFloat(this.value);
+      updateRiskEstimate();
+    });
+  }
+  updateRiskEstimate();
+  const kineticsPH = document.getElementById("kinetics-ph");
+  if (kineticsPH) {
+    kineticsPH.min = PH_RANGE.min;
+    kineticsPH.max = PH_RANGE.max;
+    kineticsPH.step = PH_RANGE.step;
+    kineticsPH.value = gastricPH;
+    kineticsPH.addEventListener("input", function() {
+      setGastricPH(parseFloat(this.value), false);
+      const phOutput = document.getElementById("kinetics-ph-value");
+      if (phOutput) phOutput.textContent = gastricPH.toFixed(1);
+    });
+    kineticsPH.addEventListener("change", function() {
+      setGastricPH(parseFloat(this.value));
+    });
+  }
+
+  // Curved-arrow mechanism of the next reaction step
+  const mechanismBtn = document.getElementById("mechanism-btn");
+  if (mechanismBtn) {
+    mechanismBtn.addEventListener("click", function() {
+      if (!animationPlaying) toggleMechanismPreview();
+    });
+  }
+
+  // HOMO and LUMO of the species of the next reaction step
+  const orbitalsBtn = document.getElementById("orbitals-btn");
+  if (orbitalsBtn) {
+    orbitalsBtn.addEventListener("click", function() {
+      if (!animationPlaying) toggleFrontierOrbitals();
+    });
+  }
+
+  // Resonance structures: step through, animate or show the delocalized hybrid
+  document.querySelectorAll("[data-resonance]").forEach(button => {
+    button.addEventListener("click", function() {
+      if (animationPlaying) return;
+      const mode = this.getAttribute("data-resonance");
+      if (mode === "animate") {
+        toggleResonanceAnimation();
+        return;
+      }
+      stopResonanceAnimation();
+      const state = getDisplayedResonance();
+      if (!state) return;
+      if (mode === "hybrid") {
+        showResonanceStructure(state.index === -1 ? 0 : -1);
+      } else {
+        showResonanceStructure((state.index + 1) % state.contributors.length);
+      }
+    });
+  });
+
+  // Build a molecule from the SMILES input
+  const smilesForm = document.getElementById("smiles-form");
+  if (smilesForm) {
+    smilesForm.addEventListener("submit", function(e) {
+      e.preventDefault();
+      const input = document.getElementById("smiles-input");
+      const status = document.getElementById("smiles-status");
+      const smiles = input.value.trim();
+      if (!smiles || animationPlaying) return;
+      
+      status.classList.remove("hidden", "text-red-400");
+      status.textContent = "Generating 3D coordinates...";
+      
+      // Let the status message render before the (blocking) embedding runs
+      setTimeout(() => {
+        try {
+          const record = showMoleculeFromSmiles(smiles);
+          status.textContent = `${getMolecularFormula(record.atoms)} - use Previous/Next to return to the pathway`;
+        } catch (error) {
+          console.error("Failed to build molecule from SMILES:", error);
+          status.classList.add("text-red-400");
+          status.textContent = error.message;
+        }
+      }, 20);
+    });
+  }
+
   // Add tab button functionality
   const tabButtons = document.querySelectorAll('.tab-button');
   tabButtons.forEach(button => {
@@ -654,6 +982,16 @@ function addEventListeners() {
     });
   }
   
+  // Developer panel with the geometry check, available with ?dev
+  const geometryBtn = document.getElementById("geometry-btn");
+  if (geometryBtn && new URLSearchParams(window.location.search).has("dev")) {
+    geometryBtn.classList.remove("hidden");
+    geometryBtn.addEventListener("click", function() {
+      document.getElementById("geometry-panel").classList.toggle("hidden");
+      updateGeometryPanel();
+    });
+  }
+  
   // Add reset camera view button functionality
   const resetCameraBtn = document.getElementById("reset-camera-btn");
   if (resetCameraBtn) {
@@ -747,7 +1085,7 @@ function createAtom(
   group.add(atom);
 
   // Add glow effect and electron cloud
-  const cloudGeometry = new THREE.SphereGeometry(atomSizes[type] * 1.1, 32, 32);
+  const cloudGeometry = new THREE.SphereGeometry(size * 1.1, 32, 32);
   const cloudMaterial = new THREE.MeshBasicMaterial({
     color: atomColors[type],
     transparent: true,
@@ -755,11 +1093,13 @@ function createAtom(
     side: THREE.BackSide,
   });
   const cloud = new THREE.Mesh(cloudGeometry, cloudMaterial);
+  cloud.userData = { isElectronCloud: true };
   group.add(cloud);
 
   // add animated electon shell
   if (["Na", "N"].includes(type) && Math.random() > 0.5) {
-    const electronShell = createElectronShell(type, atomSizes[type] * 1.7);
+    const electronShell = createElectronShell(type, size * 1.7);
+    electronShell.userData.isElectronShell = true;
     group.add(electronShell);
   }
 
@@ -879,6 +1219,8 @@ function createBond(
     isBond: true,
     bondType: bondType,
     moleculeType: moleculeType,
+    start: start.clone(),
+    end: end.clone(),
   };
 
   // get direction and length
@@ -910,6 +1252,9 @@ function createBond(
     case "triple":
       createTripleBond(bondGroup, start, end, direction, length, color);
       break;
+    case "delocalized":
+      createDelocalizedBond(bondGroup, start, end, direction, length, color);
+      break;
     case "dashed":
       // For dashed bonds, create and add to the bond group
       const dashedBond = createDashedBond(start, end, moleculeType, bondIndex);
@@ -1056,6 +1401,51 @@ function createTripleBond(group, start, end, direction, length, color) {
   });
 }
 
+// Create a delocalized bond (bond order between 1 and 2, e.g. resonance hybrids and aromatic rings):
+// a solid σ line with a dashed partial π line beside it
+function createDelocalizedBond(group, start, end, direction, length, color) {
+  const normalizedDir = direction.clone().normalize();
+  const perpendicular = new THREE.Vector3(1, 0, 0);
+
+  // Ensure perpendicular is actually perpendicular
+  if (Math.abs(normalizedDir.dot(perpendicular)) > 0.9) {
+    perpendicular.set(0, 1, 0);
+  }
+
+  perpendicular.cross(normalizedDir).normalize();
+  const offset = perpendicular.clone().multiplyScalar(0.15);
+
+  const material = new THREE.MeshStandardMaterial({
+    color: color,
+    roughness: 0.5,
+    metalness: 0.2,
+  });
+
+  const quaternion = new THREE.Quaternion();
+  quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), normalizedDir);
+
+  // Solid line
+  const solidGeometry = new THREE.CylinderGeometry(0.07, 0.07, length, 12, 1);
+  const solid = new THREE.Mesh(solidGeometry, material);
+  solid.position.copy(new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5).add(offset));
+  solid.setRotationFromQuaternion(quaternion);
+  solid.castShadow = true;
+  solid.receiveShadow = true;
+  group.add(solid);
+
+  // Dashed line
+  const segments = 5;
+  const dashLength = length / (segments * 2 - 1);
+  const dashGeometry = new THREE.CylinderGeometry(0.05, 0.05, dashLength, 8, 1);
+  for (let i = 0; i < segments; i++) {
+    const dash = new THREE.Mesh(dashGeometry, material);
+    const t = (i * 2 + 0.5) / (segments * 2 - 1);
+    dash.position.copy(new THREE.Vector3().lerpVectors(start, end, t).sub(offset));
+    dash.setRotationFromQuaternion(quaternion);
+    group.add(dash);
+  }
+}
+
 // Create a dashed bond for partial/ionic bonds or reaction intermediates
 function createDashedBond(start, end, parentType, bondIndex) {
   // Create a group to hold all parts of the dashed bond
@@ -1105,6 +1495,17 @@ function createDashedBond(start, end, parentType, bondIndex) {
   return bondGroup;
 }
 
+// Position of a charge indicator next to an atom, moved out with the sphere when the representation
+// draws the atom larger than a ball (see styleAtom)
+function getChargeIndicatorOffset(atom, chargeSymbol) {
+  const core = atom.children.find(child => child.userData.isAtom);
+  const growth = core && core.userData.baseScale ? Math.max(1, core.scale.x / core.userData.baseScale.x) : 1;
+  const offset = 0.8 * growth; // Adjust this value for different offsets
+  return chargeSymbol.endsWith('+')
+    ? new THREE.Vector3(offset, offset, offset)
+    : new THREE.Vector3(-offset, offset, offset);
+}
+
 // Function to add a charge indicator (+ or -) to an atom
 function addChargeIndicator(atom, chargeSymbol) {
   // Create a small sprite to display the charge
@@ -1138,123 +1539,3007 @@ function addChargeIndicator(atom, chargeSymbol) {
   sprite.scale.set(scale, scale, scale);
   
   // Position slightly offset from atom center
-  const offset = 0.8; // Adjust this value for different offsets
-  if (chargeSymbol === '+') {
-    sprite.position.set(offset, offset, offset);
-  } else {
-    sprite.position.set(-offset, offset, offset);
-  }
+  sprite.position.copy(getChargeIndicatorOffset(atom, chargeSymbol));
   
-  // Add charge indicator to atom
+  // Add charge indicator to atom and remember the charge for exports
+  sprite.userData = { isChargeIndicator: true, chargeSymbol };
   atom.add(sprite);
+  atom.userData.charge = parseChargeSymbol(chargeSymbol);
   
   return sprite;
 }
 
-function createMolecules() {
-  console.log('Creating molecules...');
-  // Create molecule containers to ensure proper structure
-  molecules.sodiumNitrite = { group: new THREE.Group(), visible: true };
-  molecules.nitrousAcid = { group: new THREE.Group(), visible: false };
-  molecules.decomposed = { group: new THREE.Group(), visible: false };
-  molecules.nitrosamine = { group: new THREE.Group(), visible: false };
-  
-  // Add all molecule groups to the scene
-  scene.add(molecules.sodiumNitrite.group);
-  scene.add(molecules.nitrousAcid.group);
-  scene.add(molecules.decomposed.group);
-  scene.add(molecules.nitrosamine.group);
-  
-  // Create stomach environment with physiologically accurate pH gradient visualization
-  molecules.stomach = { group: new THREE.Group(), visible: true };
-  molecules.stomach.group.name = "stomach";
-  // Add stomach to scene immediately
-  scene.add(molecules.stomach.group);
+// Format a numeric charge for addChargeIndicator (1 -> "+", -2 -> "2-", -0.5 -> "δ-")
+function formatChargeSymbol(charge) {
+  const sign = charge > 0 ? "+" : "-";
+  if (!Number.isInteger(charge)) return `δ${sign}`;
+  const magnitude = Math.abs(charge);
+  return magnitude === 1 ? sign : `${magnitude}${sign}`;
+}
 
-  // Increase stomach size for better spacing and focus on nitrite
-  const stomachShapeGeometry = new THREE.SphereGeometry(40, 64, 48);
+// Parse a charge symbol from addChargeIndicator ("+" -> 1, "2-" -> -2)
+function parseChargeSymbol(chargeSymbol) {
+  const magnitude = parseInt(chargeSymbol, 10) || 1;
+  return chargeSymbol.endsWith("-") ? -magnitude : magnitude;
+}
 
-  // Create a material for the stomach wall with slight transparency
-  const stomachMaterial = new THREE.MeshPhysicalMaterial({
-    color: 0xe57373,         // Reddish color for stomach lining
-    roughness: 0.5,
-    metalness: 0.1,
-    transparent: true,
-    opacity: 0.45,           // Make it semi-transparent
-    side: THREE.DoubleSide,  // Render both sides
-    flatShading: false       // Smooth shading
-  });
+// Bond orders of the createBond bond types, used when exporting structures
+const BOND_TYPE_ORDERS = { single: 1, double: 2, triple: 3, delocalized: 1.5, dashed: 0 };
 
-  // Create stomach mesh
-  const stomachMesh = new THREE.Mesh(stomachShapeGeometry, stomachMaterial);
-  stomachMesh.castShadow = true;
-  stomachMesh.receiveShadow = true;
+// Map a bond order from a molecule record to a createBond bond type
+function bondTypeForOrder(order) {
+  if (order === 0) return "dashed";
+  if (order === 2) return "double";
+  if (order === 3) return "triple";
+  if (order > 1 && order < 2) return "delocalized";
+  return "single";
+}
 
-  // Add mesh to stomach group
-  molecules.stomach.group.add(stomachMesh);
+// Build a molecule group from a molecule record (see parseMolfile in static/molfile.js)
+// Options: scale (scene units per Å), center (centre on the centroid), labels, offset,
+// atomScale (shrinks the atom spheres for ball-and-stick views of large molecules)
+function createMoleculeFromRecord(record, moleculeType, options = {}) {
+  const scale = options.scale || SCENE_UNITS_PER_ANGSTROM;
+  const showLabels = options.labels !== false;
   
-  // Add realistic stomach molecules (gastric acid components and digestive substances)
+  const group = new THREE.Group();
+  group.name = moleculeType;
+  group.userData = { unitsPerAngstrom: scale, sourceName: record.name };
+  
+  // Centre the molecule so it sits where the camera focuses
+  const centre = new THREE.Vector3();
+  if (options.center !== false && record.atoms.length > 0) {
+    record.atoms.forEach(atom => centre.add(new THREE.Vector3(atom.x, atom.y, atom.z)));
+    centre.divideScalar(record.atoms.length);
+  }
   
-  // 1. Add several water molecules (H2O) distributed throughout the stomach
-  for (let i = 0; i < 15; i++) {
-    const waterGroup = new THREE.Group();
-    waterGroup.name = "water_" + i;
-    
-    // Random position within stomach space (smaller radius than stomach)
-    const radius = 25 + Math.random() * 10;
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.random() * Math.PI;
-    const x = radius * Math.sin(phi) * Math.cos(theta);
-    const y = radius * Math.sin(phi) * Math.sin(theta);
-    const z = radius * Math.cos(phi);
-    
-    waterGroup.position.set(x, y, z);
-    
-    // Create water molecule (H2O)
-    const oPos = new THREE.Vector3(0, 0, 0);
-    const h1Pos = new THREE.Vector3(0.5, 0.3, 0);
-    const h2Pos = new THREE.Vector3(-0.5, 0.3, 0);
-    
-    const o = createAtom("O", oPos, false, "water", i);
-    const h1 = createAtom("H", h1Pos, false, "water", i+100);
-    const h2 = createAtom("H", h2Pos, false, "water", i+200);
-    
-    const h1ToO = createBond(h1Pos, oPos, "single", "water", "H", "O", i);
-    const h2ToO = createBond(h2Pos, oPos, "single", "water", "H", "O", i+100);
-    
-    waterGroup.add(o);
-    waterGroup.add(h1);
-    waterGroup.add(h2);
-    waterGroup.add(h1ToO);
-    waterGroup.add(h2ToO);
+  const positions = record.atoms.map(atom => {
+    const position = new THREE.Vector3(atom.x, atom.y, atom.z).sub(centre).multiplyScalar(scale);
+    if (options.offset) position.add(options.offset);
+    return position;
+  });
+  
+  // Lone pairs that reproduce the charges of the record (covers carbocations and aromatic bonds)
+  const orderSums = record.atoms.map(() => 0);
+  record.bonds.forEach(bond => {
+    orderSums[bond.begin] += bond.order;
+    orderSums[bond.end] += bond.order;
+  });
+  
+  record.atoms.forEach((atom, index) => {
+    const atomGroup = createAtom(atom.element, positions[index], showLabels, moleculeType, index);
+    atomGroup.userData.lonePairs = getLonePairsForCharge(atom.element, orderSums[index], atom.charge || 0);
+    if (options.atomScale) atomGroup.scale.setScalar(options.atomScale);
+    group.add(atomGroup);
+  });
+  
+  record.bonds.forEach((bond, index) => {
+    const bondGroup = createBond(
+      positions[bond.begin],
+      positions[bond.end],
+      bondTypeForOrder(bond.order),
+      moleculeType,
+      record.atoms[bond.begin].element,
+      record.atoms[bond.end].element,
+      index
+    );
+    // Keep the exact order (aromatic 1.5 is drawn as a single bond)
+    bondGroup.userData.order = bond.order;
+    group.add(bondGroup);
+  });
+  
+  applyFormalCharges(group);
+  return group;
+}
+
+// Atoms of an object tree and the sum of the bond orders of each atom. Bonds are matched to atoms of
+// the same parent by their end points (dashed ionic and hydrogen bonds count 0)
+function getAtomBondOrders(object) {
+  const atoms = [];
+  const bonds = [];
+  object.traverse(child => {
+    if (child.userData.atomType) atoms.push(child);
+    if (child.userData.isBond) bonds.push(child);
+  });
+  
+  const orderSums = atoms.map(() => 0);
+  const links = [];
+  const bondEntries = [];
+  bonds.forEach(bond => {
+    const { start, end, bondType, order } = bond.userData;
+    if (!start || !end) return;
+    const findAtomAt = point => atoms.findIndex(atom =>
+      atom.parent === bond.parent && atom.position.distanceTo(point) < 0.05
+    );
+    const begin = findAtomAt(start);
+    const finish = findAtomAt(end);
+    if (begin === -1 || finish === -1) return;
     
-    // Scale down water molecules for better appearance
-    waterGroup.scale.set(0.6, 0.6, 0.6);
+    const bondOrder = order !== undefined ? order : (BOND_TYPE_ORDERS[bondType] !== undefined ? BOND_TYPE_ORDERS[bondType] : 1);
+    orderSums[begin] += bondOrder;
+    orderSums[finish] += bondOrder;
+    if (bondOrder > 0) links.push([begin, finish]);
+    bondEntries.push({ object: bond, begin, end: finish, order: bondOrder });
+  });
+  
+  return { atoms, orderSums, links, bonds: bondEntries };
+}
+
+// Compute the formal charge of every atom in an object tree from its element, bond orders and lone
+// pairs (octet rule unless userData.lonePairs is set) and place the charge indicators to match
+function applyFormalCharges(object) {
+  const { atoms, orderSums } = getAtomBondOrders(object);
+  
+  atoms.forEach((atom, index) => {
+    const element = atom.userData.atomType;
+    const lonePairs = atom.userData.lonePairs !== undefined
+      ? atom.userData.lonePairs
+      : getOctetLonePairs(element, orderSums[index]);
+    const charge = getFormalCharge(element, orderSums[index], lonePairs);
     
-    // Random rotation for natural appearance
-    waterGroup.rotation.x = Math.random() * Math.PI * 2;
-    waterGroup.rotation.y = Math.random() * Math.PI * 2;
-    waterGroup.rotation.z = Math.random() * Math.PI * 2;
+    atom.children
+      .filter(child => child.userData.isChargeIndicator)
+      .forEach(indicator => {
+        atom.remove(indicator);
+        disposeObject(indicator);
+      });
     
-    molecules.stomach.group.add(waterGroup);
+    atom.userData.lonePairs = lonePairs;
+    if (roundCharge(charge)) {
+      addChargeIndicator(atom, formatChargeSymbol(charge));
+    }
+    atom.userData.charge = charge;
+  });
+  applyPartialCharges(object);
+}
+
+// Representation of all molecules (see setRepresentation): createAtom balls (0.8× the atomSizes
+// radius in scene units) with electron clouds, van der Waals spheres, sticks, or thin bonds only.
+// Meshes are restyled in place, so charges, labels and animations carry over.
+const REPRESENTATIONS = {
+  ballAndStick: { name: "Ball and stick" },
+  spaceFilling: { name: "Space-filling (CPK)" },
+  licorice: { name: "Licorice" },
+  wireframe: { name: "Wireframe" },
+};
+const LICORICE_RADIUS = 0.15; // Å, sticks and the atoms joining them
+const WIREFRAME_RADIUS = 0.03; // scene units
+let representation = "ballAndStick";
+
+// Scene units per Å of the atoms of a group: set by createMoleculeFromRecord, otherwise estimated from
+// the bond lengths of hand-built molecules (median length / sum of covalent radii); lone atoms use the default
+function getUnitsPerAngstrom(group) {
+  if (group.userData.unitsPerAngstrom) return group.userData.unitsPerAngstrom;
+  
+  const atoms = group.children.filter(child => child.userData.atomType);
+  const covalentRadius = atom => ELEMENT_DATA[atom.userData.atomType] ? ELEMENT_DATA[atom.userData.atomType].covalentRadii[0] : 0.75;
+  const ratios = [];
+  group.children.forEach(bond => {
+    if (!bond.userData.isBond || bond.userData.bondType === "dashed") return;
+    const ends = [bond.userData.start, bond.userData.end].map(point => atoms.find(atom => atom.position.distanceTo(point) < 0.05));
+    if (!ends[0] || !ends[1]) return;
+    ratios.push(bond.userData.start.distanceTo(bond.userData.end) / (covalentRadius(ends[0]) + covalentRadius(ends[1])));
+  });
+  if (ratios.length === 0) return SCENE_UNITS_PER_ANGSTROM;
+  ratios.sort((a, b) => a - b);
+  return ratios[Math.floor(ratios.length / 2)];
+}
+
+// Scale a mesh relative to the scale it had before it was first restyled (radial only scales the
+// x and z axes, the cross-section of a bond cylinder)
+function setRepresentationScale(mesh, factor, radial = false) {
+  if (!mesh.userData.baseScale) mesh.userData.baseScale = mesh.scale.clone();
+  const base = mesh.userData.baseScale;
+  mesh.scale.set(base.x * factor, radial ? base.y : base.y * factor, base.z * factor);
+}
+
+function styleAtom(atom, mode, unitsPerAngstrom) {
+  const size = atomSizes[atom.userData.atomType] || 1.0;
+  
+  atom.children.forEach(child => {
+    if (child.userData.isAtom) {
+      const base = child.userData.baseScale || child.scale;
+      const ballRadius = size * 0.8 * base.x * atom.scale.x; // as drawn by createAtom, in the parent's units
+      const radius = {
+        spaceFilling: size * unitsPerAngstrom,
+        licorice: LICORICE_RADIUS * unitsPerAngstrom,
+      }[mode] || ballRadius;
+      setRepresentationScale(child, radius / ballRadius);
+      child.visible = mode !== "wireframe";
+    } else if (child.userData.isChargeIndicator) {
+      child.position.copy(getChargeIndicatorOffset(atom, child.userData.chargeSymbol));
+    } else if (child.userData.isElectronCloud) {
+      // Electrostatic potential surfaces take the place of the clouds
+      child.visible = mode === "ballAndStick" && !surfacesShown;
+    } else if (child.userData.isElectronShell) {
+      child.visible = mode === "ballAndStick";
+    }
+  });
+}
+
+function styleBond(bond, mode, unitsPerAngstrom) {
+  // Bonds are inside the van der Waals spheres
+  bond.visible = mode !== "spaceFilling";
+  if (bond.userData.bondType === "dashed") return;
+  
+  const cylinders = bond.children.filter(child => child.isMesh && child.geometry.type === "CylinderGeometry");
+  cylinders.forEach(cylinder => {
+    const base = cylinder.userData.baseScale || cylinder.scale;
+    const radius = cylinder.geometry.parameters.radiusTop * base.x;
+    const target = {
+      licorice: LICORICE_RADIUS * unitsPerAngstrom * (cylinders.length > 1 ? 0.5 : 1),
+      wireframe: WIREFRAME_RADIUS,
+    }[mode] || radius;
+    setRepresentationScale(cylinder, target / radius, true);
+  });
+}
+
+// Restyle the atoms and bonds of an object tree in a representation (default: the current one)
+function applyRepresentation(object, mode = representation) {
+  const scales = new Map(); // Units per Å by parent group
+  const unitsFor = parent => {
+    if (!scales.has(parent)) scales.set(parent, getUnitsPerAngstrom(parent));
+    return scales.get(parent);
+  };
+  
+  object.traverse(child => {
+    if (child.userData.atomType) styleAtom(child, mode, unitsFor(child.parent));
+    else if (child.userData.isBond) styleBond(child, mode, unitsFor(child.parent));
+  });
+}
+
+// Switch every molecule group (pathway molecules and the stomach environment) to a representation
+function setRepresentation(mode) {
+  if (!REPRESENTATIONS[mode]) {
+    throw new Error(`Unknown representation: ${mode}`);
   }
+  representation = mode;
   
-  // 2. Add bicarbonate ions (HCO3-) that help protect stomach lining
-  for (let i = 0; i < 4; i++) {
-    const bicarb = new THREE.Group();
-    bicarb.name = "bicarbonate_" + i;
-    
-    // Position near stomach lining to show protective function
-    const radius = 35;
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.random() * Math.PI;
-    const x = radius * Math.sin(phi) * Math.cos(theta);
-    const y = radius * Math.sin(phi) * Math.sin(theta);
-    const z = radius * Math.cos(phi);
-    
-    bicarb.position.set(x, y, z);
+  Object.values(molecules).forEach(molecule => {
+    if (molecule && molecule.group) applyRepresentation(molecule.group);
+  });
+  // The product copies share the nitrosamine's meshes as they were when copied
+  updateProductMolecules();
+  
+  console.log(`Molecules drawn as ${REPRESENTATIONS[mode].name.toLowerCase()}`);
+}
+
+// Electrostatic potential surfaces (see static/surface.js): one per fragment (atoms joined by any
+// bond, ionic and hydrogen bonds included), added to the group holding its atoms so it moves with them
+// Groups can set userData.surfaceSpacing (Å) for a coarser grid than SURFACE_SETTINGS.spacing
+const SURFACE_OPACITY = 0.6;
+let surfacesShown = false;
+
+// Molecule records (coordinates in Å in the frame of the group a surface is added to) of the
+// fragments of an object tree, with the formal charges of the atoms:
+// [{ atoms (the atom objects, in record order), parent, unitsPerAngstrom, record }]
+function getFragmentRecords(object) {
+  const { atoms, bonds } = getAtomBondOrders(object);
+  
+  const roots = atoms.map((_, index) => index);
+  const findRoot = index => roots[index] === index ? index : (roots[index] = findRoot(roots[index]));
+  bonds.forEach(bond => {
+    roots[findRoot(bond.begin)] = findRoot(bond.end);
+  });
+  
+  const fragments = new Map();
+  atoms.forEach((atom, index) => {
+    const root = findRoot(index);
+    if (!fragments.has(root)) fragments.set(root, []);
+    fragments.get(root).push(index);
+  });
+  
+  const scales = new Map();
+  return [...fragments.values()].map(members => {
+    const first = atoms[members[0]];
+    if (!scales.has(first.parent)) scales.set(first.parent, getUnitsPerAngstrom(first.parent));
+    const unitsPerAngstrom = scales.get(first.parent);
+    const positionOf = new Map(members.map((atomIndex, position) => [atomIndex, position]));
+    // A lone atom (an ion) carries its own surface, so the surface goes when the atom is removed
+    const parent = members.length === 1 ? first : first.parent;
+    const origin = members.length === 1 ? first.position : new THREE.Vector3();
     
-    // Create bicarbonate ion structure (HCO3-)
+    const record = {
+      name: object.name,
+      atoms: members.map(index => ({
+        element: atoms[index].userData.atomType,
+        x: (atoms[index].position.x - origin.x) / unitsPerAngstrom,
+        y: (atoms[index].position.y - origin.y) / unitsPerAngstrom,
+        z: (atoms[index].position.z - origin.z) / unitsPerAngstrom,
+        charge: atoms[index].userData.charge || 0,
+      })),
+      bonds: bonds
+        .filter(bond => positionOf.has(bond.begin))
+        .map(bond => ({ begin: positionOf.get(bond.begin), end: positionOf.get(bond.end), order: bond.order })),
+      properties: {},
+    };
+    return { atoms: members.map(index => atoms[index]), parent, unitsPerAngstrom, record };
+  });
+}
+
+function createMolecularSurface(surface, unitsPerAngstrom, range) {
+  const colors = [];
+  surface.potentials.forEach(potential => colors.push(...getPotentialColor(potential, range)));
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(surface.positions, 3));
+  geometry.setAttribute("normal", new THREE.Float32BufferAttribute(surface.normals, 3));
+  geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(surface.indices);
+  
+  const material = new THREE.MeshPhongMaterial({
+    vertexColors: true,
+    transparent: true,
+    opacity: SURFACE_OPACITY,
+    shininess: 40,
+    depthWrite: false,
+  });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.scale.setScalar(unitsPerAngstrom);
+  mesh.userData = { isSurface: true };
+  // Hover and clicks go to the atoms inside
+  mesh.raycast = () => {};
+  return mesh;
+}
+
+// Rebuild the surfaces of an object tree after its atoms, bonds or charges changed (removes them
+// when surfaces are hidden). All fragments share one colour range (see getPotentialRange), kept in
+// userData.surfaceRange for the legend. Groups with userData.keepSurface keep their first surface.
+function updateMolecularSurfaces(object) {
+  if (surfacesShown && object.userData.keepSurface && object.userData.surfaceRange !== undefined) return;
+  
+  const old = [];
+  object.traverse(child => {
+    if (child.userData.isSurface) old.push(child);
+  });
+  old.forEach(surface => {
+    surface.parent.remove(surface);
+    disposeObject(surface);
+  });
+  delete object.userData.surfaceRange;
+  if (!surfacesShown) return;
+  
+  const options = {};
+  for (let node = object; node; node = node.parent) {
+    if (node.userData.surfaceSpacing) {
+      options.spacing = node.userData.surfaceSpacing;
+      break;
+    }
+  }
+  const fragments = getFragmentRecords(object).map(fragment => ({
+    ...fragment,
+    surface: buildMolecularSurface(fragment.record, options),
+  }));
+  if (fragments.length === 0) return;
+  
+  const range = getPotentialRange(fragments.flatMap(fragment => fragment.surface.potentials));
+  fragments.forEach(({ parent, unitsPerAngstrom, surface }) => {
+    parent.add(createMolecularSurface(surface, unitsPerAngstrom, range));
+  });
+  object.userData.surfaceRange = range;
+  updateSurfaceLegend();
+}
+
+// Colour range of the displayed molecule's surface in the legend
+function updateSurfaceLegend() {
+  const legend = document.getElementById("surface-legend");
+  if (!legend || !surfacesShown) return;
+  
+  const molecule = molecules[getDisplayedMoleculeKey()];
+  const range = molecule && molecule.group ? molecule.group.userData.surfaceRange : undefined;
+  const format = value => `${value < 0 ? "−" : value > 0 ? "+" : ""}${Math.abs(Math.round(value))}`;
+  document.getElementById("surface-legend-min").textContent = range ? `≤ ${format(range.min)}` : "";
+  document.getElementById("surface-legend-max").textContent = range ? `≥ ${format(range.max)}` : "";
+  
+  // White sits at range.zero, which is 0 unless the whole surface has one sign
+  const toCss = color => `rgb(${color.map(value => Math.round(value * 255)).join(", ")})`;
+  const zeroAt = range ? ((range.zero - range.min) / (range.max - range.min)) * 100 : 50;
+  document.getElementById("surface-legend-bar").style.background = range
+    ? `linear-gradient(to right, ${toCss(getPotentialColor(range.min, range))}, #ffffff ${zeroAt.toFixed(0)}%, ${toCss(getPotentialColor(range.max, range))})`
+    : "linear-gradient(to right, #ff0000, #ffffff, #0000ff)";
+  document.getElementById("surface-legend-zero").textContent = !range || range.zero === 0 ? "0 kcal/mol" : "kcal/mol";
+}
+
+// Show or hide the electrostatic potential surfaces of every molecule group
+function setSurfacesShown(shown) {
+  surfacesShown = shown;
+  Object.values(molecules).forEach(molecule => {
+    if (!molecule || !molecule.group) return;
+    updateMolecularSurfaces(molecule.group);
+    applyRepresentation(molecule.group);
+  });
+  updateProductMolecules();
+  
+  const button = document.getElementById("surface-toggle");
+  if (button) {
+    button.classList.toggle("bg-blue-600", shown);
+    button.classList.toggle("bg-gray-700", !shown);
+  }
+  const legend = document.getElementById("surface-legend");
+  if (legend) legend.classList.toggle("hidden", !shown);
+  updateSurfaceLegend();
+  
+  console.log(`Electrostatic potential surfaces ${shown ? "shown" : "hidden"}`);
+}
+
+// Atom colours (see setAtomColoring): element colours (atomColors), or partial charges from red
+// (negative) through white to blue (positive)
+const ATOM_COLORINGS = {
+  element: { name: "Element" },
+  charge: { name: "Partial charge" },
+};
+const CHARGE_COLOR_RANGE = 0.5; // e at full red or blue
+let atomColoring = "element";
+
+// Gasteiger partial charges (see static/charges.js) of the atoms of an object tree, computed per
+// fragment from the formal charges and kept in userData.partialCharge
+function applyPartialCharges(object) {
+  getFragmentRecords(object).forEach(({ atoms, record }) => {
+    calculatePartialCharges(record).forEach((charge, index) => {
+      atoms[index].userData.partialCharge = charge;
+    });
+  });
+  if (atomColoring !== "element") applyAtomColoring(object);
+}
+
+function colorAtom(atom, coloring) {
+  const core = atom.children.find(child => child.userData.isAtom);
+  if (!core) return;
+  
+  const color = coloring === "charge" && atom.userData.partialCharge !== undefined
+    ? new THREE.Color(...getSignedColor(atom.userData.partialCharge, CHARGE_COLOR_RANGE))
+    : new THREE.Color(atomColors[atom.userData.atomType] || 0xffffff);
+  core.material.color.copy(color);
+  core.material.emissive.copy(color);
+}
+
+// Colour the atoms of an object tree (default: the current colouring)
+function applyAtomColoring(object, coloring = atomColoring) {
+  object.traverse(child => {
+    if (child.userData.atomType) colorAtom(child, coloring);
+  });
+}
+
+// Switch the atom colours of every molecule group; the product copies share the materials
+function setAtomColoring(coloring) {
+  if (!ATOM_COLORINGS[coloring]) {
+    throw new Error(`Unknown atom coloring: ${coloring}`);
+  }
+  atomColoring = coloring;
+  
+  Object.values(molecules).forEach(molecule => {
+    if (molecule && molecule.group) applyAtomColoring(molecule.group);
+  });
+  const legend = document.getElementById("charge-legend");
+  if (legend) legend.classList.toggle("hidden", coloring !== "charge");
+  
+  console.log(`Atoms colored by ${ATOM_COLORINGS[coloring].name.toLowerCase()}`);
+}
+
+// Resonance mode of the displayed molecule: the contributors found by getResonanceContributors
+// (static/resonance.js), the one shown (index, or -1 for the hybrid) and the running animation
+let resonanceState = null;
+const RESONANCE_ANIMATION_INTERVAL = 1.8; // seconds per contributor
+
+// Contributors of a molecule group with the atom and bond objects they refer to
+function getGroupResonance(moleculeType) {
+  const group = molecules[moleculeType] && molecules[moleculeType].group;
+  if (!group) return null;
+  
+  const { atoms, bonds } = getAtomBondOrders(group);
+  const structure = {
+    atoms: atoms.map(atom => ({ element: atom.userData.atomType, lonePairs: atom.userData.lonePairs || 0 })),
+    bonds: bonds.map(bond => ({ begin: bond.begin, end: bond.end, order: bond.order })),
+  };
+  return {
+    moleculeType,
+    group,
+    atoms,
+    bonds,
+    contributors: getResonanceContributors(structure),
+    index: 0,
+    animation: null,
+  };
+}
+
+// Redraw a bond object with a new order, keeping its place in the scene and in bondObjects
+function replaceBond(old, order, moleculeType, startAtomType, endAtomType, bondIndex = 0) {
+  const replacement = createBond(
+    old.userData.start,
+    old.userData.end,
+    bondTypeForOrder(order),
+    moleculeType,
+    startAtomType,
+    endAtomType,
+    bondIndex
+  );
+  replacement.userData.order = order;
+  
+  // createBond appended the new bond; put it where the old one was
+  const tracked = bondObjects[moleculeType];
+  tracked.pop();
+  tracked[tracked.indexOf(old)] = replacement;
+  
+  styleBond(replacement, representation, getUnitsPerAngstrom(old.parent));
+  old.parent.add(replacement);
+  old.parent.remove(old);
+  disposeObject(old);
+  return replacement;
+}
+
+// Redraw the bonds whose order differs from the contributor and recompute the formal charges
+function applyResonanceContributor(state, contributor, fade = true) {
+  state.bonds.forEach((bond, index) => {
+    const order = contributor.orders[index];
+    if (bond.order === order) return;
+    
+    const replacement = replaceBond(
+      bond.object,
+      order,
+      state.moleculeType,
+      state.atoms[bond.begin].userData.atomType,
+      state.atoms[bond.end].userData.atomType,
+      index
+    );
+    bond.object = replacement;
+    bond.order = order;
+    
+    if (fade) {
+      replacement.traverse(child => {
+        if (!child.material) return;
+        child.material.transparent = true;
+        child.material.opacity = 0;
+        gsap.to(child.material, { opacity: 1, duration: 0.4, ease: "power1.out" });
+      });
+    }
+  });
+  
+  state.atoms.forEach((atom, index) => {
+    atom.userData.lonePairs = contributor.lonePairs[index];
+  });
+  applyFormalCharges(state.group);
+  updateMolecularSurfaces(state.group);
+}
+
+// Resonance state of the displayed molecule (the previous molecule is put back first)
+function getDisplayedResonance() {
+  const moleculeKey = getDisplayedMoleculeKey();
+  if (!resonanceState || resonanceState.moleculeType !== moleculeKey || resonanceState.group !== molecules[moleculeKey].group) {
+    resetResonance();
+    resonanceState = getGroupResonance(moleculeKey);
+  }
+  return resonanceState;
+}
+
+// Show contributor index of the displayed molecule, or the delocalized hybrid for index -1
+function showResonanceStructure(index) {
+  if (!getDisplayedResonance() || resonanceState.contributors.length < 2) return;
+  
+  const contributors = resonanceState.contributors;
+  const contributor = index === -1 ? getResonanceHybrid(contributors) : contributors[index];
+  applyResonanceContributor(resonanceState, contributor);
+  resonanceState.index = index;
+  updateResonanceControls();
+  updateChargeCheck();
+}
+
+function stopResonanceAnimation() {
+  if (resonanceState && resonanceState.animation) {
+    resonanceState.animation.kill();
+    resonanceState.animation = null;
+  }
+}
+
+// Cycle through the contributors until stopped
+function toggleResonanceAnimation() {
+  if (resonanceState && resonanceState.animation) {
+    stopResonanceAnimation();
+    updateResonanceControls();
+    return;
+  }
+  
+  const advance = () => {
+    const count = resonanceState.contributors.length;
+    showResonanceStructure((Math.max(resonanceState.index, 0) + 1) % count);
+    resonanceState.animation = gsap.delayedCall(RESONANCE_ANIMATION_INTERVAL, advance);
+    updateResonanceControls();
+  };
+  showResonanceStructure(0);
+  if (resonanceState && resonanceState.contributors.length > 1) {
+    resonanceState.animation = gsap.delayedCall(RESONANCE_ANIMATION_INTERVAL, advance);
+    updateResonanceControls();
+  }
+}
+
+// Put the molecule back to the structure it was drawn with
+function resetResonance() {
+  if (!resonanceState) return;
+  stopResonanceAnimation();
+  const { moleculeType, group, contributors, index } = resonanceState;
+  if (index !== 0 && molecules[moleculeType] && molecules[moleculeType].group === group) {
+    applyResonanceContributor(resonanceState, contributors[0], false);
+  }
+  resonanceState = null;
+}
+
+// Show the resonance controls for molecules with more than one contributor
+function updateResonanceControls() {
+  const controlsRow = document.getElementById("resonance-controls");
+  if (!controlsRow) return;
+  
+  const moleculeKey = getDisplayedMoleculeKey();
+  if (resonanceState && (resonanceState.moleculeType !== moleculeKey || resonanceState.group !== molecules[moleculeKey].group)) {
+    resetResonance();
+  }
+  
+  let count = resonanceState ? resonanceState.contributors.length : 0;
+  if (!resonanceState && moleculeKey !== "imported" && molecules[moleculeKey]) {
+    const resonance = getGroupResonance(moleculeKey);
+    count = resonance ? resonance.contributors.length : 0;
+  }
+  controlsRow.classList.toggle("hidden", count < 2);
+  if (count < 2) return;
+  
+  const index = resonanceState ? resonanceState.index : 0;
+  document.getElementById("resonance-status").textContent = index === -1 ? "Hybrid" : `${index + 1}/${count}`;
+  controlsRow.querySelectorAll("[data-resonance]").forEach(button => {
+    const mode = button.getAttribute("data-resonance");
+    const active = (mode === "hybrid" && index === -1) ||
+      (mode === "animate" && resonanceState && resonanceState.animation);
+    button.classList.toggle("bg-blue-600", Boolean(active));
+    button.classList.toggle("bg-gray-700", !active);
+  });
+}
+
+// Split an object tree into species (covalently bonded fragments) with their formulas and net charges
+function getChargeSummary(object) {
+  const { atoms, links } = getAtomBondOrders(object);
+  
+  // Union-find over the covalent bonds
+  const roots = atoms.map((_, index) => index);
+  const findRoot = index => roots[index] === index ? index : (roots[index] = findRoot(roots[index]));
+  links.forEach(([a, b]) => {
+    roots[findRoot(a)] = findRoot(b);
+  });
+  
+  const fragments = {};
+  atoms.forEach((atom, index) => {
+    const root = findRoot(index);
+    if (!fragments[root]) fragments[root] = [];
+    fragments[root].push({ element: atom.userData.atomType, charge: atom.userData.charge || 0 });
+  });
+  
+  const species = Object.values(fragments).map(fragmentAtoms => ({
+    formula: getMolecularFormula(fragmentAtoms),
+    charge: roundCharge(fragmentAtoms.reduce((total, atom) => total + atom.charge, 0)),
+  }));
+  return {
+    species,
+    netCharge: roundCharge(species.reduce((total, item) => total + item.charge, 0)),
+  };
+}
+
+// Read a molecule record (see static/molfile.js) back from the atoms and bonds of a molecule group
+// Coordinates are converted to Å; bonds are matched to atoms by their end points
+function getMoleculeRecord(moleculeType, name = moleculeType) {
+  const atoms = atomObjects[moleculeType] || [];
+  if (atoms.length === 0) {
+    throw new Error(`No atoms found for ${moleculeType}`);
+  }
+  
+  const group = molecules[moleculeType] && molecules[moleculeType].group;
+  const unitsPerAngstrom = (group && group.userData.unitsPerAngstrom) || SCENE_UNITS_PER_ANGSTROM;
+  
+  const findAtomAt = point => {
+    let closest = -1;
+    let closestDistance = Infinity;
+    atoms.forEach((atom, index) => {
+      const distance = atom.position.distanceTo(point);
+      if (distance < closestDistance) {
+        closest = index;
+        closestDistance = distance;
+      }
+    });
+    return closestDistance < 0.05 ? closest : -1;
+  };
+  
+  const bonds = [];
+  (bondObjects[moleculeType] || []).forEach(bond => {
+    const { start, end, bondType, order } = bond.userData;
+    const begin = start ? findAtomAt(start) : -1;
+    const finish = end ? findAtomAt(end) : -1;
+    if (begin === -1 || finish === -1 || begin === finish) {
+      console.warn(`Skipping a ${bondType} bond of ${moleculeType} that does not connect two atoms`);
+      return;
+    }
+    bonds.push({
+      begin,
+      end: finish,
+      order: order !== undefined ? order : (BOND_TYPE_ORDERS[bondType] !== undefined ? BOND_TYPE_ORDERS[bondType] : 1),
+    });
+  });
+  
+  const record = {
+    name,
+    atoms: atoms.map(atom => ({
+      element: atom.userData.atomType,
+      x: atom.position.x / unitsPerAngstrom,
+      y: atom.position.y / unitsPerAngstrom,
+      z: atom.position.z / unitsPerAngstrom,
+      charge: atom.userData.charge || 0,
+    })),
+    bonds,
+    properties: {},
+  };
+  record.properties.FORMULA = getMolecularFormula(record.atoms);
+  return record;
+}
+
+// Key of the molecule group currently on screen (a SMILES-built molecule or the step's molecule)
+function getDisplayedMoleculeKey() {
+  if (molecules.custom && molecules.custom.group.visible) {
+    return "custom";
+  }
+  if (molecules.imported && molecules.imported.group.visible) {
+    return "imported";
+  }
+  return getMoleculeKeyForStep(currentStep);
+}
+
+// Offer text or binary data (ArrayBuffer) as a file download
+function downloadFile(fileName, data, mimeType = "text/plain") {
+  const blob = new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export the displayed molecule as MOL or XYZ, or every molecule of the pathway as one SDF file
+function exportMolecule(format) {
+  const status = document.getElementById("export-status");
+  try {
+    const moleculeKey = getDisplayedMoleculeKey();
+    const name = moleculeKey === "custom" ? SCIENTIFIC_DATA.custom.formula : getStepDefinition(currentStep).title;
+    const record = getMoleculeRecord(moleculeKey, name);
+    if (format === "sdf") {
+      record.properties.MOLECULE = moleculeKey;
+      if (moleculeKey !== "custom" && moleculeKey !== "imported") {
+        record.properties.STEP = currentStep + 1;
+      }
+      downloadFile(`${moleculeKey}.sdf`, writeSdf([record]), "chemical/x-mdl-sdfile");
+    } else if (format === "xyz") {
+      downloadFile(`${moleculeKey}.xyz`, writeXyz(record), "chemical/x-xyz");
+    } else {
+      downloadFile(`${moleculeKey}.mol`, writeMolfile(record), "chemical/x-mdl-molfile");
+    }
+    if (status) status.classList.add("hidden");
+  } catch (error) {
+    console.error(`Failed to export ${format.toUpperCase()}:`, error);
+    if (status) {
+      status.textContent = `${format.toUpperCase()} export failed: ${error.message}`;
+      status.classList.remove("hidden");
+    }
+  }
+}
+
+// userData entries that are plain values (GLTFExporter writes userData as glTF "extras";
+// references to other objects such as label sprites would not serialise)
+function getExportableUserData(userData) {
+  const exportable = {};
+  Object.keys(userData || {}).forEach(key => {
+    const value = userData[key];
+    if (value === null || ["string", "number", "boolean"].includes(typeof value)) {
+      exportable[key] = value;
+    }
+  });
+  return exportable;
+}
+
+// Copy an object tree for glTF export: visible meshes, lines and points share their geometry and
+// materials with the original, and sprites (labels, charge indicators) are baked into textured
+// planes facing the current camera because glTF has no sprites
+function createExportCopy(object) {
+  if (!object.visible || object.isLight || object.isCamera) return null;
+  
+  let copy;
+  if (object.isSprite) {
+    const material = new THREE.MeshBasicMaterial({
+      map: object.material.map,
+      color: object.material.color,
+      transparent: true,
+      opacity: object.material.opacity,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    copy = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+    copy.position.copy(object.position);
+    copy.scale.copy(object.scale);
+    
+    const parentQuaternion = new THREE.Quaternion();
+    if (object.parent) object.parent.getWorldQuaternion(parentQuaternion);
+    copy.quaternion.copy(parentQuaternion.invert().multiply(camera.quaternion));
+  } else {
+    if (object.isMesh) {
+      copy = new THREE.Mesh(object.geometry, object.material);
+    } else if (object.isLineSegments) {
+      copy = new THREE.LineSegments(object.geometry, object.material);
+    } else if (object.isLine) {
+      copy = new THREE.Line(object.geometry, object.material);
+    } else if (object.isPoints) {
+      copy = new THREE.Points(object.geometry, object.material);
+    } else {
+      copy = new THREE.Group();
+    }
+    copy.position.copy(object.position);
+    copy.quaternion.copy(object.quaternion);
+    copy.scale.copy(object.scale);
+  }
+  
+  copy.name = object.name;
+  copy.userData = getExportableUserData(object.userData);
+  object.children.forEach(child => {
+    const childCopy = createExportCopy(child);
+    if (childCopy) copy.add(childCopy);
+  });
+  return copy;
+}
+
+// Export the displayed molecule group or the whole scene (stomach environment included) as GLB
+function exportGlb(target) {
+  let root;
+  let fileName;
+  if (target === "scene") {
+    root = new THREE.Group();
+    scene.children.forEach(child => {
+      const copy = createExportCopy(child);
+      if (copy) root.add(copy);
+    });
+    root.name = "scene";
+    root.userData = { exportType: "scene" };
+    fileName = "nitrosamine-scene.glb";
+  } else {
+    const moleculeKey = getDisplayedMoleculeKey();
+    const group = molecules[moleculeKey] && molecules[moleculeKey].group;
+    if (!group) {
+      console.error(`No molecule group to export for ${moleculeKey}`);
+      return;
+    }
+    root = createExportCopy(group);
+    root.position.set(0, 0, 0);
+    root.userData.exportType = "molecule";
+    root.userData.moleculeType = moleculeKey;
+    fileName = `${moleculeKey}.glb`;
+  }
+  
+  const exporter = new THREE.GLTFExporter();
+  exporter.parse(root, result => {
+    downloadFile(fileName, result, "model/gltf-binary");
+    console.log(`Exported ${fileName} (${(result.byteLength / 1024).toFixed(1)} KB)`);
+  }, { binary: true, onlyVisible: true });
+}
+
+// Show a glTF/GLB scene or molecule in place of the current step's molecule
+// source: URL of a .glb/.gltf file or the contents of a .glb file as an ArrayBuffer
+function loadGlbScene(source) {
+  const loader = new THREE.GLTFLoader();
+  
+  return new Promise((resolve, reject) => {
+    const onLoad = gltf => {
+      const group = replaceMoleculeGroup("imported", () => {
+        const imported = new THREE.Group();
+        imported.add(gltf.scene);
+        // A whole exported scene carries its own stomach environment
+        imported.userData = { exportType: gltf.scene.children[0] && gltf.scene.children[0].userData.exportType };
+        return imported;
+      });
+      group.position.set(0, 0, 0);
+      
+      Object.keys(molecules).forEach(key => {
+        if (molecules[key] && molecules[key].group) {
+          molecules[key].group.visible = (key === "imported");
+          molecules[key].visible = (key === "imported");
+        }
+      });
+      
+      const stepTitle = document.querySelector(".step-title");
+      if (stepTitle) {
+        stepTitle.textContent = group.userData.exportType === "scene" ? "Imported Scene" : "Imported Model";
+      }
+      
+      const centre = new THREE.Box3().setFromObject(group).getCenter(new THREE.Vector3());
+      if (group.userData.exportType === "scene") centre.set(0, 0, 0);
+      gsap.to(controls.target, {
+        x: centre.x,
+        y: centre.y,
+        z: centre.z,
+        duration: 1,
+        ease: "power2.inOut",
+        onUpdate: () => controls.update(),
+      });
+      
+      console.log("Imported glTF model", gltf);
+      resolve(group);
+    };
+    
+    if (source instanceof ArrayBuffer) {
+      loader.parse(source, "", onLoad, reject);
+    } else {
+      loader.load(source, onLoad, undefined, reject);
+    }
+  });
+}
+
+// Dispose geometries, materials and textures of an object tree
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(material => {
+        if (material.map) material.map.dispose();
+        material.dispose();
+      });
+    }
+  });
+}
+
+// Replace the scene group of a molecule, keeping its position and visibility
+// buildGroup is called after the old atoms/bonds are dropped from atomObjects/bondObjects
+function replaceMoleculeGroup(moleculeType, buildGroup) {
+  const previous = molecules[moleculeType];
+  
+  atomObjects[moleculeType] = [];
+  bondObjects[moleculeType] = [];
+  
+  const group = buildGroup();
+  group.name = moleculeType;
+  applyRepresentation(group);
+  updateMolecularSurfaces(group);
+  
+  if (previous && previous.group) {
+    group.position.copy(previous.group.position);
+    group.visible = previous.group.visible;
+    scene.remove(previous.group);
+    disposeObject(previous.group);
+  } else {
+    group.visible = false;
+  }
+  
+  molecules[moleculeType] = { group, visible: group.visible };
+  scene.add(group);
+  return group;
+}
+
+// Load MOL/SDF coordinates for a molecule group, or build it from SMILES
+// source: { file, record (SDF record name or index), scale } or { smiles, scale }
+function loadMoleculeStructure(moleculeType, source) {
+  if (source.smiles) {
+    return Promise.resolve().then(() => {
+      const record = smilesToRecord(source.smiles, moleculeType);
+      replaceMoleculeGroup(moleculeType, () => createMoleculeFromRecord(record, moleculeType, {
+        scale: source.scale,
+      }));
+      console.log(`Built ${moleculeType} from SMILES ${source.smiles} (${record.atoms.length} atoms)`);
+    });
+  }
+  
+  return fetch(source.file)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} while loading ${source.file}`);
+      }
+      return response.text();
+    })
+    .then(text => {
+      let record;
+      if (/\.sdf$/i.test(source.file)) {
+        const records = parseSdf(text);
+        record = typeof source.record === "string"
+          ? records.find(candidate => candidate.name === source.record)
+          : records[source.record || 0];
+        if (!record) {
+          throw new Error(`Record ${source.record} not found in ${source.file}`);
+        }
+      } else {
+        record = parseMolfile(text);
+      }
+      
+      replaceMoleculeGroup(moleculeType, () => {
+        const group = createMoleculeFromRecord(record, moleculeType, { scale: source.scale });
+        // Measured bond lengths and angles of this structure, used by validateMoleculeGeometry
+        group.userData.measuredGeometry = source.geometry || null;
+        return group;
+      });
+      console.log(`Loaded ${moleculeType} from ${source.file} (${record.atoms.length} atoms, ${record.bonds.length} bonds)`);
+    });
+}
+
+// Replace hand-built molecules with the structure files listed in the pathway
+function loadPathwayStructures() {
+  const structures = (pathway && pathway.structures) || {};
+  
+  return Promise.all(Object.keys(structures).map(moleculeType =>
+    loadMoleculeStructure(moleculeType, structures[moleculeType]).catch(error => {
+      console.error(`Failed to load structure for ${moleculeType}, keeping the built-in model:`, error);
+    })
+  ));
+}
+
+// Default position of a loaded protein structure
+const PROTEIN_STRUCTURE_POSITION = [-14, 0, 2];
+
+// Secondary structure colours and tube radii (scene units) for the protein cartoon
+const CARTOON_STYLES = {
+  helix: { color: 0xEF5350, radius: 0.28 },
+  sheet: { color: 0xFFCA28, radius: 0.22 },
+  coil: { color: 0xB0BEC5, radius: 0.1 },
+};
+
+// Build a cartoon (backbone trace) of a protein structure parsed by static/pdb.js
+// Nitrosation sites (proline and N-terminal nitrogens) are highlighted as labelled N atoms
+function createProteinFromStructure(structure, moleculeType, options = {}) {
+  const scale = options.scale || 0.25;
+  const group = new THREE.Group();
+  group.userData = { unitsPerAngstrom: scale, sourceName: structure.title };
+  
+  const segments = getBackboneTrace(structure);
+  if (segments.length === 0) {
+    throw new Error("Structure has no protein backbone (no Cα atoms)");
+  }
+  
+  // Centre on the Cα atoms
+  const centre = new THREE.Vector3();
+  let caCount = 0;
+  segments.forEach(segment => segment.residues.forEach(residue => {
+    centre.add(new THREE.Vector3(residue.ca.x, residue.ca.y, residue.ca.z));
+    caCount++;
+  }));
+  centre.divideScalar(caCount);
+  const toScene = point => new THREE.Vector3(point.x, point.y, point.z).sub(centre).multiplyScalar(scale);
+  
+  const materials = {};
+  Object.keys(CARTOON_STYLES).forEach(type => {
+    materials[type] = new THREE.MeshPhongMaterial({
+      color: CARTOON_STYLES[type].color,
+      shininess: 40,
+      transparent: true,
+      opacity: 1.0,
+    });
+  });
+  
+  segments.forEach(segment => {
+    const points = segment.residues.map(residue => toScene(residue.ca));
+    const curve = new THREE.CatmullRomCurve3(points);
+    const lastIndex = points.length - 1;
+    
+    // Split the trace into runs of the same secondary structure, overlapping by half a residue
+    let runStart = 0;
+    for (let i = 1; i <= points.length; i++) {
+      if (i < points.length && segment.residues[i].secondary === segment.residues[runStart].secondary) continue;
+      
+      const type = segment.residues[runStart].secondary;
+      const from = Math.max(runStart - 0.5, 0) / lastIndex;
+      const to = Math.min(i - 0.5, lastIndex) / lastIndex;
+      const samples = Math.max(2, Math.ceil((i - runStart) * 4));
+      const runPoints = [];
+      for (let j = 0; j <= samples; j++) {
+        runPoints.push(curve.getPoint(from + (to - from) * (j / samples)));
+      }
+      
+      const geometry = new THREE.TubeGeometry(new THREE.CatmullRomCurve3(runPoints), samples * 2, CARTOON_STYLES[type].radius, 8, false);
+      const tube = new THREE.Mesh(geometry, materials[type]);
+      tube.name = `${type}_${segment.chainId}_${segment.residues[runStart].number}`;
+      group.add(tube);
+      
+      runStart = i;
+    }
+  });
+  
+  // Ligands such as the heme group, drawn as lines between atoms closer than a bond length
+  const ligandVertices = [];
+  getLigands(structure).forEach(ligand => {
+    for (let i = 0; i < ligand.atoms.length; i++) {
+      for (let j = i + 1; j < ligand.atoms.length; j++) {
+        const a = ligand.atoms[i];
+        const b = ligand.atoms[j];
+        const maxDistance = a.element === "Fe" || b.element === "Fe" ? 2.3 : 1.9;
+        if (Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z) <= maxDistance) {
+          ligandVertices.push(...toScene(a).toArray(), ...toScene(b).toArray());
+        }
+      }
+    }
+  });
+  if (ligandVertices.length > 0) {
+    const ligandGeometry = new THREE.BufferGeometry();
+    ligandGeometry.setAttribute("position", new THREE.Float32BufferAttribute(ligandVertices, 3));
+    const ligandLines = new THREE.LineSegments(ligandGeometry, new THREE.LineBasicMaterial({
+      color: 0xFF7043,
+      transparent: true,
+      opacity: 1.0,
+    }));
+    ligandLines.name = "ligands";
+    group.add(ligandLines);
+  }
+  
+  // Highlight nitrogens that can be nitrosated
+  findNitrosationSites(structure).forEach((site, index) => {
+    const atom = createAtom("N", toScene(site.position), true, moleculeType, index);
+    atom.scale.setScalar(0.3);
+    atom.userData.residue = `${site.residueName} ${site.residueNumber}${site.chainId ? ` (chain ${site.chainId})` : ""}`;
+    atom.userData.description = site.description;
+    group.add(atom);
+  });
+  
+  return group;
+}
+
+// Load a protein structure (PDB or mmCIF) into the protein environment group
+// source: { file, scale, position }
+function loadProteinStructure(source) {
+  return fetch(source.file)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} while loading ${source.file}`);
+      }
+      return response.text();
+    })
+    .then(text => {
+      const structure = parseProteinStructure(text, source.file);
+      const group = replaceMoleculeGroup("protein", () => createProteinFromStructure(structure, "protein", {
+        scale: source.scale,
+      }));
+      group.position.fromArray(Array.isArray(source.position) ? source.position : PROTEIN_STRUCTURE_POSITION);
+      console.log(`Loaded protein "${structure.title}" from ${source.file} (${structure.atoms.length} atoms, ${atomObjects.protein.length} nitrosation sites)`);
+    });
+}
+
+// Load the protein environment listed in the pathway
+function loadPathwayProtein() {
+  if (!pathway || !pathway.protein) return Promise.resolve();
+  
+  const status = document.getElementById("protein-status");
+  return loadProteinStructure(pathway.protein)
+    .then(() => {
+      if (status) status.classList.add("hidden");
+    })
+    .catch(error => {
+      console.error("Failed to load the protein structure:", error);
+      if (status) {
+        status.textContent = `Protein structure not shown: ${error.message}`;
+        status.classList.remove("hidden");
+      }
+    });
+}
+
+// B-DNA fragments (see buildDnaDuplex in static/dna.js) in the createAtom/createBond style, with the
+// guanine O⁶ and N⁷ alkylation sites highlighted and an alkyl group that can be attached to either
+const DNA_SCALE = 0.9; // Scene units per Å, so a 6 bp helix fits the view side on
+const DNA_ATOM_SCALE = 0.3; // Ball-and-stick atoms; van der Waals spheres would hide the grooves
+const DNA_SURFACE_SPACING = 0.8; // Å, grid of the electrostatic potential surface
+const ALKYLATION_SITES = {
+  O6: { label: "O⁶", color: 0xFF4081, bondLength: 1.43 },
+  N7: { label: "N⁷", color: 0x40C4FF, bondLength: 1.47 },
+};
+const ALKYLATION_APPROACH = 6; // Å the alkyl group travels before it bonds
+const ALKYLATION_DURATION = 1.6; // seconds
+const alkylRecords = {}; // Embedded alkyl groups by SMILES
+
+// Build a DNA duplex group for a sequence (5'→3' of strand I). The helix axis lies along x and the
+// major groove at residue options.facing turns to the camera
+function createDnaFragment(sequence, moleculeType, options = {}) {
+  const record = buildDnaDuplex(sequence);
+  const facing = record.residues.find(residue => residue.number === options.facing) || record.residues[0];
+  
+  // Twist the facing pair's major groove (x) onto +z, then swap x and z so the axis runs left to right
+  const rotation = new THREE.Quaternion()
+    .setFromAxisAngle(new THREE.Vector3(1, 0, 1).normalize(), Math.PI)
+    .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -facing.pair * B_DNA_TWIST * Math.PI / 180));
+  const rotated = {
+    ...record,
+    atoms: record.atoms.map(atom => {
+      const position = new THREE.Vector3(atom.x, atom.y, atom.z).applyQuaternion(rotation);
+      return { ...atom, x: position.x, y: position.y, z: position.z };
+    }),
+  };
+  
+  const group = createMoleculeFromRecord(rotated, moleculeType, {
+    scale: DNA_SCALE,
+    labels: false,
+    atomScale: DNA_ATOM_SCALE,
+  });
+  group.userData.dnaSequence = record.properties.SEQUENCE;
+  group.userData.dnaResidues = record.residues;
+  group.userData.surfaceSpacing = DNA_SURFACE_SPACING;
+  // The duplex surface takes seconds to build, so alkylation keeps the one the fragment was first given
+  group.userData.keepSurface = true;
+  return group;
+}
+
+// Atom object of a named atom in a residue of a DNA fragment group (null if it has none)
+function getDnaAtom(group, residueNumber, atomName) {
+  const residue = group.userData.dnaResidues.find(candidate => candidate.number === residueNumber);
+  const index = residue ? residue.atoms[atomName] : undefined;
+  if (index === undefined) return null;
+  return group.children.find(child => child.userData.atomType && child.userData.atomIndex === index) || null;
+}
+
+// Remove an atom or bond object from its group and from the atomObjects/bondObjects tracking
+function removeMoleculeObject(object, moleculeType) {
+  [atomObjects[moleculeType], bondObjects[moleculeType]].forEach(tracked => {
+    const index = tracked ? tracked.indexOf(object) : -1;
+    if (index !== -1) tracked.splice(index, 1);
+  });
+  object.parent.remove(object);
+  disposeObject(object);
+}
+
+// Bond objects of a group that end at an atom object
+function getAtomBonds(group, atom) {
+  return group.children.filter(child => child.userData.isBond &&
+    (child.userData.start.distanceTo(atom.position) < 0.05 || child.userData.end.distanceTo(atom.position) < 0.05));
+}
+
+// Pulsing halos and labels on the O⁶ and N⁷ atoms of a guanine residue
+function highlightAlkylationSites(group, residueNumber, sites = Object.keys(ALKYLATION_SITES)) {
+  if (group.userData.dnaResidues.find(residue => residue.number === residueNumber).base !== "G") {
+    throw new Error(`Residue ${residueNumber} of ${group.userData.dnaSequence} is not a guanine`);
+  }
+  
+  sites.forEach(site => {
+    const atom = getDnaAtom(group, residueNumber, site);
+    const style = ALKYLATION_SITES[site];
+    
+    const halo = new THREE.Mesh(
+      new THREE.SphereGeometry(0.9, 24, 24),
+      new THREE.MeshBasicMaterial({ color: style.color, transparent: true, opacity: 0.35, depthWrite: false })
+    );
+    halo.position.copy(atom.position);
+    halo.userData = { isAlkylationSite: true, site };
+    gsap.to(halo.scale, { x: 1.3, y: 1.3, z: 1.3, duration: 0.8, repeat: -1, yoyo: true, ease: "sine.inOut" });
+    group.add(halo);
+    
+    const label = createTextSprite(style.label, `#${style.color.toString(16).padStart(6, "0")}`);
+    label.position.copy(atom.position).add(new THREE.Vector3(0, 1.4, 0.6));
+    label.userData = { isAlkylationSite: true, site };
+    group.add(label);
+  });
+}
+
+// Direction (unit vector in the group) of the new bond from an alkylation site: in the base plane
+// anti to N1 at O⁶ (C6-O6-C 120°), along the external bisector of C5-N7-C8 at N⁷
+function getAlkylationDirection(group, residueNumber, site) {
+  const position = name => getDnaAtom(group, residueNumber, name).position;
+  if (site === "O6") {
+    const carbonyl = new THREE.Vector3().subVectors(position("O6"), position("C6")).normalize();
+    const ring = new THREE.Vector3().subVectors(position("N1"), position("C6"));
+    ring.addScaledVector(carbonyl, -ring.dot(carbonyl)).normalize();
+    return carbonyl.multiplyScalar(0.5).addScaledVector(ring, -Math.sqrt(3) / 2).normalize();
+  }
+  const n7 = position("N7");
+  return new THREE.Vector3()
+    .add(new THREE.Vector3().subVectors(position("C5"), n7).normalize())
+    .add(new THREE.Vector3().subVectors(position("C8"), n7).normalize())
+    .negate()
+    .normalize();
+}
+
+// Alkyl group record from SMILES (atom 0 bonds to the site) in place on a DNA fragment group: one H of
+// atom 0 is dropped and the group is turned about the new bond to keep clear of the DNA atoms
+function getAlkylRecord(group, siteAtom, direction, alkylSmiles, bondLength) {
+  if (!alkylRecords[alkylSmiles]) {
+    alkylRecords[alkylSmiles] = smilesToRecord(alkylSmiles, "alkyl");
+  }
+  const alkyl = alkylRecords[alkylSmiles];
+  const hydrogen = alkyl.bonds
+    .map(bond => (bond.begin === 0 ? bond.end : bond.end === 0 ? bond.begin : -1))
+    .find(index => index > 0 && alkyl.atoms[index].element === "H");
+  const kept = alkyl.atoms.map((_, index) => index).filter(index => index !== hydrogen);
+  const local = kept.map(index => new THREE.Vector3(
+    alkyl.atoms[index].x - alkyl.atoms[0].x,
+    alkyl.atoms[index].y - alkyl.atoms[0].y,
+    alkyl.atoms[index].z - alkyl.atoms[0].z
+  ));
+  
+  // The dropped hydrogen's bond becomes the bond to the site
+  const scale = group.userData.unitsPerAngstrom;
+  const hydrogenDirection = new THREE.Vector3(
+    alkyl.atoms[hydrogen].x - alkyl.atoms[0].x,
+    alkyl.atoms[hydrogen].y - alkyl.atoms[0].y,
+    alkyl.atoms[hydrogen].z - alkyl.atoms[0].z
+  ).normalize();
+  const alignment = new THREE.Quaternion().setFromUnitVectors(hydrogenDirection, direction.clone().negate());
+  const carbon = siteAtom.position.clone().addScaledVector(direction, bondLength * scale);
+  const dnaAtoms = group.children.filter(child => child.userData.atomType && child !== siteAtom);
+  
+  let best = null;
+  for (let step = 0; step < 12; step++) {
+    const spin = new THREE.Quaternion().setFromAxisAngle(direction, step * Math.PI / 6).multiply(alignment);
+    const positions = local.map(point => point.clone().applyQuaternion(spin).multiplyScalar(scale).add(carbon));
+    const clearance = Math.min(...positions.map(point =>
+      Math.min(...dnaAtoms.map(atom => atom.position.distanceTo(point)))
+    ));
+    if (!best || clearance > best.clearance) best = { clearance, positions };
+  }
+  
+  return {
+    name: alkyl.name,
+    atoms: kept.map((index, position) => ({
+      ...alkyl.atoms[index],
+      x: best.positions[position].x / scale,
+      y: best.positions[position].y / scale,
+      z: best.positions[position].z / scale,
+    })),
+    bonds: alkyl.bonds
+      .filter(bond => bond.begin !== hydrogen && bond.end !== hydrogen)
+      .map(bond => ({ ...bond, begin: kept.indexOf(bond.begin), end: kept.indexOf(bond.end) })),
+  };
+}
+
+// Attach an alkyl group (SMILES, atom 0 bonds to the site) to guanine O⁶ or N⁷ of a residue in a DNA
+// fragment group. Animated, it flies in along the new bond first. O⁶-alkylation turns the lactam into
+// the O⁶-alkyl lactim ether and releases the N1 proton; N⁷-alkylation leaves a cationic N⁷.
+// options: { animate, onComplete }
+function attachAlkylGroup(group, residueNumber, site, alkylSmiles, options = {}) {
+  const moleculeType = group.name;
+  const siteAtom = getDnaAtom(group, residueNumber, site);
+  if (!siteAtom || !ALKYLATION_SITES[site]) {
+    throw new Error(`Residue ${residueNumber} of ${group.userData.dnaSequence} has no ${site} alkylation site`);
+  }
+  
+  const direction = getAlkylationDirection(group, residueNumber, site);
+  const record = getAlkylRecord(group, siteAtom, direction, alkylSmiles, ALKYLATION_SITES[site].bondLength);
+  const alkyl = createMoleculeFromRecord(record, moleculeType, {
+    scale: group.userData.unitsPerAngstrom,
+    center: false,
+    labels: false,
+    atomScale: DNA_ATOM_SCALE,
+  });
+  alkyl.userData.isAlkylGroup = true;
+  applyRepresentation(alkyl);
+  updateMolecularSurfaces(alkyl);
+  group.add(alkyl);
+  
+  const bond = () => {
+    // The group may have been rebuilt while the alkyl group was on its way
+    if (alkyl.parent !== group) return;
+    
+    // Move the alkyl atoms into the fragment, numbered after its own atoms
+    const firstIndex = group.children.filter(child => child.userData.atomType).length;
+    const moved = alkyl.children.filter(child => !child.userData.isSurface);
+    moved.forEach(child => {
+      if (child.userData.atomType) child.userData.atomIndex += firstIndex;
+      group.add(child);
+    });
+    group.remove(alkyl);
+    disposeObject(alkyl);
+    const carbon = group.children.find(child => child.userData.atomType && child.userData.atomIndex === firstIndex);
+    carbon.userData.lonePairs = 0;
+    
+    const siteBond = createBond(siteAtom.position, carbon.position, "single", moleculeType, siteAtom.userData.atomType, "C", 0);
+    siteBond.userData.order = 1;
+    styleBond(siteBond, representation, group.userData.unitsPerAngstrom);
+    group.add(siteBond);
+    
+    // What removeAlkylation needs to put the base back
+    const alkylation = {
+      residue: residueNumber,
+      site,
+      smiles: alkylSmiles,
+      objects: [...moved, siteBond],
+      removed: null,
+    };
+    
+    if (site === "O6") {
+      setGuanineLactim(group, residueNumber, true);
+      const h1 = getDnaAtom(group, residueNumber, "H1");
+      alkylation.removed = {
+        atomIndex: h1.userData.atomIndex,
+        position: h1.position.clone(),
+        bonds: getAtomBonds(group, h1).map(object => ({ ...object.userData })),
+      };
+      getAtomBonds(group, h1).forEach(object => removeMoleculeObject(object, moleculeType));
+      removeMoleculeObject(h1, moleculeType);
+    } else {
+      siteAtom.userData.lonePairs = 0;
+    }
+    applyFormalCharges(group);
+    updateMolecularSurfaces(group);
+    group.userData.alkylation = alkylation;
+    
+    if (options.animate) {
+      siteBond.traverse(child => {
+        if (!child.material) return;
+        child.material.transparent = true;
+        child.material.opacity = 0;
+        gsap.to(child.material, { opacity: 1, duration: 0.4, ease: "power1.out" });
+      });
+    }
+    if (options.onComplete) options.onComplete();
+  };
+  
+  if (!options.animate) {
+    bond();
+    return;
+  }
+  alkyl.position.copy(direction).multiplyScalar(ALKYLATION_APPROACH * group.userData.unitsPerAngstrom);
+  gsap.to(alkyl.position, { x: 0, y: 0, z: 0, duration: ALKYLATION_DURATION, ease: "power2.out", onComplete: bond });
+}
+
+// Switch a guanine between the lactam (C6=O6, N1-H) and O⁶-alkyl lactim ether (C6-O6, C6=N1) bond orders
+function setGuanineLactim(group, residueNumber, lactim) {
+  const c6 = getDnaAtom(group, residueNumber, "C6");
+  const o6 = getDnaAtom(group, residueNumber, "O6");
+  const n1 = getDnaAtom(group, residueNumber, "N1");
+  const between = (a, b) => getAtomBonds(group, a).find(candidate => getAtomBonds(group, b).includes(candidate));
+  replaceBond(between(c6, o6), lactim ? 1 : 2, group.name, "C", "O");
+  replaceBond(between(c6, n1), lactim ? 2 : 1, group.name, "C", "N");
+}
+
+// Take the alkyl group and site highlights off a DNA fragment group (also one still on its way) and
+// put the guanine back, so the alkylation can be played again without rebuilding the fragment
+function removeAlkylation(group) {
+  const moleculeType = group.name;
+  group.children.slice().forEach(child => {
+    if (child.userData.isAlkylationSite) {
+      gsap.killTweensOf(child.scale);
+      group.remove(child);
+      disposeObject(child);
+    }
+    if (child.userData.isAlkylGroup) {
+      gsap.killTweensOf(child.position);
+      child.children.slice().forEach(object => removeMoleculeObject(object, moleculeType));
+      group.remove(child);
+    }
+  });
+  
+  const alkylation = group.userData.alkylation;
+  if (!alkylation) return;
+  alkylation.objects.forEach(object => removeMoleculeObject(object, moleculeType));
+  
+  if (alkylation.site === "O6") {
+    setGuanineLactim(group, alkylation.residue, false);
+    const { atomIndex, position, bonds } = alkylation.removed;
+    const hydrogen = createAtom("H", position, false, moleculeType, atomIndex);
+    hydrogen.scale.setScalar(DNA_ATOM_SCALE);
+    hydrogen.userData.lonePairs = 0;
+    group.add(hydrogen);
+    bonds.forEach(({ start, end, order }) => {
+      const other = group.children.find(child => child.userData.atomType && child !== hydrogen &&
+        (child.position.distanceTo(start) < 0.05 || child.position.distanceTo(end) < 0.05));
+      const bond = createBond(start, end, bondTypeForOrder(order), moleculeType, "H", other.userData.atomType, 0);
+      bond.userData.order = order;
+      group.add(bond);
+    });
+  } else {
+    getDnaAtom(group, alkylation.residue, alkylation.site).userData.lonePairs = 1;
+  }
+  
+  delete group.userData.alkylation;
+  applyFormalCharges(group);
+  applyRepresentation(group);
+  updateMolecularSurfaces(group);
+}
+
+// Build a molecule from a SMILES string and show it in place of the current step's molecule
+function showMoleculeFromSmiles(smiles) {
+  const record = smilesToRecord(smiles);
+  const group = replaceMoleculeGroup("custom", () => createMoleculeFromRecord(record, "custom"));
+  
+  const formula = getMolecularFormula(record.atoms);
+  SCIENTIFIC_DATA.custom = {
+    formula,
+    molecular_weight: `${getMolecularWeight(record.atoms).toFixed(2)} g/mol`,
+    properties: `Built from SMILES <span class="font-mono">${record.properties.SMILES}</span>`,
+  };
+  
+  // Show only the custom molecule (the stomach environment stays visible)
+  Object.keys(molecules).forEach(key => {
+    if (molecules[key] && molecules[key].group) {
+      molecules[key].group.visible = (key === "custom");
+      molecules[key].visible = (key === "custom");
+    }
+  });
+  group.visible = true;
+  
+  updateMoleculeData("custom");
+  const stepTitle = document.querySelector(".step-title");
+  if (stepTitle) {
+    stepTitle.textContent = `Custom Molecule: ${formula}`;
+  }
+  
+  gsap.to(controls.target, {
+    x: group.position.x,
+    y: group.position.y,
+    z: group.position.z,
+    duration: 1,
+    ease: "power2.inOut",
+    onUpdate: () => controls.update(),
+  });
+  
+  console.log(`Built ${formula} from SMILES ${smiles} (${record.atoms.length} atoms)`);
+  return record;
+}
+
+// Geometry report of a molecule group against the reference tables in static/geometry.js, or the
+// measured geometry of the structure file it was loaded from
+function validateMoleculeGeometry(moleculeType) {
+  const group = molecules[moleculeType] && molecules[moleculeType].group;
+  const measured = group ? group.userData.measuredGeometry : null;
+  return validateGeometry(getMoleculeRecord(moleculeType), GEOMETRY_TOLERANCES, measured);
+}
+
+// Check every molecule of the pathway and log a summary; returns the reports by molecule key
+function validatePathwayGeometry() {
+  const reports = {};
+  activeSteps.forEach(definition => {
+    if (!reports[definition.molecule]) {
+      reports[definition.molecule] = validateMoleculeGeometry(definition.molecule);
+    }
+  });
+  
+  console.table(Object.keys(reports).map(key => ({
+    molecule: key,
+    valid: reports[key].valid,
+    maxLengthDeviation: reports[key].maxLengthDeviation.toFixed(3),
+    maxAngleDeviation: reports[key].maxAngleDeviation.toFixed(1),
+    failures: [...reports[key].bonds, ...reports[key].angles].filter(item => !item.valid).length,
+  })));
+  return reports;
+}
+
+// Fill the developer panel with the bonds and angles of the displayed molecule, deviations first
+function updateGeometryPanel() {
+  const panel = document.getElementById("geometry-panel");
+  if (!panel || panel.classList.contains("hidden")) return;
+  
+  const summary = document.getElementById("geometry-summary");
+  const container = document.getElementById("geometry-report");
+  const moleculeKey = getDisplayedMoleculeKey();
+  
+  let report;
+  try {
+    report = validateMoleculeGeometry(moleculeKey);
+  } catch (error) {
+    summary.textContent = "";
+    container.innerHTML = `<p class="text-gray-400">${error.message}</p>`;
+    return;
+  }
+  
+  const failures = [...report.bonds, ...report.angles].filter(item => !item.valid).length;
+  summary.textContent = failures ? `${failures} off` : "OK";
+  summary.className = `px-2 py-0.5 rounded-full font-medium ${failures ? "bg-red-600" : "bg-green-600"}`;
+  
+  const rows = (items, measured, digits) => items
+    .slice()
+    .sort((a, b) => a.valid - b.valid || Math.abs(b.deviation || 0) - Math.abs(a.deviation || 0))
+    .map(item => `
+      <tr class="border-b border-gray-700 border-opacity-50 ${item.valid ? "" : "text-red-400"}" title="${item.source || "no reference"}">
+        <td class="py-1 pr-2 font-mono">${item.label}</td>
+        <td class="py-1 pr-2 text-right">${item[measured].toFixed(digits)}</td>
+        <td class="py-1 pr-2 text-right text-gray-400">${item.reference !== null ? item.reference.toFixed(digits) : "-"}</td>
+        <td class="py-1 text-right">${item.deviation !== null ? (item.deviation > 0 ? "+" : "") + item.deviation.toFixed(digits) : ""}</td>
+      </tr>
+    `).join("");
+  
+  container.innerHTML = `
+    <p class="text-gray-400 mb-2">${moleculeKey}: max ${report.maxLengthDeviation.toFixed(3)} Å, ${report.maxAngleDeviation.toFixed(1)}° (tolerance ${GEOMETRY_TOLERANCES.length} Å, ${GEOMETRY_TOLERANCES.angle}°)</p>
+    <table class="w-full text-left border-collapse mb-3">
+      <thead class="text-blue-300"><tr><th>Bond</th><th class="text-right">Å</th><th class="text-right">Ref</th><th class="text-right">Δ</th></tr></thead>
+      <tbody>${rows(report.bonds, "length", 3)}</tbody>
+    </table>
+    <table class="w-full text-left border-collapse">
+      <thead class="text-blue-300"><tr><th>Angle</th><th class="text-right">°</th><th class="text-right">Ref</th><th class="text-right">Δ</th></tr></thead>
+      <tbody>${rows(report.angles, "angle", 1)}</tbody>
+    </table>
+  `;
+}
+
+// Build the nitrosamine formed from one of the AMINES and show its compound data in the nitrosamine step
+function selectAmine(amineKey) {
+  const amine = AMINES[amineKey];
+  if (!amine) {
+    throw new Error(`Unknown amine: ${amineKey}`);
+  }
+  
+  if (!nitrosamineRecords[amineKey]) {
+    nitrosamineRecords[amineKey] = smilesToRecord(amine.product.smiles, amine.product.abbreviation);
+  }
+  const record = nitrosamineRecords[amineKey];
+  replaceMoleculeGroup("nitrosamine", () => createMoleculeFromRecord(record, "nitrosamine"));
+  selectedAmine = amineKey;
+  
+  Object.assign(SCIENTIFIC_DATA.nitrosamine, {
+    compound: `${amine.product.name} (${amine.product.abbreviation})`,
+    formula: getMolecularFormula(record.atoms),
+    molecular_weight: `${getMolecularWeight(record.atoms).toFixed(2)} g/mol`,
+    IARC_class: amine.product.iarc,
+    acceptable_intake: amine.product.acceptableIntake,
+    amine_source: `${amine.name}: ${amine.source}`,
+  });
+  
+  updateActivationSteps(amineKey);
+  
+  // The frontier orbitals show the selected amine as the reagent
+  if (frontierOrbitals) {
+    const nextDefinition = getStepDefinition(currentStep + 1);
+    showFrontierOrbitals(frontierOrbitals.moleculeType, nextDefinition.orbitals);
+    updateOrbitalButton();
+  }
+  
+  // Refresh the panel if the nitrosamine or one of its activation steps is on screen
+  if (pathway && ["nitrosamine", ...ACTIVATION_MOLECULES].includes(getMoleculeKeyForStep(currentStep))) {
+    updateMoleculeData(getDataKeyForStep(currentStep));
+    updateScientificContext(currentStep);
+  }
+  
+  updateKinetics();
+  updatePathwayMap();
+  
+  console.log(`Nitrosamine step now forms ${amine.product.abbreviation} from ${amine.name}`);
+  return record;
+}
+
+// Metabolic activation of the nitrosamine: α-hydroxynitrosamine, alkyldiazonium ion and the
+// O⁶-alkylguanine it forms in DNA (see "activation" in static/amines.js)
+const ACTIVATION_MOLECULES = ["alphaHydroxyNitrosamine", "alkyldiazonium", "guanineAdduct"];
+// The adduct is shown in a DNA fragment of KRAS codons 12-13 (GGT GGC); the second G of codon 12 is
+// where O⁶-alkylguanine gives the G→A (G12D) mutation found in nitrosamine-induced tumours
+const GUANINE_ADDUCT_DNA = { sequence: "GGTGGC", residue: 2, site: "O6" };
+
+// Put the guanine adduct step's DNA fragment (built on first use) back to unalkylated guanine and
+// alkylate it with the selected amine's diazonium ion, unless alkylated is false (the step's
+// transition then plays the alkylation, see playGuanineAlkylation)
+function resetGuanineAdduct(alkylated = true) {
+  let group = molecules.guanineAdduct && molecules.guanineAdduct.group;
+  if (group && group.userData.dnaSequence === GUANINE_ADDUCT_DNA.sequence) {
+    removeAlkylation(group);
+  } else {
+    group = replaceMoleculeGroup("guanineAdduct", () => createDnaFragment(GUANINE_ADDUCT_DNA.sequence, "guanineAdduct", {
+      facing: GUANINE_ADDUCT_DNA.residue,
+    }));
+  }
+  
+  if (alkylated) {
+    highlightAlkylationSites(group, GUANINE_ADDUCT_DNA.residue);
+    attachAlkylGroup(group, GUANINE_ADDUCT_DNA.residue, GUANINE_ADDUCT_DNA.site, guanineAdductAlkyl);
+  }
+  return group;
+}
+
+// Highlight the alkylation sites of the (unalkylated) guanine adduct fragment and fly the alkyl group in
+function playGuanineAlkylation() {
+  const group = molecules.guanineAdduct.group;
+  if (group.userData.alkylation) return;
+  highlightAlkylationSites(group, GUANINE_ADDUCT_DNA.residue);
+  attachAlkylGroup(group, GUANINE_ADDUCT_DNA.residue, GUANINE_ADDUCT_DNA.site, guanineAdductAlkyl, { animate: true });
+}
+
+// Build a molecule group queued in pendingMolecules, e.g. an activation step's molecule whose 3D
+// embedding would otherwise hold up the page load
+function buildPendingMolecule(moleculeType) {
+  const build = pendingMolecules[moleculeType];
+  if (!build) return;
+  delete pendingMolecules[moleculeType];
+  build();
+}
+
+// Set up the activation steps of an amine's nitrosamine and fill in their data. Their molecules are
+// embedded when the step is first shown. Nitrosamines that are not activated (NPRO) show the default
+// amine's activation with a note.
+function updateActivationSteps(amineKey) {
+  const activated = AMINES[amineKey].product.activation ? AMINES[amineKey] : AMINES[DEFAULT_AMINE];
+  const product = activated.product;
+  const activation = product.activation;
+  const note = activated === AMINES[amineKey] ? "" : ` (${AMINES[amineKey].product.abbreviation} is not activated)`;
+  
+  const buildRecord = (smiles, name) => {
+    if (!activationRecords[smiles]) {
+      activationRecords[smiles] = smilesToRecord(smiles, name);
+    }
+    return activationRecords[smiles];
+  };
+  
+  // The formula and weight only need the atoms of the SMILES graph, not its coordinates
+  const getAtoms = smiles => addExplicitHydrogens(parseSmiles(smiles)).atoms;
+  
+  const hydroxyName = `α-Hydroxy-${product.abbreviation}`;
+  pendingMolecules.alphaHydroxyNitrosamine = () => {
+    const hydroxy = buildRecord(activation.hydroxy.smiles, hydroxyName);
+    replaceMoleculeGroup("alphaHydroxyNitrosamine", () => createMoleculeFromRecord(hydroxy, "alphaHydroxyNitrosamine"));
+  };
+  const hydroxyAtoms = getAtoms(activation.hydroxy.smiles);
+  Object.assign(SCIENTIFIC_DATA.alphaHydroxyNitrosamine, {
+    compound: `${hydroxyName}${note}`,
+    formula: getMolecularFormula(hydroxyAtoms),
+    molecular_weight: `${getMolecularWeight(hydroxyAtoms).toFixed(2)} g/mol`,
+    formation: `α-Hydroxylation of ${product.abbreviation} by ${activation.enzyme} (O₂, NADPH)`,
+  });
+  
+  pendingMolecules.alkyldiazonium = () => {
+    const diazonium = buildRecord(activation.diazonium.smiles, activation.diazonium.name);
+    replaceMoleculeGroup("alkyldiazonium", () => createMoleculeFromRecord(diazonium, "alkyldiazonium"));
+  };
+  Object.assign(SCIENTIFIC_DATA.alkyldiazonium, {
+    compound: activation.diazonium.name + note,
+    formula: activation.diazonium.condensed + (activation.diazonium.aldehyde ? ` + ${activation.diazonium.aldehyde}` : ""),
+  });
+  
+  // The DNA fragment is built when its step is first shown (see resetGuanineAdduct); a fragment built
+  // for another amine loses its alkyl group and is alkylated again when shown
+  guanineAdductAlkyl = activation.adduct.alkyl;
+  const adduct = molecules.guanineAdduct && molecules.guanineAdduct.group;
+  if (adduct && adduct.visible) {
+    resetGuanineAdduct();
+  } else if (adduct) {
+    removeAlkylation(adduct);
+  }
+  Object.assign(SCIENTIFIC_DATA.guanineAdduct, {
+    compound: `${activation.adduct.name} in 5'-${GUANINE_ADDUCT_DNA.sequence}-3' (KRAS codons 12-13)${note}`,
+    formula: activation.adduct.condensed,
+  });
+  
+  // A step that is on screen shows the new amine's molecule straight away
+  ACTIVATION_MOLECULES.forEach(key => {
+    if (molecules[key] && molecules[key].group.visible) buildPendingMolecule(key);
+  });
+}
+
+// Reaction energy profile (pathway "energyProfile"): SVG diagram with a marker that follows the steps
+const STEP_TRANSITION_DURATION = 1.5; // seconds, see transitionBetweenSteps
+let energyProfile = null; // { path, marker, pointLengths, stepPoints, energies }
+const energyMarker = { length: 0 }; // Marker position as a length along the profile path
+
+// Draw the energy profile of the pathway into #energy-profile
+// Points: [{ label, energy, step }] in reaction order; points without a step are transition states
+function createEnergyProfile() {
+  const panel = document.getElementById("energy-profile-panel");
+  const container = document.getElementById("energy-profile");
+  // A branch has its own profile; the main route's doesn't apply to it
+  const branch = getPathwayBranch(activeBranch);
+  const profile = branch ? branch.energyProfile : pathway && pathway.energyProfile;
+  if (!panel || !container || !profile || !Array.isArray(profile.points) || profile.points.length < 2) {
+    if (panel) panel.classList.add("hidden");
+    energyProfile = null;
+    return;
+  }
+  
+  const width = 300;
+  const height = 170;
+  const margin = { left: 30, right: 12, top: 26, bottom: 30 };
+  const energies = profile.points.map(point => point.energy);
+  const minEnergy = Math.min(...energies);
+  const maxEnergy = Math.max(...energies);
+  const range = maxEnergy - minEnergy || 1;
+  
+  const points = profile.points.map((point, index) => ({
+    ...point,
+    x: margin.left + index * (width - margin.left - margin.right) / (profile.points.length - 1),
+    y: margin.top + (maxEnergy - point.energy) / range * (height - margin.top - margin.bottom),
+  }));
+  
+  // Flat tangents at every point, so minima and transition states are smooth extrema
+  const segment = (a, b) => {
+    const dx = (b.x - a.x) / 2;
+    return `C ${a.x + dx} ${a.y}, ${b.x - dx} ${b.y}, ${b.x} ${b.y}`;
+  };
+  const pathFor = count => `M ${points[0].x} ${points[0].y} ` +
+    points.slice(1, count).map((point, index) => segment(points[index], point)).join(" ");
+  
+  const zeroY = margin.top + maxEnergy / range * (height - margin.top - margin.bottom);
+  const unit = profile.unit || "kJ/mol";
+  
+  container.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full" xmlns="http://www.w3.org/2000/svg">
+      <line x1="${margin.left - 6}" y1="${height - margin.bottom + 6}" x2="${margin.left - 6}" y2="${margin.top - 14}" stroke="#6B7280" stroke-width="1" />
+      <line x1="${margin.left - 6}" y1="${height - margin.bottom + 6}" x2="${width - 4}" y2="${height - margin.bottom + 6}" stroke="#6B7280" stroke-width="1" />
+      <text x="6" y="${margin.top - 16}" fill="#9CA3AF" font-size="9">E (${unit})</text>
+      <text x="${width - 4}" y="${height - 4}" fill="#9CA3AF" font-size="9" text-anchor="end">Reaction coordinate</text>
+      ${minEnergy < 0 && maxEnergy > 0 ? `<line x1="${margin.left - 6}" y1="${zeroY}" x2="${width - 4}" y2="${zeroY}" stroke="#374151" stroke-dasharray="3 3" />` : ""}
+      <path id="energy-profile-path" d="${pathFor(points.length)}" fill="none" stroke="#60A5FA" stroke-width="2" />
+      ${points.map(point => {
+        const transitionState = point.step === undefined;
+        return `
+          <circle cx="${point.x}" cy="${point.y}" r="${transitionState ? 2 : 3}" fill="${transitionState ? "#F87171" : "#93C5FD"}" />
+          <text x="${point.x}" y="${transitionState ? point.y - 6 : point.y + 13}" fill="${transitionState ? "#FCA5A5" : "#E5E7EB"}" font-size="8.5" text-anchor="middle">${point.label || (transitionState ? "‡" : "")}</text>
+          <text x="${margin.left - 9}" y="${point.y + 3}" fill="#6B7280" font-size="7" text-anchor="end">${transitionState ? "" : point.energy}</text>
+        `;
+      }).join("")}
+      <circle id="energy-profile-marker" r="5" fill="#FBBF24" stroke="#FFFFFF" stroke-width="1.5" />
+    </svg>
+  `;
+  
+  // Path length at every point, for moving the marker from one point to another
+  const measure = document.createElementNS("http://www.w3.org/2000/svg", "path");
+  const svg = container.querySelector("svg");
+  svg.appendChild(measure);
+  const pointLengths = points.map((_, index) => {
+    if (index === 0) return 0;
+    measure.setAttribute("d", pathFor(index + 1));
+    return measure.getTotalLength();
+  });
+  svg.removeChild(measure);
+  
+  const stepPoints = {};
+  points.forEach((point, index) => {
+    if (point.step !== undefined) stepPoints[point.step] = index;
+  });
+  
+  energyProfile = {
+    path: container.querySelector("#energy-profile-path"),
+    marker: container.querySelector("#energy-profile-marker"),
+    pointLengths,
+    stepPoints,
+    energies,
+  };
+  panel.classList.remove("hidden");
+  setEnergyMarker(pointLengths[stepPoints[currentStep] || 0]);
+}
+
+function setEnergyMarker(length) {
+  if (!energyProfile) return;
+  energyMarker.length = length;
+  const point = energyProfile.path.getPointAtLength(length);
+  energyProfile.marker.setAttribute("cx", point.x);
+  energyProfile.marker.setAttribute("cy", point.y);
+}
+
+// Path length of the highest point between two steps (the transition state the reaction passes)
+function getEnergyBarrierLength(fromStep, toStep) {
+  const from = energyProfile.stepPoints[fromStep];
+  const to = energyProfile.stepPoints[toStep];
+  let highest = to;
+  for (let index = Math.min(from, to); index <= Math.max(from, to); index++) {
+    if (energyProfile.energies[index] > energyProfile.energies[highest]) highest = index;
+  }
+  return energyProfile.pointLengths[highest];
+}
+
+// Add the marker movement of a step change to the transition's master timeline: up to the barrier
+// while the mechanism arrows are drawn (climbDuration), then down to the product during the fade
+function addEnergyMarkerTweens(timeline, fromStep, toStep, climbDuration, descendDuration) {
+  if (!energyProfile || energyProfile.stepPoints[fromStep] === undefined || energyProfile.stepPoints[toStep] === undefined) return;
+  
+  const target = energyProfile.pointLengths[energyProfile.stepPoints[toStep]];
+  const onUpdate = () => setEnergyMarker(energyMarker.length);
+  if (climbDuration > 0) {
+    timeline.to(energyMarker, { length: getEnergyBarrierLength(fromStep, toStep), duration: climbDuration, ease: "power1.inOut", onUpdate });
+  }
+  timeline.to(energyMarker, { length: target, duration: descendDuration, ease: climbDuration > 0 ? "power1.in" : "power1.inOut", onUpdate });
+}
+
+// Put the marker on a step without animation
+function updateEnergyMarker(step) {
+  if (!energyProfile || energyProfile.stepPoints[step] === undefined) return;
+  if (animationTimelines.transition) animationTimelines.transition.kill();
+  setEnergyMarker(energyProfile.pointLengths[energyProfile.stepPoints[step]]);
+}
+
+// Gastric pH: nitrite/nitrous acid speciation and the H⁺ ions of the stomach group
+const PH_RANGE = { min: 1, max: 7, step: 0.1 };
+let gastricPH = 2;
+
+function getNitrousAcidPKa() {
+  return parseFloat(SCIENTIFIC_DATA.nitrousAcid.pKa);
+}
+
+// Henderson–Hasselbalch: pH = pKa + log([NO₂⁻]/[HNO₂]), as fractions of the total nitrite
+function getNitriteSpeciation(pH, pKa = getNitrousAcidPKa()) {
+  const ratio = Math.pow(10, pH - pKa);
+  return { nitrite: ratio / (1 + ratio), nitrousAcid: 1 / (1 + ratio) };
+}
+
+// H⁺ ions drawn in the stomach: 15 at pH 2, scaling with the fourth root of [H⁺]
+// (a tenfold concentration change would be too many or too few spheres to show)
+function getHydrogenIonCount(pH) {
+  return Math.max(1, Math.round(15 * Math.pow(10, (2 - pH) / 4)));
+}
+
+// H⁺ ions spread over a sphere around the reaction, so fewer ions are also less dense
+function createHydrogenIons(count) {
+  const hIons = [];
+  
+  for (let i = 0; i < count; i++) {
+    // Distribute H+ ions in a spherical pattern
+    const radius = 15; // Distribution radius
+    const phi = Math.random() * Math.PI;
+    const theta = Math.random() * 2 * Math.PI;
+    
+    // Convert spherical to cartesian coordinates
+    const position = new THREE.Vector3(
+      radius * Math.sin(phi) * Math.cos(theta),
+      radius * Math.cos(phi),
+      radius * Math.sin(phi) * Math.sin(theta)
+    );
+    
+    const hIon = createAtom(
+      "H",
+      position,
+      true,
+      "stomach",
+      i
+    );
+    hIon.userData.isHydrogenIon = true;
+    
+    // Make H+ ions subtly visible but not distracting from main reaction
+    const ionScale = 0.9; // Slightly smaller to be less visually dominant
+    hIon.children[0].scale.set(ionScale, ionScale, ionScale);
+    
+    // Make H+ ions slightly translucent so they don't obstruct the view
+    hIon.children[0].material.transparent = true;
+    hIon.children[0].material.opacity = 0.8;
+    
+    molecules.stomach.group.add(hIon);
+    hIons.push(hIon);
+  }
+  
+  return hIons;
+}
+
+// Replace the H⁺ ions of the stomach with the number for a new pH
+function updateHydrogenIons(pH) {
+  if (!molecules.stomach) return;
+  
+  const oldIons = molecules.stomach.group.children.filter(child => child.userData.isHydrogenIon);
+  oldIons.forEach(ion => {
+    molecules.stomach.group.remove(ion);
+    disposeObject(ion);
+  });
+  if (atomObjects.stomach) {
+    atomObjects.stomach = atomObjects.stomach.filter(atom => !oldIons.includes(atom));
+  }
+  
+  createHydrogenIons(getHydrogenIonCount(pH)).forEach(ion => {
+    applyFormalCharges(ion);
+    applyRepresentation(ion);
+    updateMolecularSurfaces(ion);
+  });
+}
+
+// The info panel and kinetics sliders both set the gastric pH
+function setGastricPH(pH, updateIons = true) {
+  gastricPH = Math.min(PH_RANGE.max, Math.max(PH_RANGE.min, pH));
+  document.querySelectorAll("#ph-slider, #kinetics-ph").forEach(slider => {
+    slider.value = gastricPH;
+  });
+  updatePHReadout();
+  if (updateIons) {
+    updateHydrogenIons(gastricPH);
+    updateKinetics();
+  }
+}
+
+// Readout and speciation chart of the pH control
+function updatePHReadout() {
+  const readout = document.getElementById("ph-readout");
+  const chart = document.getElementById("ph-chart");
+  const pKa = getNitrousAcidPKa();
+  const speciation = getNitriteSpeciation(gastricPH, pKa);
+  const percent = value => `${(value * 100).toFixed(value > 0.999 || value < 0.001 ? 2 : 1)}%`;
+  
+  if (readout) {
+    readout.innerHTML = `
+      <div class="flex justify-between"><span class="text-gray-400">pH</span><span class="font-medium">${gastricPH.toFixed(1)}</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">HNO₂</span><span class="text-blue-300">${percent(speciation.nitrousAcid)}</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">NO₂⁻</span><span class="text-amber-300">${percent(speciation.nitrite)}</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">H⁺ ions shown</span><span>${getHydrogenIonCount(gastricPH)}</span></div>
+    `;
+  }
+  
+  if (chart) {
+    const width = 280;
+    const height = 110;
+    const margin = { left: 24, right: 6, top: 8, bottom: 20 };
+    const x = pH => margin.left + (pH - PH_RANGE.min) / (PH_RANGE.max - PH_RANGE.min) * (width - margin.left - margin.right);
+    const y = fraction => margin.top + (1 - fraction) * (height - margin.top - margin.bottom);
+    
+    const curve = species => {
+      const points = [];
+      for (let pH = PH_RANGE.min; pH <= PH_RANGE.max + 1e-9; pH += PH_RANGE.step) {
+        points.push(`${x(pH).toFixed(1)},${y(getNitriteSpeciation(pH, pKa)[species]).toFixed(1)}`);
+      }
+      return points.join(" ");
+    };
+    const ticks = [];
+    for (let pH = PH_RANGE.min; pH <= PH_RANGE.max; pH++) ticks.push(pH);
+    
+    chart.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" class="w-full" xmlns="http://www.w3.org/2000/svg">
+        <line x1="${margin.left}" y1="${y(0)}" x2="${width - margin.right}" y2="${y(0)}" stroke="#6B7280" />
+        <line x1="${margin.left}" y1="${y(0)}" x2="${margin.left}" y2="${y(1)}" stroke="#6B7280" />
+        ${ticks.map(pH => `<text x="${x(pH)}" y="${height - 6}" fill="#9CA3AF" font-size="8" text-anchor="middle">${pH}</text>`).join("")}
+        <text x="${margin.left - 4}" y="${y(1) + 3}" fill="#9CA3AF" font-size="8" text-anchor="end">1</text>
+        <text x="${margin.left - 4}" y="${y(0.5) + 3}" fill="#9CA3AF" font-size="8" text-anchor="end">0.5</text>
+        <line x1="${x(pKa)}" y1="${y(0)}" x2="${x(pKa)}" y2="${y(1)}" stroke="#4B5563" stroke-dasharray="2 2" />
+        <text x="${x(pKa) + 3}" y="${y(1) + 6}" fill="#6B7280" font-size="7">pKa ${pKa}</text>
+        <polyline points="${curve("nitrousAcid")}" fill="none" stroke="#93C5FD" stroke-width="1.5" />
+        <polyline points="${curve("nitrite")}" fill="none" stroke="#FCD34D" stroke-width="1.5" />
+        <line x1="${x(gastricPH)}" y1="${y(0)}" x2="${x(gastricPH)}" y2="${y(1)}" stroke="#F87171" />
+        <circle cx="${x(gastricPH)}" cy="${y(speciation.nitrousAcid)}" r="3" fill="#93C5FD" />
+        <circle cx="${x(gastricPH)}" cy="${y(speciation.nitrite)}" r="3" fill="#FCD34D" />
+      </svg>
+    `;
+  }
+}
+
+// Nitrosation kinetics: rate = k[amine][HNO₂]² integrated over the time in the stomach
+// The free (unprotonated) amine reacts, so the rate peaks near the pKa of HNO₂ (Mirvish)
+const GASTRIC_VOLUME = 0.5; // L
+const NITRITE_MOLAR_MASS = 69.0; // g/mol, NaNO₂
+const KINETICS_INTEGRATION_STEPS = 240;
+const KINETICS_REFERENCE_RATE = 1e-13; // M/s, initial rate that plays the nitrosation step at normal speed
+const MAX_PRODUCT_MOLECULES = 12;
+let kineticsSettings = {
+  nitriteDose: 10, // mg NaNO₂
+  amineConcentration: 1, // mM
+  scavengerConcentration: 2, // mM, used on branches with a "scavenger" (vitamin C)
+  time: 60, // min
+};
+let kineticsResult = null;
+let kineticsBaseline = null; // Same simulation without the scavenger of the active branch
+
+// Rate constant of the free amine with HNO₂, from the Mirvish constant at pH 3.4 (total concentrations)
+function getFreeAmineRateConstant(amine) {
+  const freeAmine = 1 / (1 + Math.pow(10, amine.pKa - 3.4));
+  return amine.nitrosationRate / (freeAmine * Math.pow(getNitriteSpeciation(3.4).nitrousAcid, 2));
+}
+
+// Integrate d[P]/dt = k[amine][HNO₂]² with RK4; one nitrite is used per nitrosamine
+// (2 HNO₂ → N₂O₃ + H₂O, N₂O₃ + R₂NH → R₂N-N=O + HNO₂)
+// A scavenger { rateConstant, nitritePerMolecule } competes for HNO₂: d[S]/dt = -k[S][HNO₂]
+function simulateNitrosation(amine, settings, pH, scavenger = null) {
+  const k = getFreeAmineRateConstant(amine);
+  const freeAmine = 1 / (1 + Math.pow(10, amine.pKa - pH));
+  const nitrousAcid = getNitriteSpeciation(pH).nitrousAcid;
+  
+  // Rates of change of [amine, nitrite, scavenger, product]
+  const derivatives = ([amineTotal, nitriteTotal, scavengerTotal]) => {
+    const hno2 = Math.max(0, nitriteTotal) * nitrousAcid;
+    const nitrosation = k * Math.max(0, amineTotal) * freeAmine * hno2 * hno2;
+    const scavenging = scavenger ? scavenger.rateConstant * Math.max(0, scavengerTotal) * hno2 : 0;
+    const nitritePerScavenger = scavenger ? scavenger.nitritePerMolecule : 0;
+    return [-nitrosation, -nitrosation - nitritePerScavenger * scavenging, -scavenging, nitrosation];
+  };
+  const add = (state, rates, factor) => state.map((value, index) => value + rates[index] * factor);
+  
+  const seconds = settings.time * 60;
+  const dt = seconds / KINETICS_INTEGRATION_STEPS;
+  let state = [
+    settings.amineConcentration / 1000, // M
+    settings.nitriteDose / 1000 / NITRITE_MOLAR_MASS / GASTRIC_VOLUME, // M
+    scavenger ? settings.scavengerConcentration / 1000 : 0, // M
+    0,
+  ];
+  const initialRate = derivatives(state)[3];
+  const points = [{ time: 0, product: 0 }];
+  
+  for (let step = 1; step <= KINETICS_INTEGRATION_STEPS; step++) {
+    const k1 = derivatives(state);
+    const k2 = derivatives(add(state, k1, dt / 2));
+    const k3 = derivatives(add(state, k2, dt / 2));
+    const k4 = derivatives(add(state, k3, dt));
+    state = state.map((value, index) => value + (k1[index] + 2 * k2[index] + 2 * k3[index] + k4[index]) * dt / 6);
+    points.push({ time: step * dt / 60, product: state[3] });
+  }
+  
+  return {
+    points,
+    initialRate,
+    product: state[3], // M
+    nitriteLeft: Math.max(0, state[1]), // M
+  };
+}
+
+// Mass of nitrosamine formed in the whole stomach (ng)
+function getNitrosamineMass(concentration) {
+  return concentration * GASTRIC_VOLUME * parseFloat(SCIENTIFIC_DATA.nitrosamine.molecular_weight) * 1e9;
+}
+
+// The nitrosation step plays faster or slower than the others depending on the simulated rate
+function getStepTransitionDuration(step) {
+  if (!kineticsResult || getMoleculeKeyForStep(step) !== "nitrosamine" || !kineticsResult.initialRate) {
+    return STEP_TRANSITION_DURATION;
+  }
+  const factor = 1 - 0.25 * Math.log10(kineticsResult.initialRate / KINETICS_REFERENCE_RATE);
+  return STEP_TRANSITION_DURATION * Math.min(2.5, Math.max(0.4, factor));
+}
+
+// Small copies of the product in the stomach: two more per tenfold increase of the mass formed
+function getProductMoleculeCount(mass) {
+  return Math.min(MAX_PRODUCT_MOLECULES, Math.max(0, Math.round(2 * Math.log10(1 + mass))));
+}
+
+// Meshes of a molecule group without labels or userData (Object3D.clone() can't copy the atom
+// userData, which refers back to the objects); geometries and materials are shared. Meshes hidden by
+// the representation are left out.
+function createProductCopy(source) {
+  const copy = new THREE.Group();
+  source.updateMatrixWorld(true);
+  const inverse = new THREE.Matrix4().copy(source.matrixWorld).invert();
+  const isShown = object => {
+    for (let node = object; node && node !== source; node = node.parent) {
+      if (!node.visible) return false;
+    }
+    return true;
+  };
+  
+  source.traverse(object => {
+    if (!object.isMesh || object.userData.isSurface || !isShown(object)) return;
+    const mesh = new THREE.Mesh(object.geometry, object.material);
+    new THREE.Matrix4().multiplyMatrices(inverse, object.matrixWorld).decompose(mesh.position, mesh.quaternion, mesh.scale);
+    copy.add(mesh);
+  });
+  
+  return copy;
+}
+
+function updateProductMolecules() {
+  if (!molecules.stomach || !molecules.nitrosamine) return;
+  
+  let products = molecules.stomach.group.getObjectByName("kineticsProducts");
+  if (products) {
+    molecules.stomach.group.remove(products);
+  }
+  products = new THREE.Group();
+  products.name = "kineticsProducts";
+  molecules.stomach.group.add(products);
+  
+  const count = kineticsResult ? getProductMoleculeCount(getNitrosamineMass(kineticsResult.product)) : 0;
+  for (let i = 0; i < count; i++) {
+    const copy = createProductCopy(molecules.nitrosamine.group);
+    copy.scale.setScalar(0.35);
+    copy.position.setFromSphericalCoords(
+      18 + Math.random() * 6,
+      Math.acos(2 * Math.random() - 1),
+      Math.random() * Math.PI * 2
+    );
+    copy.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+    copy.userData = { isProductCopy: true };
+    products.add(copy);
+  }
+  updateProductMoleculesVisibility();
+}
+
+// The products only exist from the nitrosation step on
+function updateProductMoleculesVisibility() {
+  const products = molecules.stomach && molecules.stomach.group.getObjectByName("kineticsProducts");
+  if (products && pathway) {
+    products.visible = getMoleculeKeyForStep(currentStep) === "nitrosamine";
+  }
+}
+
+function updateKinetics() {
+  const amine = AMINES[selectedAmine];
+  if (!amine) return;
+  
+  const branch = getPathwayBranch(activeBranch);
+  const scavenger = branch && branch.scavenger;
+  kineticsResult = simulateNitrosation(amine, kineticsSettings, gastricPH, scavenger);
+  kineticsBaseline = scavenger ? simulateNitrosation(amine, kineticsSettings, gastricPH) : null;
+  updateProductMolecules();
+  if (scavenger) updateScavengerData(scavenger);
+  
+  const scavengerControl = document.getElementById("kinetics-scavenger");
+  if (scavengerControl) {
+    scavengerControl.classList.toggle("hidden", !scavenger);
+    const name = document.getElementById("kinetics-scavenger-name");
+    if (name && scavenger) name.textContent = scavenger.name;
+  }
+  
+  const readout = document.getElementById("kinetics-readout");
+  const chart = document.getElementById("kinetics-chart");
+  const mass = getNitrosamineMass(kineticsResult.product);
+  const limit = parseFloat(amine.product.acceptableIntake);
+  
+  document.querySelectorAll("[data-kinetics-value]").forEach(output => {
+    const value = kineticsSettings[output.getAttribute("data-kinetics-value")];
+    output.textContent = value;
+  });
+  const phOutput = document.getElementById("kinetics-ph-value");
+  if (phOutput) phOutput.textContent = gastricPH.toFixed(1);
+  
+  if (readout) {
+    readout.innerHTML = `
+      <div class="flex justify-between"><span class="text-gray-400">Reaction</span><span>${amine.name} → ${amine.product.abbreviation}</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">k (pH 3.4)</span><span>${amine.nitrosationRate} M⁻² s⁻¹</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">Initial rate</span><span>${kineticsResult.initialRate.toExponential(2)} M/s</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">Formed after ${kineticsSettings.time} min</span><span class="font-medium text-amber-300">${(kineticsResult.product * 1e9).toPrecision(3)} nM · ${mass.toPrecision(3)} ng</span></div>
+      ${kineticsBaseline ? `<div class="flex justify-between"><span class="text-gray-400">Without ${scavenger.name.toLowerCase()}</span><span>${getNitrosamineMass(kineticsBaseline.product).toPrecision(3)} ng (${formatReduction(kineticsResult.product, kineticsBaseline.product)})</span></div>` : ""}
+      ${isNaN(limit) ? "" : `<div class="flex justify-between"><span class="text-gray-400">Acceptable intake</span><span>${(mass / limit * 100).toPrecision(3)}% of ${amine.product.acceptableIntake}</span></div>`}
+      <div class="flex justify-between"><span class="text-gray-400">Nitrosation step plays in</span><span>${getStepTransitionDuration(getNitrosamineStep()).toFixed(1)} s</span></div>
+    `;
+  }
+  
+  if (chart) {
+    const width = 280;
+    const height = 130;
+    const margin = { left: 34, right: 8, top: 10, bottom: 22 };
+    const maxProduct = (kineticsBaseline || kineticsResult).product || 1;
+    const x = time => margin.left + time / kineticsSettings.time * (width - margin.left - margin.right);
+    const y = product => margin.top + (1 - product / maxProduct) * (height - margin.top - margin.bottom);
+    const curve = kineticsResult.points.map(point => `${x(point.time).toFixed(1)},${y(point.product).toFixed(1)}`).join(" ");
+    
+    chart.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" class="w-full" xmlns="http://www.w3.org/2000/svg">
+        <line x1="${margin.left}" y1="${y(0)}" x2="${width - margin.right}" y2="${y(0)}" stroke="#6B7280" />
+        <line x1="${margin.left}" y1="${y(0)}" x2="${margin.left}" y2="${margin.top}" stroke="#6B7280" />
+        <text x="${margin.left - 4}" y="${margin.top + 3}" fill="#9CA3AF" font-size="8" text-anchor="end">${(maxProduct * 1e9).toPrecision(2)}</text>
+        <text x="${margin.left - 4}" y="${y(0) + 3}" fill="#9CA3AF" font-size="8" text-anchor="end">0</text>
+        <text x="4" y="${margin.top + (height - margin.top - margin.bottom) / 2}" fill="#9CA3AF" font-size="8">nM</text>
+        <text x="${margin.left}" y="${height - 6}" fill="#9CA3AF" font-size="8">0</text>
+        <text x="${width - margin.right}" y="${height - 6}" fill="#9CA3AF" font-size="8" text-anchor="end">${kineticsSettings.time} min</text>
+        ${kineticsBaseline ? `<polyline points="${kineticsBaseline.points.map(point => `${x(point.time).toFixed(1)},${y(point.product).toFixed(1)}`).join(" ")}" fill="none" stroke="#6B7280" stroke-width="1" stroke-dasharray="3 2" />` : ""}
+        <polyline points="${curve}" fill="none" stroke="#FCD34D" stroke-width="1.5" />
+      </svg>
+    `;
+  }
+  
+  // The intake calculator's nitrosamine estimate uses the same settings
+  updateIntake();
+}
+
+// Change of the amount formed, e.g. "-92%"
+function formatReduction(value, baseline) {
+  if (!baseline) return "–";
+  const change = (value / baseline - 1) * 100;
+  return `${change > 0 ? "+" : ""}${change.toFixed(Math.abs(change) >= 99 ? 1 : 0)}%`;
+}
+
+// Compound data and amount formed for the nitrosamine step of a branch with a scavenger
+function updateScavengerData(scavenger) {
+  const step = getNitrosamineStep();
+  const dataKey = getDataKeyForStep(step);
+  if (step < 0 || dataKey === "nitrosamine" || !SCIENTIFIC_DATA[dataKey]) return;
+  
+  const mass = getNitrosamineMass(kineticsResult.product);
+  const baselineMass = getNitrosamineMass(kineticsBaseline.product);
+  const { compound, formula, molecular_weight, IARC_class, acceptable_intake } = SCIENTIFIC_DATA.nitrosamine;
+  Object.assign(SCIENTIFIC_DATA[dataKey], {
+    compound,
+    formula,
+    molecular_weight,
+    IARC_class,
+    acceptable_intake,
+    nitrosamine_formed: `${mass.toPrecision(3)} ng in ${kineticsSettings.time} min, ` +
+      `${formatReduction(mass, baselineMass)} vs. ${baselineMass.toPrecision(3)} ng without ${scavenger.name.toLowerCase()}`,
+  });
+  
+  if (currentStep === step) updateMoleculeData(dataKey);
+}
+
+// Step of the pathway that shows the nitrosamine (the nitrosation)
+function getNitrosamineStep() {
+  if (!pathway) return -1;
+  return activeSteps.findIndex(step => step.molecule === "nitrosamine");
+}
+
+// Dietary nitrite calculator: nitrite eaten with cured meats (CURED_MEATS in static/foods.js) against
+// the ADI in SCIENTIFIC_DATA.sodiumNitrite, and the nitrosamine that dose could form in the stomach
+const NITRITE_ION_MOLAR_MASS = 46.01; // g/mol, NO₂⁻
+let intakeSettings = {
+  bodyWeight: 70, // kg
+  servings: Object.fromEntries(Object.keys(CURED_MEATS).map(key => [key, {
+    grams: DEFAULT_INTAKE_SERVINGS[key] || 0,
+    ppm: CURED_MEATS[key].ppm,
+  }])),
+};
+
+// Upper end of the nitrite ADI (mg NO₂⁻ per kg body weight), e.g. "ADI of 0-0.07 mg/kg body weight"
+function getNitriteAdi() {
+  const match = SCIENTIFIC_DATA.sodiumNitrite.daily_intake.match(/0-([\d.]+) mg\/kg/);
+  return match ? parseFloat(match[1]) : NaN;
+}
+
+// Nitrite eaten (mg NaNO₂ and mg NO₂⁻), its share of the ADI and the nitrosamine it could form with
+// the selected amine under the kinetics settings (ng)
+function calculateNitriteIntake(settings) {
+  const sodiumNitrite = Object.values(settings.servings)
+    .reduce((total, serving) => total + serving.grams / 1000 * serving.ppm, 0);
+  const nitriteIon = sodiumNitrite * NITRITE_ION_MOLAR_MASS / NITRITE_MOLAR_MASS;
+  const adi = getNitriteAdi() * settings.bodyWeight;
+  
+  const branch = getPathwayBranch(activeBranch);
+  const simulation = simulateNitrosation(AMINES[selectedAmine], { ...kineticsSettings, nitriteDose: sodiumNitrite },
+    gastricPH, branch && branch.scavenger);
+  
+  return {
+    sodiumNitrite,
+    nitriteIon,
+    adi,
+    adiPercent: nitriteIon / adi * 100,
+    nitrosamine: getNitrosamineMass(simulation.product),
+  };
+}
+
+// Rows of the servings table, one per cured meat
+function createIntakeRows() {
+  const body = document.getElementById("intake-servings");
+  if (!body) return;
+  
+  const input = (key, field, max) => `
+    <input data-intake-meat="${key}" data-intake-field="${field}" type="number" min="0" max="${max}" step="1"
+      value="${intakeSettings.servings[key][field]}"
+      class="w-16 px-1 py-0.5 bg-gray-900 border border-gray-700 rounded text-white text-right focus:outline-none focus:border-blue-500">`;
+  body.innerHTML = Object.keys(CURED_MEATS).map(key => `
+    <tr>
+      <td class="py-1 text-gray-200" title="Serving ${CURED_MEATS[key].serving} g">${CURED_MEATS[key].name}</td>
+      <td class="py-1 text-center">${input(key, "grams", 1000)}</td>
+      <td class="py-1 text-center">${input(key, "ppm", 500)}</td>
+    </tr>
+  `).join("");
+  
+  body.querySelectorAll("[data-intake-meat]").forEach(field => {
+    field.addEventListener("input", function() {
+      const value = parseFloat(this.value);
+      const serving = intakeSettings.servings[this.getAttribute("data-intake-meat")];
+      serving[this.getAttribute("data-intake-field")] = isNaN(value) ? 0 : Math.max(0, value);
+      updateIntake();
+    });
+  });
+}
+
+function updateIntake() {
+  const readout = document.getElementById("intake-readout");
+  if (!readout || !AMINES[selectedAmine]) return;
+  
+  const intake = calculateNitriteIntake(intakeSettings);
+  const amine = AMINES[selectedAmine];
+  const limit = parseFloat(amine.product.acceptableIntake);
+  const barColor = intake.adiPercent > 100 ? "bg-red-500" : intake.adiPercent > 50 ? "bg-amber-400" : "bg-emerald-500";
+  
+  readout.innerHTML = `
+    <div class="flex justify-between"><span class="text-gray-400">Nitrite eaten</span><span>${intake.sodiumNitrite.toPrecision(3)} mg NaNO₂ · ${intake.nitriteIon.toPrecision(3)} mg NO₂⁻</span></div>
+    <div class="flex justify-between"><span class="text-gray-400">ADI (${getNitriteAdi()} mg/kg × ${intakeSettings.bodyWeight} kg)</span><span>${intake.adi.toPrecision(3)} mg NO₂⁻</span></div>
+    <div class="flex justify-between"><span class="text-gray-400">Share of ADI</span><span class="font-medium ${intake.adiPercent > 100 ? "text-red-400" : "text-white"}">${intake.adiPercent.toFixed(0)}%</span></div>
+    <div class="h-2 rounded bg-gray-700 overflow-hidden"><div class="h-full ${barColor}" style="width: ${Math.min(100, intake.adiPercent).toFixed(1)}%"></div></div>
+    <div class="flex justify-between pt-1"><span class="text-gray-400">Nitrosating potential</span><span class="font-medium text-amber-300">${intake.nitrosamine.toPrecision(3)} ng ${amine.product.abbreviation}</span></div>
+    <div class="flex justify-between"><span class="text-gray-400">Conditions</span><span>${kineticsSettings.amineConcentration} mM ${amine.name.toLowerCase()}, pH ${gastricPH.toFixed(1)}, ${kineticsSettings.time} min</span></div>
+    ${isNaN(limit) ? "" : `<div class="flex justify-between"><span class="text-gray-400">Acceptable intake</span><span>${(intake.nitrosamine / limit * 100).toPrecision(3)}% of ${amine.product.acceptableIntake}</span></div>`}
+  `;
+}
+
+// Colorectal cancer relative risk of processed meat, log-linear in the daily intake from the
+// SCIENTIFIC_DATA.nitrosamine epidemiology figure (Chan et al., PLoS One 2011; IARC Monograph 114)
+const PROCESSED_MEAT_RISK = {
+  confidenceInterval: [1.10, 1.28], // 95% CI of the relative risk per reference intake
+  maxStudiedIntake: 150, // g/day, the curve is an extrapolation above this
+  baselineLifetimeRisk: 4.1, // % lifetime colorectal cancer risk of the general population (US, ACS)
+};
+const RISK_CHART_MAX_INTAKE = 200; // g/day
+let dailyProcessedMeat = 50; // g/day
+
+// Relative risk per reference intake, e.g. 1.18 per 50 g/day from
+// "Associated with 18% increased risk of colorectal cancer per 50g daily processed meat consumption"
+function getProcessedMeatRiskIncrement() {
+  const match = SCIENTIFIC_DATA.nitrosamine.epidemiology.match(/(\d+(?:\.\d+)?)% increased risk.* per (\d+)\s*g/);
+  if (!match) {
+    throw new Error("No dose-response figure in the nitrosamine epidemiology data");
+  }
+  return { relativeRisk: 1 + parseFloat(match[1]) / 100, intake: parseFloat(match[2]) };
+}
+
+// Relative risk at a daily intake (g/day) with its 95% confidence interval
+function estimateRelativeRisk(intake) {
+  const increment = getProcessedMeatRiskIncrement();
+  const exponent = intake / increment.intake;
+  const [low, high] = PROCESSED_MEAT_RISK.confidenceInterval;
+  return {
+    relativeRisk: Math.pow(increment.relativeRisk, exponent),
+    low: Math.pow(low, exponent),
+    high: Math.pow(high, exponent),
+    extrapolated: intake > PROCESSED_MEAT_RISK.maxStudiedIntake,
+  };
+}
+
+function updateRiskEstimate() {
+  const readout = document.getElementById("risk-readout");
+  const chart = document.getElementById("risk-chart");
+  const output = document.getElementById("risk-intake-value");
+  if (output) output.textContent = dailyProcessedMeat;
+  
+  const increment = getProcessedMeatRiskIncrement();
+  const risk = estimateRelativeRisk(dailyProcessedMeat);
+  const baseline = PROCESSED_MEAT_RISK.baselineLifetimeRisk;
+  
+  if (readout) {
+    readout.innerHTML = `
+      <div class="flex justify-between"><span class="text-gray-400">Relative risk</span><span class="font-medium ${risk.extrapolated ? "text-gray-300" : "text-amber-300"}">${risk.relativeRisk.toFixed(2)} (95% CI ${risk.low.toFixed(2)}-${risk.high.toFixed(2)})${risk.extrapolated ? " extrapolated" : ""}</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">Change in risk</span><span>${formatReduction(risk.relativeRisk, 1)}</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">Lifetime risk, approx.</span><span>${baseline}% → ${(baseline * risk.relativeRisk).toFixed(1)}%</span></div>
+      <div class="flex justify-between"><span class="text-gray-400">Basis</span><span>RR ${increment.relativeRisk.toFixed(2)} per ${increment.intake} g/day</span></div>
+    `;
+  }
+  
+  if (chart) {
+    const width = 280;
+    const height = 130;
+    const margin = { left: 34, right: 8, top: 10, bottom: 22 };
+    const maxRisk = Math.ceil(estimateRelativeRisk(RISK_CHART_MAX_INTAKE).high * 10) / 10;
+    const x = intake => margin.left + intake / RISK_CHART_MAX_INTAKE * (width - margin.left - margin.right);
+    const y = value => margin.top + (1 - (value - 1) / (maxRisk - 1)) * (height - margin.top - margin.bottom);
+    const intakes = [];
+    for (let intake = 0; intake <= RISK_CHART_MAX_INTAKE; intake += 5) intakes.push(intake);
+    const points = (values, key) => values.map(intake => `${x(intake).toFixed(1)},${y(estimateRelativeRisk(intake)[key]).toFixed(1)}`).join(" ");
+    const studied = intakes.filter(intake => intake <= PROCESSED_MEAT_RISK.maxStudiedIntake);
+    const extrapolated = intakes.filter(intake => intake >= PROCESSED_MEAT_RISK.maxStudiedIntake);
+    
+    chart.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" class="w-full" xmlns="http://www.w3.org/2000/svg">
+        <polygon points="${points(intakes, "high")} ${points(intakes.slice().reverse(), "low")}" fill="#FCD34D" fill-opacity="0.15" />
+        <line x1="${margin.left}" y1="${y(1)}" x2="${width - margin.right}" y2="${y(1)}" stroke="#6B7280" />
+        <line x1="${margin.left}" y1="${y(1)}" x2="${margin.left}" y2="${margin.top}" stroke="#6B7280" />
+        <text x="${margin.left - 4}" y="${margin.top + 3}" fill="#9CA3AF" font-size="8" text-anchor="end">${maxRisk.toFixed(1)}</text>
+        <text x="${margin.left - 4}" y="${y(1) + 3}" fill="#9CA3AF" font-size="8" text-anchor="end">1.0</text>
+        <text x="4" y="${margin.top + (height - margin.top - margin.bottom) / 2}" fill="#9CA3AF" font-size="8">RR</text>
+        <text x="${margin.left}" y="${height - 6}" fill="#9CA3AF" font-size="8">0</text>
+        <text x="${width - margin.right}" y="${height - 6}" fill="#9CA3AF" font-size="8" text-anchor="end">${RISK_CHART_MAX_INTAKE} g/day</text>
+        <polyline points="${points(studied, "relativeRisk")}" fill="none" stroke="#FCD34D" stroke-width="1.5" />
+        <polyline points="${points(extrapolated, "relativeRisk")}" fill="none" stroke="#FCD34D" stroke-width="1.5" stroke-dasharray="3 2" />
+        <circle cx="${x(dailyProcessedMeat).toFixed(1)}" cy="${y(risk.relativeRisk).toFixed(1)}" r="3.5" fill="#F87171" />
+      </svg>
+    `;
+  }
+}
+
+// Curved-arrow mechanism overlays (pathway step "arrows", drawn over the molecule of the previous step)
+const MECHANISM_ARROW_COLOR = 0xFFD54F;
+const MECHANISM_ARROW_STAGGER = 0.9; // seconds between arrows
+const MECHANISM_ARROW_HOLD = 1.2; // seconds the finished mechanism stays before the transition
+let mechanismArrows = null; // { group, moleculeType } of the arrows on screen
+
+// Text sprite for reagents that are not part of the molecule (H⁺, R₂NH)
+function createTextSprite(text, color = "#FFD54F") {
+  const canvas = document.createElement("canvas");
+  canvas.width = 256;
+  canvas.height = 128;
+  const context = canvas.getContext("2d");
+  
+  context.fillStyle = "rgba(0, 0, 0, 0.7)";
+  context.beginPath();
+  context.ellipse(128, 64, 120, 56, 0, 0, Math.PI * 2);
+  context.fill();
+  
+  context.fillStyle = color;
+  context.font = "Bold 64px Arial";
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  context.fillText(text, 128, 64);
+  
+  const texture = new THREE.CanvasTexture(canvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false }));
+  sprite.scale.set(2, 1, 1);
+  return sprite;
+}
+
+// Position of an arrow end point in the molecule group: { atom } (a lone pair on the atom when it is
+// the start), { bond: [a, b] } (the bond's electron pair) or { reagent, near, offset } (a reagent
+// label placed next to atom "near")
+function getArrowEndPoint(group, endPoint) {
+  const atomPosition = index => {
+    let found = null;
+    group.traverse(child => {
+      if (!found && child.userData.atomType && child.userData.atomIndex === index) found = child;
+    });
+    if (!found) throw new Error(`Mechanism arrow refers to atom ${index}, which ${group.name} does not have`);
+    return found.position.clone();
+  };
+  
+  if (endPoint.bond) {
+    return { position: atomPosition(endPoint.bond[0]).add(atomPosition(endPoint.bond[1])).multiplyScalar(0.5), atom: false };
+  }
+  if (endPoint.reagent) {
+    const position = endPoint.near !== undefined ? atomPosition(endPoint.near) : new THREE.Vector3();
+    position.add(new THREE.Vector3().fromArray(endPoint.offset || [0, 0, 0]));
+    return { position, atom: true, reagent: endPoint.reagent };
+  }
+  return { position: atomPosition(endPoint.atom), atom: true };
+}
+
+// Build one curved arrow (tube + cone head, with the lone pair dots at an atom start); drawn empty and
+// grown by playMechanismArrows
+function createCurvedArrow(group, arrow, centroid) {
+  const from = getArrowEndPoint(group, arrow.from);
+  const to = getArrowEndPoint(group, arrow.to);
+  const arrowGroup = new THREE.Group();
+  
+  // Keep the ends clear of the atom spheres
+  const direction = new THREE.Vector3().subVectors(to.position, from.position).normalize();
+  const start = from.position.clone();
+  const end = to.position.clone();
+  if (from.atom) start.addScaledVector(direction, 0.7);
+  if (to.atom) end.addScaledVector(direction, -0.9);
+  
+  // Bow the arrow in the molecule plane, away from the middle of the molecule
+  const chord = new THREE.Vector3().subVectors(end, start);
+  const middle = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
+  const bulge = new THREE.Vector3().crossVectors(chord, new THREE.Vector3(0, 0, 1)).normalize();
+  if (bulge.dot(new THREE.Vector3().subVectors(middle, centroid)) < 0) bulge.negate();
+  const control = middle.clone().addScaledVector(bulge, Math.max(chord.length() * 0.35, 0.8));
+  const curve = new THREE.QuadraticBezierCurve3(start, control, end);
+  
+  const material = new THREE.MeshStandardMaterial({
+    color: MECHANISM_ARROW_COLOR,
+    emissive: MECHANISM_ARROW_COLOR,
+    emissiveIntensity: 0.6,
+    transparent: true,
+  });
+  
+  const tubeGeometry = new THREE.TubeGeometry(curve, 48, 0.07, 8, false);
+  tubeGeometry.setDrawRange(0, 0);
+  arrowGroup.add(new THREE.Mesh(tubeGeometry, material));
+  
+  const head = new THREE.Mesh(new THREE.ConeGeometry(0.2, 0.5, 16), material);
+  const tangent = curve.getTangent(1);
+  head.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), tangent);
+  head.position.copy(end).addScaledVector(tangent, -0.25);
+  head.visible = false;
+  arrowGroup.add(head);
+  
+  // Electron pair at the start of a lone pair arrow
+  if (from.atom && !from.reagent) {
+    const side = new THREE.Vector3().crossVectors(direction, new THREE.Vector3(0, 0, 1)).normalize().multiplyScalar(0.14);
+    [1, -1].forEach(sign => {
+      const dot = new THREE.Mesh(new THREE.SphereGeometry(0.09, 12, 12), material);
+      dot.position.copy(start).addScaledVector(side, sign);
+      arrowGroup.add(dot);
+    });
+  }
+  
+  [from, to].filter(point => point.reagent).forEach(point => {
+    const label = createTextSprite(point.reagent);
+    label.position.copy(point.position);
+    arrowGroup.add(label);
+  });
+  
+  arrowGroup.userData = { tubeGeometry, head };
+  return arrowGroup;
+}
+
+function clearMechanismArrows() {
+  if (!mechanismArrows) return;
+  mechanismArrows.group.children.forEach(arrow => {
+    if (arrow.userData.progress) gsap.killTweensOf(arrow.userData.progress);
+  });
+  if (mechanismArrows.group.parent) mechanismArrows.group.parent.remove(mechanismArrows.group);
+  disposeObject(mechanismArrows.group);
+  mechanismArrows = null;
+}
+
+// Draw the arrows over a molecule one after the other; returns the duration in seconds
+function playMechanismArrows(moleculeType, arrows) {
+  clearMechanismArrows();
+  const group = molecules[moleculeType] && molecules[moleculeType].group;
+  if (!group) return 0;
+  
+  const centroid = new THREE.Vector3();
+  const atoms = (atomObjects[moleculeType] || []);
+  atoms.forEach(atom => centroid.add(atom.position));
+  if (atoms.length > 0) centroid.divideScalar(atoms.length);
+  
+  const arrowsGroup = new THREE.Group();
+  arrowsGroup.name = `${moleculeType}_mechanism`;
+  try {
+    arrows.forEach(arrow => arrowsGroup.add(createCurvedArrow(group, arrow, centroid)));
+  } catch (error) {
+    console.error("Could not draw the mechanism arrows:", error);
+    disposeObject(arrowsGroup);
+    return 0;
+  }
+  group.add(arrowsGroup);
+  mechanismArrows = { group: arrowsGroup, moleculeType };
+  
+  arrowsGroup.children.forEach((arrowGroup, index) => {
+    const { tubeGeometry, head } = arrowGroup.userData;
+    const indexCount = tubeGeometry.index.count;
+    const progress = { value: 0 };
+    arrowGroup.userData.progress = progress;
+    gsap.to(progress, {
+      value: 1,
+      duration: 0.7,
+      delay: index * MECHANISM_ARROW_STAGGER,
+      ease: "power1.inOut",
+      onUpdate: () => tubeGeometry.setDrawRange(0, Math.floor(progress.value * indexCount / 3) * 3),
+      onComplete: () => {
+        head.visible = true;
+      },
+    });
+  });
+  
+  return (arrows.length - 1) * MECHANISM_ARROW_STAGGER + 0.7 + MECHANISM_ARROW_HOLD;
+}
+
+// Show or hide the arrows of the next step's reaction over the current molecule
+function toggleMechanismPreview() {
+  if (mechanismArrows) {
+    clearMechanismArrows();
+  } else {
+    const nextDefinition = getStepDefinition(currentStep + 1);
+    if (nextDefinition && nextDefinition.arrows) {
+      playMechanismArrows(getMoleculeKeyForStep(currentStep), nextDefinition.arrows);
+    }
+  }
+  updateMechanismButton();
+}
+
+// The mechanism button is offered when the next step defines arrows and the step's molecule is shown
+function updateMechanismButton() {
+  const button = document.getElementById("mechanism-btn");
+  if (!button) return;
+  
+  const nextDefinition = getStepDefinition(currentStep + 1);
+  const available = Boolean(nextDefinition && nextDefinition.arrows) &&
+    getDisplayedMoleculeKey() === getMoleculeKeyForStep(currentStep);
+  button.classList.toggle("hidden", !available);
+  button.classList.toggle("bg-blue-600", Boolean(mechanismArrows));
+  button.classList.toggle("bg-gray-700", !mechanismArrows);
+}
+
+// Frontier orbital overlays (pathway step "orbitals", drawn over the molecule of the previous step like
+// the mechanism arrows): isosurfaces of extended Hückel orbitals (see static/orbitals.js) of a set of
+// the molecule's atoms or of a reagent placed next to it, with both phases in their own colour
+const ORBITAL_PHASE_COLORS = { positive: 0x9575CD, negative: 0x4DB6AC };
+const ORBITAL_OPACITY = 0.7;
+let frontierOrbitals = null; // { group, moleculeType, readout } of the orbitals on screen
+
+// Species of an orbital definition as a molecule record in Å in the frame of the molecule group:
+// { atoms } picks atoms of the molecule by atomIndex; { reagent: "amine", near, offset } builds the
+// selected amine with its nitrogen at the offset (scene units) from atom "near", lone pair towards it
+function getOrbitalSpecies(group, definition) {
+  const unitsPerAngstrom = getUnitsPerAngstrom(group);
+  const { atoms, bonds } = getAtomBondOrders(group);
+  const atomAt = index => {
+    const found = atoms.findIndex(atom => atom.parent === group && atom.userData.atomIndex === index);
+    if (found === -1) throw new Error(`Orbital refers to atom ${index}, which ${group.name} does not have`);
+    return found;
+  };
+  
+  if (definition.reagent) {
+    if (definition.reagent !== "amine") {
+      throw new Error(`Unknown orbital reagent: ${definition.reagent}`);
+    }
+    const amine = AMINES[selectedAmine];
+    const record = smilesToRecord(amine.amine, amine.name);
+    const target = atoms[atomAt(definition.near)].position.clone().divideScalar(unitsPerAngstrom);
+    const position = target.clone().add(new THREE.Vector3().fromArray(definition.offset || [0, 0, 0]).divideScalar(unitsPerAngstrom));
+    return { record: placeOrbitalReagent(record, target, position), unitsPerAngstrom, reagent: true };
+  }
+  
+  const members = definition.atoms.map(atomAt);
+  const record = {
+    name: group.name,
+    atoms: members.map(index => {
+      const atom = atoms[index];
+      const position = atom.position.clone().divideScalar(unitsPerAngstrom);
+      return { element: atom.userData.atomType, x: position.x, y: position.y, z: position.z, charge: atom.userData.charge || 0 };
+    }),
+    bonds: bonds
+      .filter(bond => bond.order > 0 && members.includes(bond.begin) && members.includes(bond.end))
+      .map(bond => ({ begin: members.indexOf(bond.begin), end: members.indexOf(bond.end), order: bond.order })),
+  };
+  return { record, unitsPerAngstrom, reagent: false };
+}
+
+// Turn and move a record (Å) so that the lone pair of its nitrogen, opposite its bonds, points from
+// position towards target, with the nitrogen at position
+function placeOrbitalReagent(record, target, position) {
+  const nitrogen = record.atoms.findIndex(atom => atom.element === "N");
+  if (nitrogen === -1) {
+    throw new Error(`${record.name} has no nitrogen to place`);
+  }
+  const vectorOf = atom => new THREE.Vector3(atom.x, atom.y, atom.z);
+  const origin = vectorOf(record.atoms[nitrogen]);
+  
+  const lonePair = new THREE.Vector3();
+  record.bonds.forEach(bond => {
+    if (bond.begin !== nitrogen && bond.end !== nitrogen) return;
+    const neighbour = record.atoms[bond.begin === nitrogen ? bond.end : bond.begin];
+    lonePair.sub(vectorOf(neighbour).sub(origin).normalize());
+  });
+  const rotation = new THREE.Quaternion().setFromUnitVectors(
+    lonePair.normalize(),
+    new THREE.Vector3().subVectors(target, position).normalize()
+  );
+  
+  return {
+    ...record,
+    atoms: record.atoms.map(atom => {
+      const placed = vectorOf(atom).sub(origin).applyQuaternion(rotation).add(position);
+      return { ...atom, x: placed.x, y: placed.y, z: placed.z };
+    }),
+  };
+}
+
+function createOrbitalMesh(surface, color, unitsPerAngstrom) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(surface.positions, 3));
+  geometry.setAttribute("normal", new THREE.Float32BufferAttribute(surface.normals, 3));
+  geometry.setIndex(surface.indices);
+  
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+    color,
+    transparent: true,
+    opacity: ORBITAL_OPACITY,
+    depthWrite: false,
+    shininess: 60,
+  }));
+  mesh.scale.setScalar(unitsPerAngstrom);
+  mesh.userData.isOrbital = true;
+  // Hovering goes through to the atoms inside
+  mesh.raycast = () => {};
+  return mesh;
+}
+
+// Share of an orbital on the atoms that carry at least 10% of it, e.g. "N 63%, O 37%"
+function formatOrbitalComposition(record, shares) {
+  return shares
+    .map((share, index) => ({ share, element: record.atoms[index].element }))
+    .filter(entry => entry.share >= 0.1)
+    .sort((a, b) => b.share - a.share)
+    .map(entry => `${entry.element} ${Math.round(entry.share * 100)}%`)
+    .join(", ");
+}
+
+function clearFrontierOrbitals() {
+  if (!frontierOrbitals) return;
+  const reagentType = frontierOrbitals.group.name;
+  delete atomObjects[reagentType];
+  delete bondObjects[reagentType];
+  if (frontierOrbitals.group.parent) frontierOrbitals.group.parent.remove(frontierOrbitals.group);
+  disposeObject(frontierOrbitals.group);
+  frontierOrbitals = null;
+}
+
+// Solve and draw the orbitals over a molecule; returns the readout entries
+// [{ label, orbital, energy, composition }] or null when they could not be drawn
+function showFrontierOrbitals(moleculeType, definitions) {
+  clearFrontierOrbitals();
+  const group = molecules[moleculeType] && molecules[moleculeType].group;
+  if (!group) return null;
+  
+  const orbitalsGroup = new THREE.Group();
+  orbitalsGroup.name = `${moleculeType}_orbitals`;
+  const readout = [];
+  try {
+    const species = definitions.map(definition => getOrbitalSpecies(group, definition));
+    const centroids = species.map(({ record }) => record.atoms
+      .reduce((sum, atom) => sum.add(new THREE.Vector3(atom.x, atom.y, atom.z)), new THREE.Vector3())
+      .divideScalar(record.atoms.length));
+    
+    definitions.forEach((definition, index) => {
+      const { record, unitsPerAngstrom, reagent } = species[index];
+      const result = solveExtendedHuckel(record);
+      const orbitalIndex = getOrbitalIndex(result, definition.orbital);
+      
+      // Degenerate orbitals (the two π* of NO⁺) are shown as the combination facing the other species
+      const others = centroids.filter((_, other) => other !== index);
+      const facing = others.length > 0
+        ? others.reduce((sum, centroid) => sum.add(centroid), new THREE.Vector3()).divideScalar(others.length)
+        : null;
+      const coefficients = getOrbitalTowards(result, orbitalIndex, facing && facing.toArray());
+      
+      const { positive, negative } = buildOrbitalIsosurfaces(result, coefficients, record);
+      orbitalsGroup.add(createOrbitalMesh(positive, ORBITAL_PHASE_COLORS.positive, unitsPerAngstrom));
+      orbitalsGroup.add(createOrbitalMesh(negative, ORBITAL_PHASE_COLORS.negative, unitsPerAngstrom));
+      
+      if (reagent) {
+        const reagentGroup = createMoleculeFromRecord(record, orbitalsGroup.name, { scale: unitsPerAngstrom, center: false });
+        applyRepresentation(reagentGroup);
+        applyAtomColoring(reagentGroup);
+        orbitalsGroup.add(reagentGroup);
+      }
+      
+      // Label on the far side of the species from the others
+      const radius = Math.max(...record.atoms.map(atom => centroids[index].distanceTo(new THREE.Vector3(atom.x, atom.y, atom.z))));
+      const away = facing ? new THREE.Vector3().subVectors(centroids[index], facing).normalize() : new THREE.Vector3(0, -1, 0);
+      const label = createTextSprite(definition.orbital, "#D1C4E9");
+      label.position.copy(centroids[index]).addScaledVector(away, radius + 1.2).multiplyScalar(unitsPerAngstrom);
+      orbitalsGroup.add(label);
+      
+      readout.push({
+        label: definition.label ? getAmineEquation(selectedAmine, definition.label) : definition.orbital,
+        orbital: definition.orbital,
+        energy: result.energies[orbitalIndex],
+        composition: formatOrbitalComposition(record, getOrbitalComposition(result, coefficients, record.atoms.length)),
+      });
+    });
+  } catch (error) {
+    console.error("Could not draw the frontier orbitals:", error);
+    delete atomObjects[orbitalsGroup.name];
+    delete bondObjects[orbitalsGroup.name];
+    disposeObject(orbitalsGroup);
+    return null;
+  }
+  
+  group.add(orbitalsGroup);
+  frontierOrbitals = { group: orbitalsGroup, moleculeType, readout };
+  console.log(`Frontier orbitals: ${readout.map(entry => `${entry.label} ${entry.energy.toFixed(2)} eV`).join(", ")}`);
+  return readout;
+}
+
+// Show or hide the orbitals of the next step's reaction over the current molecule
+function toggleFrontierOrbitals() {
+  if (frontierOrbitals) {
+    clearFrontierOrbitals();
+  } else {
+    const nextDefinition = getStepDefinition(currentStep + 1);
+    if (nextDefinition && nextDefinition.orbitals) {
+      showFrontierOrbitals(getMoleculeKeyForStep(currentStep), nextDefinition.orbitals);
+    }
+  }
+  updateOrbitalButton();
+}
+
+// The orbitals button is offered when the next step defines orbitals and the step's molecule is shown;
+// the readout lists the energy and make-up of each orbital and the HOMO-LUMO gap between the species
+function updateOrbitalButton() {
+  const button = document.getElementById("orbitals-btn");
+  const readout = document.getElementById("orbital-readout");
+  if (!button) return;
+  
+  const nextDefinition = getStepDefinition(currentStep + 1);
+  const available = Boolean(nextDefinition && nextDefinition.orbitals) &&
+    getDisplayedMoleculeKey() === getMoleculeKeyForStep(currentStep);
+  button.classList.toggle("hidden", !available);
+  button.classList.toggle("bg-blue-600", Boolean(frontierOrbitals));
+  button.classList.toggle("bg-gray-700", !frontierOrbitals);
+  
+  if (!readout) return;
+  readout.classList.toggle("hidden", !frontierOrbitals);
+  if (!frontierOrbitals) return;
+  
+  const entries = frontierOrbitals.readout;
+  const format = energy => `${energy < 0 ? "−" : ""}${Math.abs(energy).toFixed(2)} eV`;
+  let html = entries.map(entry => `
+    <div><span class="text-gray-300">${entry.label}</span>: ${format(entry.energy)}
+      <span class="text-gray-500">(${entry.composition})</span></div>
+  `).join("");
+  const homo = entries.find(entry => entry.orbital === "HOMO");
+  const lumo = entries.find(entry => entry.orbital === "LUMO");
+  if (homo && lumo) {
+    html += `<div class="mt-1">HOMO → LUMO gap: <span class="text-gray-300">${(lumo.energy - homo.energy).toFixed(2)} eV</span></div>`;
+  }
+  readout.innerHTML = html;
+}
+
+// Molecule groups shown alongside the step's molecule (e.g. the protein the amine comes from)
+function getEnvironmentKeysForStep(step) {
+  const definition = getStepDefinition(step);
+  return definition && Array.isArray(definition.environment) ? definition.environment : [];
+}
+
+// Fade an environment group in or out during a step transition
+function fadeEnvironmentGroup(key, show, duration) {
+  const entry = molecules[key];
+  if (!entry || !entry.group) return;
+  
+  entry.visible = show;
+  entry.group.visible = true;
+  entry.group.traverse(object => {
+    if (object.material && object.material.opacity !== undefined) {
+      object.material.transparent = true;
+      if (show) object.material.opacity = 0;
+      gsap.to(object.material, {
+        opacity: show ? 1 : 0,
+        duration: duration * 0.6,
+        delay: show ? duration * 0.5 : 0,
+        ease: show ? 'power1.out' : 'power1.in',
+        onComplete: () => {
+          if (!show && !entry.visible) entry.group.visible = false;
+        },
+      });
+    }
+  });
+}
+
+function createMolecules() {
+  console.log('Creating molecules...');
+  // Create molecule containers to ensure proper structure
+  molecules.sodiumNitrite = { group: new THREE.Group(), visible: true };
+  molecules.nitrousAcid = { group: new THREE.Group(), visible: false };
+  molecules.decomposed = { group: new THREE.Group(), visible: false };
+  molecules.nitrosamine = { group: new THREE.Group(), visible: false };
+  
+  // Add all molecule groups to the scene
+  scene.add(molecules.sodiumNitrite.group);
+  scene.add(molecules.nitrousAcid.group);
+  scene.add(molecules.decomposed.group);
+  scene.add(molecules.nitrosamine.group);
+  
+  // Create stomach environment with physiologically accurate pH gradient visualization
+  molecules.stomach = { group: new THREE.Group(), visible: true };
+  molecules.stomach.group.name = "stomach";
+  molecules.stomach.group.userData.surfaceSpacing = 0.6; // Many small molecules
+  // Add stomach to scene immediately
+  scene.add(molecules.stomach.group);
+
+  // Increase stomach size for better spacing and focus on nitrite
+  const stomachShapeGeometry = new THREE.SphereGeometry(40, 64, 48);
+
+  // Create a material for the stomach wall with slight transparency
+  const stomachMaterial = new THREE.MeshPhysicalMaterial({
+    color: 0xe57373,         // Reddish color for stomach lining
+    roughness: 0.5,
+    metalness: 0.1,
+    transparent: true,
+    opacity: 0.45,           // Make it semi-transparent
+    side: THREE.DoubleSide,  // Render both sides
+    flatShading: false       // Smooth shading
+  });
+
+  // Create stomach mesh
+  const stomachMesh = new THREE.Mesh(stomachShapeGeometry, stomachMaterial);
+  stomachMesh.castShadow = true;
+  stomachMesh.receiveShadow = true;
+
+  // Add mesh to stomach group
+  molecules.stomach.group.add(stomachMesh);
+  
+  // Add realistic stomach molecules (gastric acid components and digestive substances)
+  
+  // 1. Add several water molecules (H2O) distributed throughout the stomach
+  for (let i = 0; i < 15; i++) {
+    const waterGroup = new THREE.Group();
+    waterGroup.name = "water_" + i;
+    
+    // Random position within stomach space (smaller radius than stomach)
+    const radius = 25 + Math.random() * 10;
+    const theta = Math.random() * Math.PI * 2;
+    const phi = Math.random() * Math.PI;
+    const x = radius * Math.sin(phi) * Math.cos(theta);
+    const y = radius * Math.sin(phi) * Math.sin(theta);
+    const z = radius * Math.cos(phi);
+    
+    waterGroup.position.set(x, y, z);
+    
+    // Create water molecule (H2O)
+    const oPos = new THREE.Vector3(0, 0, 0);
+    const h1Pos = new THREE.Vector3(0.5, 0.3, 0);
+    const h2Pos = new THREE.Vector3(-0.5, 0.3, 0);
+    
+    const o = createAtom("O", oPos, false, "water", i);
+    const h1 = createAtom("H", h1Pos, false, "water", i+100);
+    const h2 = createAtom("H", h2Pos, false, "water", i+200);
+    
+    const h1ToO = createBond(h1Pos, oPos, "single", "water", "H", "O", i);
+    const h2ToO = createBond(h2Pos, oPos, "single", "water", "H", "O", i+100);
+    
+    waterGroup.add(o);
+    waterGroup.add(h1);
+    waterGroup.add(h2);
+    waterGroup.add(h1ToO);
+    waterGroup.add(h2ToO);
+    
+    // Scale down water molecules for better appearance
+    waterGroup.scale.set(0.6, 0.6, 0.6);
+    
+    // Random rotation for natural appearance
+    waterGroup.rotation.x = Math.random() * Math.PI * 2;
+    waterGroup.rotation.y = Math.random() * Math.PI * 2;
+    waterGroup.rotation.z = Math.random() * Math.PI * 2;
+    
+    molecules.stomach.group.add(waterGroup);
+  }
+  
+  // 2. Add bicarbonate ions (HCO3-) that help protect stomach lining
+  for (let i = 0; i < 4; i++) {
+    const bicarb = new THREE.Group();
+    bicarb.name = "bicarbonate_" + i;
+    
+    // Position near stomach lining to show protective function
+    const radius = 35;
+    const theta = Math.random() * Math.PI * 2;
+    const phi = Math.random() * Math.PI;
+    const x = radius * Math.sin(phi) * Math.cos(theta);
+    const y = radius * Math.sin(phi) * Math.sin(theta);
+    const z = radius * Math.cos(phi);
+    
+    bicarb.position.set(x, y, z);
+    
+    // Create bicarbonate ion structure (HCO3-)
     const cPos = new THREE.Vector3(0, 0, 0);
     const o1Pos = new THREE.Vector3(0.8, 0, 0);
     const o2Pos = new THREE.Vector3(-0.4, 0.7, 0);
@@ -1494,262 +4779,43 @@ function createMolecules() {
     "decomposed",
     "N",
     "O",
-    0
-  );
-  const oToHBond2 = createBond(
-    oHPos,
-    hPos2,
-    "single",
-    "decomposed",
-    "O",
-    "H",
-    1
-  );
-
-  molecules.decomposed.group.add(nToOBond);
-  molecules.decomposed.group.add(oToHBond2);
-
-  // add charge indicators
-  addChargeIndicator(n3, "+");
-  addChargeIndicator(o6, "-");
-
-  scene.add(molecules.decomposed.group);
-  molecules.decomposed.group.visible = false;
-
-  // create nitrosamine
-  // Use the group property already created at the beginning of the function
-  molecules.nitrosamine.group = new THREE.Group();
-  molecules.nitrosamine.group.name = "nitrosamine";
-
-  // positions for the protein part - increased spacing
-  const c1Pos = new THREE.Vector3(-4.5, 0, 0);
-  const c2Pos = new THREE.Vector3(-4.5, 3, 0);
-  const nAminPos = new THREE.Vector3(-2.3, 1.5, 0);
-
-  // positions for the NO part - better spacing for focus
-  const nNitroPos = new THREE.Vector3(0, 1.5, 0);
-  const oNitroPos = new THREE.Vector3(1.5, 3, 0);
-
-  const c1 = createAtom("C", c1Pos, true, "nitrosamine", 0);
-  const c2 = createAtom("C", c2Pos, true, "nitrosamine", 1);
-  const nAmin = createAtom("N", nAminPos, true, "nitrosamine", 2);
-  const nNitro = createAtom("N", nNitroPos, true, "nitrosamine", 3);
-  const oNitro = createAtom("O", oNitroPos, true, "nitrosamine", 4);
-
-  molecules.nitrosamine.group.add(c1);
-  molecules.nitrosamine.group.add(c2);
-  molecules.nitrosamine.group.add(nAmin);
-  molecules.nitrosamine.group.add(nNitro);
-  molecules.nitrosamine.group.add(oNitro);
-
-  // add bonds with appropriate types
-  const c1ToNBond = createBond(
-    c1Pos,
-    nAminPos,
-    "single",
-    "nitrosamine",
-    "C",
-    "N",
-    0
-  );
-  const c2ToNBond = createBond(
-    c2Pos,
-    nAminPos,
-    "single",
-    "nitrosamine",
-    "C",
-    "N",
-    1
-  );
-  const nToNBond = createBond(
-    nAminPos,
-    nNitroPos,
-    "single",
-    "nitrosamine",
-    "N",
-    "N",
-    2
-  );
-  const nToOBond2 = createBond(
-    nNitroPos,
-    oNitroPos,
-    "double",
-    "nitrosamine",
-    "N",
-    "O",
-    3
+    0
+  );
+  const oToHBond2 = createBond(
+    oHPos,
+    hPos2,
+    "single",
+    "decomposed",
+    "O",
+    "H",
+    1
   );
 
-  molecules.nitrosamine.group.add(c1ToNBond);
-  molecules.nitrosamine.group.add(c2ToNBond);
-  molecules.nitrosamine.group.add(nToNBond);
-  molecules.nitrosamine.group.add(nToOBond2);
+  molecules.decomposed.group.add(nToOBond);
+  molecules.decomposed.group.add(oToHBond2);
+
+  scene.add(molecules.decomposed.group);
+  molecules.decomposed.group.visible = false;
 
-  scene.add(molecules.nitrosamine.group);
+  // create nitrosamine
+  // The product of the selected amine is built from its SMILES by selectAmine() (see static/amines.js)
+  molecules.nitrosamine.group.name = "nitrosamine";
   molecules.nitrosamine.group.visible = false;
 
-  // create realistic protein environment (representing meat proteins in digestive tract)
+  // Protein environment (representing meat proteins in the digestive tract)
+  // Empty until loadProteinStructure() has loaded the pathway's PDB/mmCIF structure
   molecules.protein = { group: new THREE.Group(), visible: false };
   molecules.protein.group.name = "protein";
-  
-  // Create a more realistic protein structure resembling myoglobin/hemoglobin (common meat proteins)
-  // Alpha helices and beta sheets represented in a globular protein fold
-  
-  // Create amino acid positions in a helical pattern (alpha helix)
-  const aminoAcids = [];
-  const helixRadius = 2.5;
-  const helixTurns = 3;
-  const aminoAcidsPerTurn = 5;
-  const helixPitch = 1.5;
-  const totalAminoAcids = helixTurns * aminoAcidsPerTurn;
-  
-  // Create amino acid positions in a helical pattern
-  for (let i = 0; i < totalAminoAcids; i++) {
-    const angle = (i * 2 * Math.PI) / aminoAcidsPerTurn;
-    const x = helixRadius * Math.cos(angle);
-    const y = (i * helixPitch) / aminoAcidsPerTurn - 5; // Centered vertically
-    const z = helixRadius * Math.sin(angle);
-    
-    const position = new THREE.Vector3(x, y, z);
-    aminoAcids.push(position);
-  }
-  
-  // Create amino acid representation (carbon alpha positions)
-  for (let i = 0; i < aminoAcids.length; i++) {
-    // Use different atoms for different amino acids to show variety
-    let atomType = "C";
-    let labelShown = false;
-    
-    // Make secondary amine positions (every 5th position) highlighted
-    if (i % 5 === 0) {
-      atomType = "N";
-      labelShown = true;
-    }
-    
-    const atom = createAtom(atomType, aminoAcids[i], labelShown, "protein", i);
-    molecules.protein.group.add(atom);
-    
-    // Connect amino acids with bonds
-    if (i > 0) {
-      const direction = new THREE.Vector3().subVectors(aminoAcids[i], aminoAcids[i-1]);
-      const distance = direction.length();
-      
-      const bond = createBond(
-        aminoAcids[i-1],
-        aminoAcids[i],
-        "single",
-        "protein",
-        i % 5 === 0 ? "N" : "C",
-        (i-1) % 5 === 0 ? "N" : "C"
-      );
-      molecules.protein.group.add(bond);
-    }
-  }
-  
-  // Create beta sheet structure (second part of protein)
-  const betaSheetStart = new THREE.Vector3(-4, 0, 3);
-  const betaStrandLength = 4;
-  const betaStrands = 3;
-  const betaStrandSpacing = 1.5;
-  
-  for (let strand = 0; strand < betaStrands; strand++) {
-    const strandOffset = new THREE.Vector3(0, 0, strand * betaStrandSpacing);
-    const strandStart = new THREE.Vector3().addVectors(betaSheetStart, strandOffset);
-    
-    const strandAtoms = [];
-    
-    // Create atoms for this strand
-    for (let i = 0; i < betaStrandLength; i++) {
-      const position = new THREE.Vector3(
-        strandStart.x + i * 1.5, 
-        strandStart.y + (strand % 2 === 0 ? 0 : 0.5), // Alternating strands slightly offset
-        strandStart.z
-      );
-      
-      let atomType = "C";
-      let labelShown = false;
-      
-      // Add nitrogen positions (secondary amines) at specific positions
-      if (i === 1 || i === betaStrandLength - 1) {
-        atomType = "N";
-        labelShown = true;
-      }
-      
-      const atom = createAtom(atomType, position, labelShown, "protein", totalAminoAcids + strand * betaStrandLength + i);
-      molecules.protein.group.add(atom);
-      strandAtoms.push({
-        position: position,
-        type: atomType
-      });
-      
-      // Create bonds within the strand
-      if (i > 0) {
-        const prevAtom = strandAtoms[i-1];
-        const bond = createBond(
-          prevAtom.position,
-          position,
-          "single",
-          "protein",
-          prevAtom.type,
-          atomType
-        );
-        molecules.protein.group.add(bond);
-      }
-    }
-  }
-  
-  // Position the protein appropriately
-  molecules.protein.group.position.set(-8, 0, 2);
-  
-  // Add the protein structure to the scene
   scene.add(molecules.protein.group);
   
-  // Initially hide it - it will be shown at the appropriate step
-  molecules.protein.visible = false;
+  // Initially hide it - it will be shown at the steps that list it as environment
   molecules.protein.group.visible = false;
   
-  // Function to create hydrogen ions
-  function createHydrogenIons(count) {
-    const hIons = [];
-    
-    for (let i = 0; i < count; i++) {
-      // Distribute H+ ions in a spherical pattern
-      const radius = 15; // Distribution radius
-      const phi = Math.random() * Math.PI;
-      const theta = Math.random() * 2 * Math.PI;
-      
-      // Convert spherical to cartesian coordinates
-      const position = new THREE.Vector3(
-        radius * Math.sin(phi) * Math.cos(theta),
-        radius * Math.cos(phi),
-        radius * Math.sin(phi) * Math.sin(theta)
-      );
-      
-      const hIon = createAtom(
-        "H",
-        position,
-        true,
-        "stomach",
-        i
-      );
-      
-      // Make H+ ions subtly visible but not distracting from main reaction
-      const ionScale = 0.9; // Slightly smaller to be less visually dominant
-      hIon.children[0].scale.set(ionScale, ionScale, ionScale);
-      
-      // Make H+ ions slightly translucent so they don't obstruct the view
-      hIon.children[0].material.transparent = true;
-      hIon.children[0].material.opacity = 0.8;
-      
-      molecules.stomach.group.add(hIon);
-      hIons.push(hIon);
-    }
-    
-    return hIons;
-  }
+  // Create hydrogen ions (their number follows the gastric pH)
+  createHydrogenIons(getHydrogenIonCount(gastricPH));
   
-  // Create hydrogen ions
-  createHydrogenIons(15);
+  // Charge indicators follow from the bonds of each atom
+  Object.keys(molecules).forEach(key => applyFormalCharges(molecules[key].group));
 } // End of createMolecules function
 
 // add HCl molecules to represent stomach acid
@@ -1857,864 +4923,27 @@ function createHClMolecules(count) {
       
       // Make these even more transparent
       hcl.traverse(obj => {
-        if (obj.material) {
-          obj.material.transparent = true;
-          obj.material.opacity = stomachMoleculeOpacity - 0.1; // Even more transparent
-          obj.scale.set(scaleFactor, scaleFactor, scaleFactor);
-        }
-      });
-      
-      // Random rotation
-      hcl.rotation.set(
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2
-      );
-      
-      molecules.stomach.add(hcl);
-      occupiedPositions.push(position.clone());
-      positioned++;
-    }
-  }
-  
-  console.log(`Created ${positioned} stomach environment molecules with better spacing`);
-}
-
-// Function to show a specific step in the visualization process with enhanced animations
-function showStep(step) {
-  // Validate step is within bounds
-  if (step < 0 || step > totalSteps) return;
-  
-  console.log('showStep called for step:', step, 'current animation flag:', animationPlaying);
-  
-  // Reset animation flag - it may be stuck
-  animationPlaying = true;
-  
-  // Add a safety timeout to prevent animations from getting stuck
-  if (window.animationResetTimeout) {
-    clearTimeout(window.animationResetTimeout);
-  }
-  
-  // Safety mechanism: if animation gets stuck, reset after 10 seconds
-  window.animationResetTimeout = setTimeout(() => {
-    console.log('Animation safety timeout triggered - resetting animation flag');
-    animationPlaying = false;
-  }, 10000);
-  
-  // Create a master timeline for the entire transition
-  // Create timestamp for debugging
-const startTime = Date.now();
-console.log(`Starting animation at ${startTime} for step ${step}`);
-
-// Hide all molecules first to prevent showing final state too early
-hideAllMolecules();
-
-// Only show the starting molecules for each transition, not the end state
-switch(step) {
-  case 0:
-    molecules.sodiumNitrite.visible = true;
-    molecules.sodiumNitrite.group.visible = true;
-    break;
-  case 1:
-    molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-    // For step 1, we start with sodiumNitrite and animate to nitrousAcid
-    // nitrousAcid will be shown during the transition, not at the start
-    if (currentStep === 0) {
-      molecules.sodiumNitrite.visible = true;
-    molecules.sodiumNitrite.group.visible = true;
-    } else {
-      molecules.nitrousAcid.visible = true;
-      molecules.nitrousAcid.group.visible = true;
-    }
-    break;
-  case 2:
-    molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-    // For step 2, we start with nitrousAcid and animate to decomposed
-    // decomposed will be shown during the transition, not at the start
-    if (currentStep === 1) {
-      molecules.nitrousAcid.visible = true;
-      molecules.nitrousAcid.group.visible = true;
-    } else {
-      molecules.decomposed.visible = true;
-      molecules.decomposed.group.visible = true;
-    }
-    break;
-  case 3:
-    molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-    // For step 3, we start with decomposed and animate to nitrosamine
-    // protein and nitrosamine will be shown during the transition
-    if (currentStep === 2) {
-      molecules.decomposed.visible = true;
-      molecules.decomposed.group.visible = true;
-    } else {
-      // Only show the protein when it's actually needed
-      // This helps avoid visual clutter
-      if (step === 3) {
-        molecules.protein.visible = true;
-        molecules.protein.group.visible = true;
-      }
-      molecules.nitrosamine.visible = true;
-      molecules.nitrosamine.group.visible = true;
-    }
-    break;
-}
-
-// Create timeline with improved callbacks
-const masterTimeline = gsap.timeline({
-    onComplete: () => {
-      console.log('Animation complete, setting animationPlaying to false');
-      animationPlaying = false;
-      // Clear the safety timeout since animation completed properly
-      if (window.animationResetTimeout) {
-        clearTimeout(window.animationResetTimeout);
-      }
-      // Update data panels after animation completes
-      const dataKey = getDataKeyForStep(step);
-      updateMoleculeData(dataKey);
-      updateScientificContext(step);
-      
-      // Update current step AFTER animation is complete
-      currentStep = step;
-    }
-  });
-  
-  // Clear any previous transition effects
-  while (transitionEffects.children.length > 0) {
-    const child = transitionEffects.children[0];
-    if (child.geometry) child.geometry.dispose();
-    if (child.material) child.material.dispose();
-    transitionEffects.remove(child);
-  }
-  
-  // Make sure we're not hiding molecules before showing new ones
-  // This ensures transitions are visible
-  // hideAllMolecules(); - Commented out to fix transition visibility
-  
-  // Update button states based on current step
-  updateNavigationButtons(step);
-
-  // Configure molecule visibility and transitions based on current step
-  if (currentStep !== step) {
-    // Transition from one state to another
-    if (currentStep === 0 && step === 1) {
-      // Transition: Sodium nitrite entering stomach acid with realistic dissociation
-      molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-      molecules.sodiumNitrite.visible = true;
-    molecules.sodiumNitrite.group.visible = true;
-      
-      // Create stomach acid particles for a more immersive environment
-      const acidParticles = createParticleSystem(
-        new THREE.Vector3(0, 0, 0),
-        0x88ff99,  // Subtle greenish for acid
-        50,        // More particles for rich environment
-        10,        // Wider spread
-        0.08       // Smaller particles
-      );
-      transitionEffects.add(acidParticles);
-      
-      // Animate stomach acid particles
-      acidParticles.children.forEach(particle => {
-        const floatDuration = 3 + Math.random() * 2;
-        masterTimeline.to(particle.position, {
-          x: particle.position.x + (Math.random() - 0.5) * 2,
-          y: particle.position.y + (Math.random() - 0.5) * 2,
-          z: particle.position.z + (Math.random() - 0.5) * 2,
-          duration: floatDuration,
-          ease: "sine.inOut",
-          repeat: 1,
-          yoyo: true
-        }, 0);
-      });
-      
-      // First animate sodium nitrite moving into stomach acid environment with more fluid motion
-      masterTimeline.to(molecules.sodiumNitrite.position, {
-        x: 0, y: 0, z: 0,
-        duration: 1.8,
-        ease: "power3.out"
-      }, 0);
-      
-      // Add smooth camera movement to follow the molecule
-      masterTimeline.add(smoothCameraTransition(
-        new THREE.Vector3(0, 0, 0),
-        2,
-        18
-      ), 0.3);
-      
-      // Show realistic dissociation of Na+ from NO2- in acidic environment after entry
-      masterTimeline.add(() => {
-        // Create dissociation particles
-        const dissociationParticles = createParticleSystem(
-          molecules.sodiumNitrite.position.clone(),
-          0x6699ff,  // Blue for ionic dissociation
-          25,        // Enough particles to show reaction
-          2,         // Localized effect
-          0.15       // Slightly larger particles
-        );
-        transitionEffects.add(dissociationParticles);
-        
-        // Animate dissociation particles outward
-        dissociationParticles.children.forEach(particle => {
-          masterTimeline.to(particle.position, {
-            x: particle.position.x + particle.userData.velocity.x * 15,
-            y: particle.position.y + particle.userData.velocity.y * 15,
-            z: particle.position.z + particle.userData.velocity.z * 15,
-            duration: 1.2,
-            ease: "power2.out"
-          }, 1.8);
-          
-          masterTimeline.to(particle.material, {
-            opacity: 0,
-            duration: 0.8,
-            ease: "power2.in"
-          }, 2.2);
-        });
-        
-        // Get the sodium atom and add glow effect
-        const sodiumAtom = molecules.sodiumNitrite.children.find(c => c.userData.atomType === "Na");
-        if (sodiumAtom && sodiumAtom.children[0]) {
-          createGlowEffect(sodiumAtom, atomColors.NaHighlight || 0xffaa33, 0.6);
-        }
-      }, 1.5);
-      
-      // Animate sodium separating from nitrite with beautiful interpolation
-      const sodiumAtom = molecules.sodiumNitrite.children.find(c => c.userData.atomType === "Na");
-      const targetPosition = new THREE.Vector3(-4, 1, 2);
-      
-      masterTimeline.to(sodiumAtom.position, {
-        x: targetPosition.x,
-        y: targetPosition.y,
-        z: targetPosition.z,
-        duration: 1.5,
-        ease: "elastic.out(1, 0.8)", // More dramatic elastic motion for ionic separation
-      }, 2.0);
-      
-      // Show H+ approaching NO2- (protonation) with improved animation
-      masterTimeline.add(() => {
-        const tempPosition = new THREE.Vector3(5, 0, -3);
-        const proton = createAtom(
-          "H",
-          tempPosition, // Start position away from nitrite
-          true,
-          "temp",
-          0
-        );
-        addChargeIndicator(proton, "+");
-        transitionEffects.add(proton);
-        
-        // Create proton trail particles
-        const protonTrail = createParticleSystem(
-          tempPosition.clone(),
-          0xff6666, // Reddish for acid proton
-          15,       // Fewer particles for trail
-          1,        // Tight spread
-          0.05      // Small particles
-        );
-        transitionEffects.add(protonTrail);
-        
-        // Animate proton trail along with proton
-        masterTimeline.to(proton.position, {
-          x: 1.5, // Position near oxygen
-          y: -1.2,
-          z: 0,
-          duration: 1.8,
-          ease: "power2.inOut",
-          onUpdate: () => {
-            // Update trail particles to follow proton
-            protonTrail.position.copy(proton.position);
-          }
-        }, 3.0);
-        
-        // Fade out trail gradually
-        protonTrail.children.forEach(particle => {
-          masterTimeline.to(particle.material, {
-            opacity: 0,
-            duration: 1.0,
-            ease: "power1.in"
-          }, 3.8);
-        });
-      }, 2.8);
-      
-      // Final transition to nitrous acid with beautiful morphing effect
-      masterTimeline.add(() => {
-        // Add reaction flash effect
-        const reactionFlash = createParticleSystem(
-          new THREE.Vector3(1, -1, 0),
-          0xffdd44, // Warm yellow for reaction
-          35,       // More particles for dramatic effect
-          3,        // Wider spread
-          0.18      // Larger particles
-        );
-        transitionEffects.add(reactionFlash);
-        
-        // Expand and fade reaction particles
-        reactionFlash.children.forEach(particle => {
-          masterTimeline.to(particle.position, {
-            x: particle.position.x + particle.userData.velocity.x * 25,
-            y: particle.position.y + particle.userData.velocity.y * 25,
-            z: particle.position.z + particle.userData.velocity.z * 25,
-            duration: 0.9,
-            ease: "power3.out"
-          }, 4.8);
-          
-          masterTimeline.to(particle.material, {
-            opacity: 0,
-            duration: 0.8,
-            ease: "power2.in"
-          }, 5.0);
-        });
-        
-        // Use transition function for smooth molecule swap
-        const transitionTL = transitionMolecules(
-          molecules.sodiumNitrite,
-          molecules.nitrousAcid,
-          1.2,
-          false // No additional particles needed since we have our custom ones
-        );
-        
-        masterTimeline.add(transitionTL, 5.2);
-      }, 4.8);
-    } 
-    else if (currentStep === 1 && step === 2) {
-      // Transition: Nitrous acid decomposing to nitrosonium ion
-      molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-      molecules.nitrousAcid.visible = true;
-      molecules.nitrousAcid.group.visible = true;
-      
-      // Add ripple effect for acidic environment
-      const acidRipples = createParticleSystem(
-        new THREE.Vector3(0, 0, 0),
-        0xaaff88,  // Acid green
-        40,        // More ripple particles
-        8,         // Wide spread
-        0.06       // Smaller particles for bubbling effect
-      );
-      transitionEffects.add(acidRipples);
-      
-      // Animate acid ripples to show chemical reaction environment
-      acidRipples.children.forEach(particle => {
-        // Random starting delays for organic effect
-        const startDelay = Math.random() * 0.5;
-        
-        // Bubble-like movement
-        masterTimeline.to(particle.position, {
-          y: particle.position.y + (1 + Math.random() * 2),
-          x: particle.position.x + (Math.random() - 0.5) * 1.5,
-          z: particle.position.z + (Math.random() - 0.5) * 1.5,
-          duration: 1.8 + Math.random() * 1.2,
-          ease: "sine.inOut",
-          delay: startDelay
-        }, 0);
-        
-        // Fade out gradually
-        masterTimeline.to(particle.material, {
-          opacity: 0,
-          duration: 1.2,
-          delay: startDelay + 0.8,
-          ease: "power1.in"
-        }, 0);
-      });
-      
-      // Smoother camera transition for this step
-      masterTimeline.add(smoothCameraTransition(
-        molecules.nitrousAcid.position.clone(),
-        1.5,
-        16
-      ), 0.2);
-      
-      // Add heat distortion effect on nitrous acid
-      masterTimeline.add(() => {
-        // Create heat distortion effect with glowing atoms
-        molecules.nitrousAcid.children.forEach(child => {
-          if (child.userData && child.userData.atomType) {
-            // Apply stronger glow to oxygen atoms - representing the decomposition
-            if (child.userData.atomType === "O") {
-              createGlowEffect(child, 0xff8866, 0.8);
-            } else {
-              createGlowEffect(child, 0xffaa44, 0.4);
-            }
-          }
-        });
-        
-        // Add decomposition particles
-        const decompositionParticles = createParticleSystem(
-          molecules.nitrousAcid.position.clone(),
-          0xff6644,  // Orange-red for decomposition
-          30,        // Good number of particles
-          2.5,       // Focused on molecule
-          0.12       // Medium particles
-        );
-        transitionEffects.add(decompositionParticles);
-        
-        // Expand particles outward with beautiful pulsing effect
-        decompositionParticles.children.forEach(particle => {
-          // Calculate a unique outward direction vector for each particle
-          const direction = particle.position.clone()(molecules.nitrousAcid.position).normalize();
-          const distance = 2 + Math.random() * 4;
-          
-          masterTimeline.to(particle.position, {
-            x: particle.position.x + direction.x * distance,
-            y: particle.position.y + direction.y * distance,
-            z: particle.position.z + direction.z * distance,
-            duration: 1.5,
-            ease: "power2.out"
-          }, 1.8);
-          
-          // Pulsing size effect
-          masterTimeline.to(particle.scale, {
-            x: 1.8, y: 1.8, z: 1.8,
-            duration: 0.8,
-            ease: "power1.inOut",
-            yoyo: true,
-            repeat: 1
-          }, 1.8);
-          
-          // Fade out
-          masterTimeline.to(particle.material, {
-            opacity: 0,
-            duration: 0.7,
-            ease: "power2.in"
-          }, 3.0);
-        });
-      }, 1.0);
-      
-      // Use our transitionMolecules function for smooth morphing between states
-      masterTimeline.add(() => {
-        // Transition from nitrous acid to decomposed state
-        const transitionTL = transitionMolecules(
-          molecules.nitrousAcid,
-          molecules.decomposed,
-          1.5,
-          false // Using custom particles instead
-        );
-        masterTimeline.add(transitionTL, 3.2);
-      }, 2.8);
-    } 
-    else if (currentStep === 2 && step === 3) {
-      // Transition: Nitrosonium ion approaching protein with secondary amines
-      molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-      molecules.decomposed.visible = true;
-      molecules.decomposed.group.visible = true;
-      
-      // Add protein environment particles
-      const proteinEnvironment = createParticleSystem(
-        new THREE.Vector3(-5, 0, 0), // Protein area 
-        0x99ccff, // Soft blue for cellular environment
-        60,       // More particles for rich environment
-        10,       // Wide spread
-        0.1       // Medium particles
-      );
-      transitionEffects.add(proteinEnvironment);
-      
-      // Animate protein environment particles with gentle waves
-      proteinEnvironment.children.forEach(particle => {
-        // Create gentle wave motion
-        masterTimeline.to(particle.position, {
-          x: particle.position.x + (Math.random() - 0.5) * 2,
-          y: particle.position.y + (Math.random() - 0.5) * 2,
-          z: particle.position.z + (Math.random() - 0.5) * 2,
-          duration: 4,
-          ease: "sine.inOut",
-          repeat: 1,
-          yoyo: true
-        }, 0);
-      });
-      
-      // Show protein environment appearing with beautiful transition
-      molecules.protein.visible = true;
-      molecules.protein.scale.set(0.01, 0.01, 0.01); // Start even smaller for more dramatic reveal
-      
-      // Protein appearance with dramatic scaling and material transition
-      masterTimeline.to(molecules.protein.scale, {
-        x: 1, y: 1, z: 1,
-        duration: 2.2,
-        ease: "elastic.out(1, 0.5)" // More dramatic elastic motion
-      }, 1.0);
-      
-      // Add beautiful glow to protein as it appears
-      masterTimeline.add(() => {
-        // Highlight potential binding sites on protein
-        molecules.protein.traverse(child => {
-          if (child.userData && child.userData.atomType === "N") {
-            // Highlight nitrogen atoms as reactive sites
-            createGlowEffect(child, 0x88aaff, 0.7);
-          }
-        });
-      }, 2.2);
-      
-      // Move nitrosonium ion toward amine group with fluid motion and particle trail
-      // Create a beautiful path for the molecule with emission particles
-      masterTimeline.add(() => {
-        // Create nitrosonium trail effect
-        const trail = createParticleSystem(
-          molecules.decomposed.position.clone(),
-          0xff8866, // Warm color for reactive species
-          25,      // Good number of particles
-          1.5,     // Tight spread
-          0.08     // Small particles
-        );
-        transitionEffects.add(trail);
-        
-        // Create curve points for beautiful arc motion toward protein
-        const startPos = molecules.decomposed.position.clone();
-        const endPos = new THREE.Vector3(-2, 0.5, 0);
-        const controlPoint = new THREE.Vector3(
-          (startPos.x + endPos.x) * 0.5,
-          (startPos.y + endPos.y) * 0.5 + 3, // Arc upward
-          (startPos.z + endPos.z) * 0.5
-        );
-        
-        // Follow molecule with camera
-        masterTimeline.add(smoothCameraTransition(
-          molecules.decomposed.position.clone(),
-          1.8,
-          15
-        ), 2.8);
-        
-        // Animate along curve with trail following
-        let progress = { value: 0 };
-        masterTimeline.to(progress, {
-          value: 1,
-          duration: 2.5,
-          ease: "power2.inOut",
-          onUpdate: () => {
-            // Calculate position along quadratic curve
-            const t = progress.value;
-            const pos = new THREE.Vector3();
-            pos.x = Math.pow(1-t, 2) * startPos.x + 2 * (1-t) * t * controlPoint.x + Math.pow(t, 2) * endPos.x;
-            pos.y = Math.pow(1-t, 2) * startPos.y + 2 * (1-t) * t * controlPoint.y + Math.pow(t, 2) * endPos.y;
-            pos.z = Math.pow(1-t, 2) * startPos.z + 2 * (1-t) * t * controlPoint.z + Math.pow(t, 2) * endPos.z;
-            
-            // Update molecule position
-            molecules.decomposed.position.copy(pos);
-            
-            // Update trail position
-            trail.position.copy(pos);
-          }
-        }, 3.0);
-      }, 2.5);
-      
-      // Final reaction with beautiful particle explosion
-      masterTimeline.add(() => {
-        // Create reaction flash
-        const reactionFlash = createParticleSystem(
-          new THREE.Vector3(-2, 0.5, 0),
-          0xffcc44, // Bright reaction color
-          45,       // Lots of particles
-          4,        // Wide spread
-          0.15      // Medium-large particles
-        );
-        transitionEffects.add(reactionFlash);
-        
-        // Explosive expansion of particles
-        reactionFlash.children.forEach(particle => {
-          masterTimeline.to(particle.position, {
-            x: particle.position.x + particle.userData.velocity.x * 30,
-            y: particle.position.y + particle.userData.velocity.y * 30,
-            z: particle.position.z + particle.userData.velocity.z * 30,
-            duration: 1.2,
-            ease: "power3.out"
-          }, 5.8);
-          
-          // Fade out particles
-          masterTimeline.to(particle.material, {
-            opacity: 0,
-            duration: 0.9,
-            ease: "power2.in"
-          }, 6.1);
-        });
-        
-        // Transition to final nitrosamine product
-        const transitionTL = transitionMolecules(
-          molecules.decomposed,
-          molecules.nitrosamine,
-          1.5,
-          false
-        );
-        masterTimeline.add(transitionTL, 6.0);
-      }, 5.7);
-    }
-    else if (currentStep === 3 && step === 0) {
-      // Reset back to initial state with a beautiful camera zoom out and fade effect
-      
-      // Add transition particles for the reset
-      const resetParticles = createParticleSystem(
-        new THREE.Vector3(0, 0, 0),
-        0xffffff, // White particles
-        80,       // Many particles
-        15,       // Very wide spread
-        0.1       // Medium particles
-      );
-      transitionEffects.add(resetParticles);
-      
-      // Fade out all visible molecules
-      Object.keys(molecules).forEach(key => {
-        if (molecules[key] && molecules[key].visible) {
-          molecules[key].traverse(object => {
-            if (object.material) {
-              object.material.transparent = true;
-              masterTimeline.to(object.material, {
-                opacity: 0,
-                duration: 1.5,
-                ease: "power2.inOut"
-              }, 0);
-            }
-          });
-        }
-      });
-      
-      // Camera transition to zoomed out view
-      masterTimeline.to(camera.position, {
-        x: 0, y: 5, z: 30,
-        duration: 2.5,
-        ease: "power2.inOut"
-      }, 0);
-      
-      // Reset to original state
-      masterTimeline.add(() => {
-        // Hide all molecules
-        hideAllMolecules();
-        
-        // Reset positions
-        Object.keys(molecules).forEach(key => {
-          if (molecules[key] && originalPositions[key]) {
-            molecules[key].position.copy(originalPositions[key]);
-          }
-        });
-        
-        // Show only sodium nitrite
-        molecules.sodiumNitrite.visible = true;
-    molecules.sodiumNitrite.group.visible = true;
-        
-        // Reset material opacity
-        Object.keys(molecules).forEach(key => {
-          if (molecules[key]) {
-            molecules[key].traverse(object => {
-              if (object.material) {
-                object.material.opacity = 1;
-              }
-            });
-          }
-        });
-      }, 1.8);
-    }
-    else {
-      // Direct state changes with smoother transitions for non-sequential jumps
-      hideAllMolecules();
-      
-      // Add transition fade effect
-      const transitionFade = createParticleSystem(
-        new THREE.Vector3(0, 0, 0),
-        0xffffff, // White particles
-        50,       // Moderate number of particles
-        10,       // Wide spread
-        0.12      // Medium particles
-      );
-      transitionEffects.add(transitionFade);
-      
-      // Animate transition particles
-      transitionFade.children.forEach(particle => {
-        masterTimeline.to(particle.position, {
-          x: particle.position.x + particle.userData.velocity.x * 15,
-          y: particle.position.y + particle.userData.velocity.y * 15,
-          z: particle.position.z + particle.userData.velocity.z * 15,
-          duration: 1.5,
-          ease: "power2.out"
-        }, 0);
-        
-        masterTimeline.to(particle.material, {
-          opacity: 0,
-          duration: 1.2,
-          ease: "power1.in"
-        }, 0.3);
-      });
-      
-      // Show appropriate molecules with fade-in effect
-      masterTimeline.add(() => {
-        if (step === 0) {
-          molecules.sodiumNitrite.visible = true;
-    molecules.sodiumNitrite.group.visible = true;
-          molecules.sodiumNitrite.traverse(object => {
-            if (object.material) {
-              object.material.transparent = true;
-              object.material.opacity = 0;
-            }
-          });
-        } else if (step === 1) {
-          molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-          molecules.nitrousAcid.visible = true;
-      molecules.nitrousAcid.group.visible = true;
-          [molecules.stomach, molecules.nitrousAcid].forEach(molecule => {
-            molecule.traverse(object => {
-              if (object.material) {
-                object.material.transparent = true;
-                object.material.opacity = 0;
-              }
-            });
-          });
-        } else if (step === 2) {
-          molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-          molecules.decomposed.visible = true;
-      molecules.decomposed.group.visible = true;
-          [molecules.stomach, molecules.decomposed].forEach(molecule => {
-            molecule.traverse(object => {
-              if (object.material) {
-                object.material.transparent = true;
-                object.material.opacity = 0;
-              }
-            });
-          });
-        } else if (step === 3) {
-          molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-          molecules.protein.visible = true;
-        molecules.protein.group.visible = true;
-          molecules.nitrosamine.visible = true;
-      molecules.nitrosamine.group.visible = true;
-          [molecules.stomach, molecules.protein, molecules.nitrosamine].forEach(molecule => {
-            molecule.traverse(object => {
-              if (object.material) {
-                object.material.transparent = true;
-                object.material.opacity = 0;
-              }
-            });
-          });
-        }
-        
-        // Fade in all visible molecules
-        scene.traverse(object => {
-          if (object.material && object.material.transparent && object.visible) {
-            masterTimeline.to(object.material, {
-              opacity: 1,
-              duration: 1.5,
-              ease: "power2.out"
-            }, 1.0);
-          }
-        });
-      }, 0.8);
-      
-      // Focus the camera on relevant molecules
-      masterTimeline.add(() => {
-        focusCameraOnCurrentMolecule(step);
-      }, 1.0);
-    }
-
-    // Don't update current step here - it happens in the timeline callback
-    // This line is handled in the timeline's onComplete callback
-  } 
-  else {
-    // If we're just showing the same step again, do a simple reset
-    const stepConfig = {
-      0: () => { 
-          molecules.sodiumNitrite.visible = true;
-          molecules.sodiumNitrite.group.visible = true; 
-        },
-      1: () => {
-        molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-        molecules.nitrousAcid.visible = true;
-      molecules.nitrousAcid.group.visible = true;
-      },
-      2: () => {
-        molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-        molecules.decomposed.visible = true;
-      molecules.decomposed.group.visible = true;
-      },
-      3: () => {
-        molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-        // Don't show the large clump of atoms (protein) as it's visually confusing
-        // molecules.protein.visible = true;
-        // molecules.protein.group.visible = true; 
-        molecules.nitrosamine.visible = true;
-      molecules.nitrosamine.group.visible = true;
-      }
-    };
-    
-    if (stepConfig[step]) {
-      stepConfig[step]();
-    }
-    
-    // Enhanced animation for redisplaying the same step
-    // Add subtle molecule rotation for visual feedback
-    const currentMolecule = {
-      0: molecules.sodiumNitrite,
-      1: molecules.nitrousAcid,
-      2: molecules.decomposed,
-      3: molecules.nitrosamine
-    }[step];
-    
-    if (currentMolecule) {
-      // Add a gentle pulsing effect for better visual feedback
-      const originalScale = currentMolecule.scale.clone();
-      
-      masterTimeline.to(currentMolecule.scale, {
-        x: originalScale.x * 1.1,
-        y: originalScale.y * 1.1,
-        z: originalScale.z * 1.1,
-        duration: 0.4,
-        ease: "power2.out"
-      }, 0);
+        if (obj.material) {
+          obj.material.transparent = true;
+          obj.material.opacity = stomachMoleculeOpacity - 0.1; // Even more transparent
+          obj.scale.set(scaleFactor, scaleFactor, scaleFactor);
+        }
+      });
       
-      masterTimeline.to(currentMolecule.scale, {
-        x: originalScale.x,
-        y: originalScale.y,
-        z: originalScale.z,
-        duration: 0.4,
-        ease: "elastic.out(1, 0.5)"
-      }, 0.4);
+      // Random rotation
+      hcl.rotation.set(
+        Math.random() * Math.PI * 2,
+        Math.random() * Math.PI * 2,
+        Math.random() * Math.PI * 2
+      );
       
-      // Add a gentle rotation
-      const currentRotation = currentMolecule.rotation.clone();
-      masterTimeline.to(currentMolecule.rotation, {
-        y: currentRotation.y + Math.PI * 2,
-        duration: 1.2,
-        ease: "power2.inOut"
-      }, 0);
+      molecules.stomach.add(hcl);
+      occupiedPositions.push(position.clone());
+      positioned++;
     }
-    
-    // Camera focus for better visualization
-    masterTimeline.add(() => {
-      focusCameraOnCurrentMolecule(step);
-    }, 0);
-    
-    // Short timeline for redisplaying the same step, but with nicer effects
-    masterTimeline.duration(1.2);
   }
-
-  // Update step title in UI - with enhanced step descriptions
-  const stepTitles = [
-    "Dietary Sodium Nitrite (Food Preservative)",
-    "Gastric Acid Protonation to Nitrous Acid (Stomach Environment)",
-    "Formation of Carcinogenic Nitrosonium Ion in Acidic Conditions", 
-    "Reaction with Meat Proteins to Form Nitrosamine"
-  ];
   
-  // Always update the title for better user feedback
-  if (document.querySelector(".step-title")) {
-    const titleElement = document.querySelector(".step-title");
-    
-    // Animate the title change for better visual feedback
-    gsap.to(titleElement, {
-      opacity: 0,
-      duration: 0.3,
-      onComplete: () => {
-        titleElement.textContent = stepTitles[step] || `Step ${step}`;
-        gsap.to(titleElement, {
-          opacity: 1,
-          duration: 0.3
-        });
-      }
-    });
-  }
+  console.log(`Created ${positioned} stomach environment molecules with better spacing`);
 }
 
 // Function to hide all molecules
@@ -2727,43 +4956,190 @@ function hideAllMolecules() {
   }
 }
 
-// Get the data key for a specific step
-function getDataKeyForStep(step) {
-  switch (step) {
-    case 0:
-      return "sodiumNitrite";
-    case 1:
-      return "nitrousAcid";
-    case 2:
-      return "decomposed";  // This is actually the nitrosonium ion in the code
-    case 3:
-      return "nitrosamine";
-    case 4:
-      return "nitrosamine";
-    default:
-      return "sodiumNitrite";
+// Get the pathway step definition for a step index (clamped to the available steps)
+function getStepDefinition(step) {
+  if (!pathway || activeSteps.length === 0) return null;
+  const index = Math.min(Math.max(step, 0), activeSteps.length - 1);
+  return activeSteps[index];
+}
+
+function getPathwayBranch(branchId) {
+  return (pathway && pathway.branches || []).find(branch => branch.id === branchId) || null;
+}
+
+// Directed graph of the pathway states: the main steps in a chain, and each branch as a chain that
+// leaves the step it starts from (a main step or a step of an earlier branch).
+// nodes: { [stepId]: { id, definition, branch, previous, next: [stepIds], depth, lane } }
+function buildPathwayGraph(definition) {
+  const nodes = {};
+  const addChain = (steps, branchId, from, lane) => {
+    let previous = from;
+    steps.forEach(step => {
+      if (!step.id || nodes[step.id]) {
+        throw new Error(`Step ids must be unique and set (${step.id || "unnamed"} in ${branchId || "main route"})`);
+      }
+      nodes[step.id] = {
+        id: step.id,
+        definition: step,
+        branch: branchId,
+        previous,
+        next: [],
+        depth: previous ? nodes[previous].depth + 1 : 0,
+        lane,
+      };
+      if (previous) nodes[previous].next.push(step.id);
+      previous = step.id;
+    });
+  };
+  
+  addChain(definition.steps, null, null, 0);
+  (definition.branches || []).forEach((branch, index) => {
+    if (!nodes[branch.from]) {
+      throw new Error(`Branch ${branch.id} starts from unknown step ${branch.from}`);
+    }
+    addChain(branch.steps, branch.id, branch.from, index + 1);
+  });
+  
+  return { nodes, lanes: (definition.branches || []).length + 1 };
+}
+
+// Steps of a route: the route of the branch point up to the branch point, followed by the branch's own steps
+function getRouteSteps(branchId) {
+  const branch = getPathwayBranch(branchId);
+  if (!branch) return pathway.steps;
+  const parentSteps = getRouteSteps(pathwayGraph.nodes[branch.from].branch);
+  const branchPoint = parentSteps.findIndex(step => step.id === branch.from);
+  return parentSteps.slice(0, branchPoint + 1).concat(branch.steps);
+}
+
+// Follow a branch of the pathway (or the main route with null). When the current step is past the
+// point where the two routes part, the view goes back to that step.
+function setActiveBranch(branchId) {
+  const branch = getPathwayBranch(branchId);
+  if (branchId && !branch) {
+    throw new Error(`Unknown pathway branch: ${branchId}`);
+  }
+  
+  const previousSteps = activeSteps;
+  activeBranch = branch ? branch.id : null;
+  activeSteps = getRouteSteps(activeBranch);
+  totalSteps = activeSteps.length - 1;
+  
+  let shared = 0;
+  while (shared < Math.min(previousSteps.length, activeSteps.length) && previousSteps[shared] === activeSteps[shared]) {
+    shared++;
+  }
+  
+  createEnergyProfile();
+  updateKinetics();
+  
+  if (currentStep >= shared) {
+    showStep(shared - 1);
+  } else {
+    updateStepTitle(currentStep);
+    updateNavigationButtons(currentStep);
+    updateMechanismButton();
+    updateOrbitalButton();
+  }
+  
+  const routeSelect = document.getElementById("route-select");
+  if (routeSelect) routeSelect.value = activeBranch || "";
+  console.log(branch ? `Following branch "${branch.title}" from ${branch.from}` : "Following the main route");
+}
+
+// Jump to a step of the pathway graph, switching to its route if it isn't on the one being followed
+function goToPathwayStep(stepId) {
+  const node = pathwayGraph && pathwayGraph.nodes[stepId];
+  if (!node || animationPlaying) return;
+  
+  if (!activeSteps.includes(node.definition)) {
+    setActiveBranch(node.branch);
+  }
+  const step = activeSteps.indexOf(node.definition);
+  if (step === currentStep + 1) {
+    nextStep();
+  } else if (step !== currentStep) {
+    showStep(step);
   }
 }
 
+// Clickable map of the pathway graph in the info panel: steps as nodes (labelled with their formula),
+// the route being followed highlighted and the current step ringed
+function updatePathwayMap() {
+  const container = document.getElementById("pathway-map");
+  if (!container || !pathwayGraph) return;
+  
+  const nodes = Object.values(pathwayGraph.nodes);
+  const columns = Math.max(...nodes.map(node => node.depth)) + 1;
+  const width = 300;
+  const laneHeight = 36;
+  const height = pathwayGraph.lanes * laneHeight + 8;
+  const x = node => 18 + node.depth * (width - 36) / Math.max(1, columns - 1);
+  const y = node => 18 + node.lane * laneHeight;
+  const current = getStepDefinition(currentStep);
+  
+  const edges = nodes.filter(node => node.previous).map(node => {
+    const from = pathwayGraph.nodes[node.previous];
+    const onRoute = activeSteps.includes(node.definition) && activeSteps.includes(from.definition);
+    return `<path d="M ${x(from)} ${y(from)} C ${(x(from) + x(node)) / 2} ${y(from)}, ${(x(from) + x(node)) / 2} ${y(node)}, ${x(node)} ${y(node)}" fill="none" stroke="${onRoute ? "#60A5FA" : "#4B5563"}" stroke-width="${onRoute ? 2 : 1}" />`;
+  }).join("");
+  
+  const circles = nodes.map(node => {
+    const definition = node.definition;
+    const data = SCIENTIFIC_DATA[definition.data || definition.molecule] || {};
+    const label = definition.label || data.formula || definition.id;
+    const onRoute = activeSteps.includes(definition);
+    return `
+      <g data-step-id="${node.id}" class="cursor-pointer">
+        <title>${definition.title || definition.id}</title>
+        ${definition === current ? `<circle cx="${x(node)}" cy="${y(node)}" r="9" fill="none" stroke="#FBBF24" stroke-width="2" />` : ""}
+        <circle cx="${x(node)}" cy="${y(node)}" r="6" fill="${onRoute ? "#3B82F6" : "#374151"}" stroke="#9CA3AF" stroke-width="1" />
+        <text x="${x(node)}" y="${y(node) + 17}" fill="${onRoute ? "#E5E7EB" : "#9CA3AF"}" font-size="8" text-anchor="middle">${label}</text>
+      </g>
+    `;
+  }).join("");
+  
+  container.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full" xmlns="http://www.w3.org/2000/svg">
+      ${edges}
+      ${circles}
+    </svg>
+  `;
+}
+
+// Get the key into `molecules` for the molecule group shown at a specific step
+function getMoleculeKeyForStep(step) {
+  const definition = getStepDefinition(step);
+  return definition ? definition.molecule : "sodiumNitrite";
+}
+
+// Get the SCIENTIFIC_DATA key for a specific step
+function getDataKeyForStep(step) {
+  const definition = getStepDefinition(step);
+  if (!definition) return "sodiumNitrite";
+  return definition.data || definition.molecule;
+}
+
 // Focus camera on the current molecule
 function focusCameraOnCurrentMolecule(step) {
-  // Get the data key for the current step
-  const dataKey = getDataKeyForStep(step);
+  // Get the molecule key for the current step
+  const moleculeKey = getMoleculeKeyForStep(step);
+  const definition = getStepDefinition(step);
   
   // Create a default target position
   let targetPosition = new THREE.Vector3(0, 0, 0);
   
   // Try to get accurate position from molecule if it exists
-  if (molecules[dataKey] && molecules[dataKey].group) {
+  if (molecules[moleculeKey] && molecules[moleculeKey].group) {
     // Use the molecule's position if available
-    targetPosition.copy(molecules[dataKey].group.position);
+    targetPosition.copy(molecules[moleculeKey].group.position);
     
-    // Apply specific offset adjustments based on step
-    if (step === 3) { // Nitrosamine step needs a specific offset
-      targetPosition.add(new THREE.Vector3(-1, 1, 0));
+    // Apply the step's camera offset from the pathway definition
+    if (definition && Array.isArray(definition.cameraOffset)) {
+      targetPosition.add(new THREE.Vector3().fromArray(definition.cameraOffset));
     }
   } else {
-    console.warn(`Molecule group for camera focus at step ${step} (${dataKey}) not found, using default position.`);
+    console.warn(`Molecule group for camera focus at step ${step} (${moleculeKey}) not found, using default position.`);
   }
   
   // Animate camera to focus on target
@@ -2784,13 +5160,13 @@ function resetCameraView() {
   const zoomDistance = isMobile() ? 18 : 15;
   
   // Determine which molecule to focus on based on current step - with safety checks
-  const dataKey = getDataKeyForStep(currentStep);
+  const moleculeKey = getMoleculeKeyForStep(currentStep);
   
   // Safely access molecule groups with proper error checking
-  if (molecules[dataKey] && molecules[dataKey].group) {
-    lookAtTarget.copy(molecules[dataKey].group.position);
+  if (molecules[moleculeKey] && molecules[moleculeKey].group) {
+    lookAtTarget.copy(molecules[moleculeKey].group.position);
   } else {
-    console.warn(`Molecule group for step ${currentStep} (${dataKey}) not found, using default position.`);
+    console.warn(`Molecule group for step ${currentStep} (${moleculeKey}) not found, using default position.`);
     // Use a default position if the molecule doesn't exist
     lookAtTarget.set(0, 0, 0);
   }
@@ -2847,10 +5223,19 @@ function updateMoleculeData(dataKey) {
         <tbody>
   `;
 
-  // List of essential properties to show (in order)
-  const essentialProps = [
+  // Identity of a specific compound (selected nitrosamine, SMILES molecules) - always shown
+  const compoundProps = [
+    'compound',
     'formula',
     'molecular_weight',
+    'IARC_class',
+    'acceptable_intake',
+    'nitrosamine_formed'
+  ];
+  
+  // List of essential properties to show (in order)
+  const essentialProps = [
+    'amine_source',
     'role',
     'health_concerns',
     'properties',
@@ -2861,20 +5246,18 @@ function updateMoleculeData(dataKey) {
   ];
   
   // Filter to include only essential properties
-  let displayedProps = [];
+  let displayedProps = compoundProps
+    .filter(prop => data[prop])
+    .map(prop => [prop, data[prop]]);
+  const compoundCount = displayedProps.length;
   
-  // Ensure we don't display more than 4 properties to keep it concise
+  // Add at most 3 descriptive properties to keep it concise
   for (const prop of essentialProps) {
-    if (data[prop] && displayedProps.length < 3) {
+    if (data[prop] && displayedProps.length - compoundCount < 3) {
       displayedProps.push([prop, data[prop]]);
     }
   }
   
-  // Add formula as the most important property if it exists and isn't already included
-  if (data['formula'] && !displayedProps.some(item => item[0] === 'formula')) {
-    displayedProps.unshift(['formula', data['formula']]);
-  }
-
   // Create formatted property rows for filtered properties
   for (const [key, value] of displayedProps) {
     const formattedKey = key
@@ -2898,6 +5281,48 @@ function updateMoleculeData(dataKey) {
   `;
   
   propertiesContainer.innerHTML = html;
+  updateResonanceControls();
+  updateMechanismButton();
+  updateOrbitalButton();
+  updateChargeCheck();
+  updateGeometryPanel();
+  updateSurfaceLegend();
+  updateProductMoleculesVisibility();
+}
+
+// Show the species of the displayed molecule with their charges and check the net charge against the
+// pathway step (netCharge, default 0)
+function updateChargeCheck() {
+  const container = document.getElementById("charge-check");
+  if (!container) return;
+  
+  const moleculeKey = getDisplayedMoleculeKey();
+  const group = molecules[moleculeKey] && molecules[moleculeKey].group;
+  // Imported glTF models carry no bond end points
+  if (!group || moleculeKey === "imported") {
+    container.innerHTML = "";
+    return;
+  }
+  
+  const { species, netCharge } = getChargeSummary(group);
+  if (species.length === 0) {
+    container.innerHTML = "";
+    return;
+  }
+  
+  const definition = moleculeKey === getMoleculeKeyForStep(currentStep) ? getStepDefinition(currentStep) : null;
+  const expected = definition ? (definition.netCharge || 0) : null;
+  const matches = expected === null || Math.abs(netCharge - expected) < CHARGE_PRECISION;
+  const formatCharge = charge => charge > 0 ? `+${charge}` : charge < 0 ? `−${-charge}` : "0";
+  
+  container.innerHTML = `
+    <div class="flex flex-wrap items-center gap-1.5">
+      ${species.map(item => `<span class="px-1.5 py-0.5 rounded bg-gray-700 font-mono">${item.formula}</span>`).join("")}
+      <span class="ml-auto whitespace-nowrap ${matches ? "text-green-400" : "text-red-400"}">
+        Net charge ${formatCharge(netCharge)}${matches ? " ✓" : ` (expected ${formatCharge(expected)})`}
+      </span>
+    </div>
+  `;
 }
 
 // Update scientific context information with concise content
@@ -2906,44 +5331,24 @@ function updateScientificContext(step) {
 
   if (!contextContainer) return;
 
+  const definition = getStepDefinition(step);
   let html = "";
 
-  // Concise content for each step with improved styling
-  switch (step) {
-    case 0:
-      html = `
-        <div class="bg-gray-800 bg-opacity-30 rounded-lg p-4 border border-gray-700 border-opacity-50">
-          <h4 class="text-blue-300 font-medium mb-2">About Sodium Nitrite</h4>
-          <p>Sodium nitrite (NaNO₂) is a food preservative used in processed meats to prevent bacterial growth and maintain color. When consumed, it can react in the acidic environment of the stomach to form potentially harmful compounds.</p>
-        </div>
-      `;
-      break;
-    case 1:
-      html = `
-        <div class="bg-gray-800 bg-opacity-30 rounded-lg p-4 border border-gray-700 border-opacity-50">
-          <h4 class="text-blue-300 font-medium mb-2">Nitrous Acid Formation</h4>
-          <p>In the acidic stomach environment, sodium nitrite reacts with stomach acid to form nitrous acid (HNO₂). This unstable intermediate is the first step in a chain of reactions that can lead to nitrosamine formation.</p>
-        </div>
-      `;
-      break;
-    case 2:
-      html = `
-        <div class="bg-gray-800 bg-opacity-30 rounded-lg p-4 border border-gray-700 border-opacity-50">
-          <h4 class="text-blue-300 font-medium mb-2">Nitrosonium Ion</h4>
-          <p>Nitrous acid breaks down to form the highly reactive nitrosonium ion (NO⁺), a strong nitrosating agent that can react with compounds in the digestive system, particularly secondary amines from protein breakdown.</p>
-        </div>
-      `;
-      break;
-    case 3:
-      html = `
-        <div class="bg-gray-800 bg-opacity-30 rounded-lg p-4 border border-gray-700 border-opacity-50">
-          <h4 class="text-blue-300 font-medium mb-2">Nitrosamine Formation</h4>
-          <p>When the nitrosonium ion reacts with secondary amines, it forms nitrosamines (R₂N-N=O). These compounds are classified as probable human carcinogens that can cause DNA mutations after being metabolically activated in the body.</p>
-        </div>
-      `;
-      break;
-    default:
-      html = `<div class="bg-gray-800 bg-opacity-30 rounded-lg p-4 border border-gray-700 border-opacity-50"><p>No scientific context available for this step.</p></div>`;
+  // Context text and equation come from the pathway definition
+  if (definition && definition.context) {
+    // The nitrosamine and activation steps show the reactions of the selected amine ({amine} etc. in the equation)
+    const equation = definition.molecule === "nitrosamine" || /\{\w+\}/.test(definition.equation || "")
+      ? getAmineEquation(selectedAmine, definition.equation || undefined)
+      : definition.equation;
+    html = `
+      <div class="bg-gray-800 bg-opacity-30 rounded-lg p-4 border border-gray-700 border-opacity-50">
+        <h4 class="text-blue-300 font-medium mb-2">${definition.context.heading}</h4>
+        ${equation ? `<p class="font-mono text-blue-100 mb-2">${equation}</p>` : ""}
+        <p>${definition.context.text}</p>
+      </div>
+    `;
+  } else {
+    html = `<div class="bg-gray-800 bg-opacity-30 rounded-lg p-4 border border-gray-700 border-opacity-50"><p>No scientific context available for this step.</p></div>`;
   }
 
   contextContainer.innerHTML = html;
@@ -2952,600 +5357,83 @@ function updateScientificContext(step) {
 // Update the step indicator in the sidebar
 function updateStepIndicator(step) {
   const stepIndicator = document.getElementById("molecule-step-indicator");
-  if (stepIndicator) {
-    // Steps are 0-indexed in code but 1-indexed for display
-    stepIndicator.textContent = `Step ${step + 1}/${totalSteps + 1}`;
-    
-    // Change color based on step
-    const colors = [
-      "bg-blue-500",   // Sodium Nitrite
-      "bg-green-500",  // Nitrous Acid
-      "bg-yellow-500", // Nitrosonium Ion
-      "bg-red-500"     // Nitrosamine
-    ];
-    
-    // Remove existing color classes
-    stepIndicator.className = stepIndicator.className.replace(/bg-\w+-\d+/g, '');
-    
-    // Add current color class
-    stepIndicator.classList.add(colors[step] || colors[0]);
-  }
-}
-
-// Update the step title in the bottom indicator
-function updateStepTitle(step) {
-  const stepTitle = document.querySelector(".step-title");
-  if (!stepTitle) return;
-  
-  let title = "";
-  switch(step) {
-    case 0:
-      title = "Initial State: Sodium Nitrite";
-      break;
-    case 1:
-      title = "Acid Reaction: Nitrous Acid Formation";
-      break;
-    case 2:
-      title = "Decomposition: Nitrosonium Ion";
-      break;
-    case 3:
-      title = "Final Product: Nitrosamine Formation";
-      break;
-    default:
-      title = "Sodium Nitrite to Nitrosamine";
-  }
-  
-  stepTitle.textContent = title;
-}
-
-// Update navigation button states based on current step
-function updateNavigationButtons(step) {
-  const prevButton = document.getElementById("prev-btn");
-  const nextButton = document.getElementById("next-btn");
-    
-  // Disable previous button on first step
-  if (step === 0) {
-    prevButton.classList.add('disabled');
-    prevButton.setAttribute('disabled', 'disabled');
-  } else {
-    prevButton.classList.remove('disabled');
-    prevButton.removeAttribute('disabled');
-  }
-    
-  // Disable next button on last step
-  if (step === totalSteps) {
-    nextButton.classList.add('disabled');
-    nextButton.setAttribute('disabled', 'disabled');
-  } else {
-    nextButton.classList.remove('disabled');
-    nextButton.removeAttribute('disabled');
-  }
-    
-  // Update step indicator
-  updateStepIndicator(step);
-}
-
-// Show the current step with enhanced animation transitions
-function showStepImplementation(step) {
-  // Validate step is within bounds
-  if (step < 0 || step > totalSteps) return;
-  
-  console.log('showStep called for step:', step, 'current animation flag:', animationPlaying);
-  
-  // Set animation flag
-  animationPlaying = true;
-  
-  // Get previous and current data keys for the transition
-  const prevDataKey = getDataKeyForStep(currentStep);
-  const newDataKey = getDataKeyForStep(step);
-  
-  console.log(`Transitioning from ${prevDataKey} to ${newDataKey}`);
-  
-  // Ensure proper molecule objects structure
-  const moleculeKeys = ['sodiumNitrite', 'nitrousAcid', 'decomposed', 'nitrosamine'];
-  moleculeKeys.forEach(key => {
-    if (!molecules[key]) {
-      molecules[key] = { 
-        group: new THREE.Group(), 
-        visible: false 
-      };
-      molecules[key].group.name = key;
-      scene.add(molecules[key].group);
-    } else if (!molecules[key].group) {
-      molecules[key].group = new THREE.Group();
-      molecules[key].group.name = key;
-      scene.add(molecules[key].group);
-    }
-  });
-  
-  // Make sure stomach environment is visible for all steps
-  if (molecules.stomach) {
-    molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-  } else {
-    console.warn('Stomach environment not found!');
-    // Try to recreate it if missing
-    createStomachEnvironment();
-  }
-  
-  // Add a safety timeout to prevent animations from getting stuck
-  if (window.animationResetTimeout) {
-    clearTimeout(window.animationResetTimeout);
-  }
-  
-  // Safety mechanism: if animation gets stuck, reset after 10 seconds
-  window.animationResetTimeout = setTimeout(() => {
-    console.log('Animation safety timeout triggered after 10 seconds');
-    animationPlaying = false;
-  }, 10000);
-  
-  // Update UI elements
-  updateStepTitle(step);
-  updateStepIndicator(step);
-  updateNavigationButtons(step);
-  
-  // Create a GSAP timeline for all animations
-  const masterTimeline = gsap.timeline({
-    onComplete: () => {
-      console.log('Animation complete, setting animationPlaying to false');
-      // Hide previous molecule
-      if (molecules[prevDataKey] && molecules[prevDataKey].group) {
-        molecules[prevDataKey].group.visible = false;
-      }
-      // Make sure new molecule is visible
-      if (molecules[newDataKey] && molecules[newDataKey].group) {
-        molecules[newDataKey].group.visible = true;
-      }
-      // Update the data panels after animation completes
-      updateMoleculeData(newDataKey);
-      updateScientificContext(step);
-      // Animation is done
-      animationPlaying = false;
-      // Update current step
-      currentStep = step;
-      // Clear the safety timeout since animation completed properly
-      if (window.animationResetTimeout) {
-        clearTimeout(window.animationResetTimeout);
-      }
-    }
-  });
-  
-  // Handle transition effects between molecules
-  if (prevDataKey !== newDataKey) {
-    console.log(`Animating transition from ${prevDataKey} to ${newDataKey}`);
-    
-    // Simple transition directly from one molecule to another
-    if (molecules[prevDataKey] && molecules[prevDataKey].group && 
-        molecules[newDataKey] && molecules[newDataKey].group) {
-      
-      // STEP 1: Setup - Make sure source is visible and target is hidden
-      molecules[prevDataKey].group.visible = true;
-      molecules[newDataKey].group.visible = false;
-      
-      // Reset opacity on all materials
-      molecules[prevDataKey].group.traverse(object => {
-        if (object.material) {
-          object.material.transparent = true;
-          object.material.opacity = 1.0;
-        }
-      });
-      
-      // STEP 2: Create particles for visual effect if needed
-      const particleColor = step === 1 ? 0xFFFFFF : // white for acid
-                            step === 2 ? 0xFFA726 : // orange for decomposition
-                            step === 3 ? 0xFF5252 : // red for nitrosamine 
-                            0xFFFFFF;  // default
-      
-      const particles = new THREE.Points(
-        new THREE.BufferGeometry().setFromPoints(
-          Array(20).fill().map(() => new THREE.Vector3(
-            (Math.random() - 0.5) * 5,
-            (Math.random() - 0.5) * 5,
-            (Math.random() - 0.5) * 5
-          ))
-        ),
-        new THREE.PointsMaterial({
-          color: particleColor,
-          size: 0.2,
-          transparent: true,
-          opacity: 0.7
-        })
-      );
-      
-      particles.position.copy(molecules[prevDataKey].group.position);
-      scene.add(particles);
-      
-      // STEP 3: Define the animation timeline
-      // Create a very simple timeline
-      masterTimeline.add(() => {
-        // Fade out the source molecule
-        gsap.to(molecules[prevDataKey].group.children, {
-          opacity: 0,
-          duration: 0.8,
-          stagger: 0.02,
-          ease: 'power2.in',
-          onComplete: () => {
-            // After fade out, hide source and show target
-            molecules[prevDataKey].group.visible = false;
-            molecules[newDataKey].group.visible = true;
-            
-            // Animate particles
-            gsap.to(particles.material, {
-              opacity: 0,
-              duration: 0.5,
-              delay: 0.8,
-              onComplete: () => {
-                scene.remove(particles);
-              }
-            });
-            
-            // Fade in target molecule
-            molecules[newDataKey].group.children.forEach(child => {
-              if (child.material) {
-                child.material.transparent = true;
-                child.material.opacity = 0;
-              }
-            });
-            
-            gsap.to(molecules[newDataKey].group.children, {
-              opacity: 1,
-              duration: 0.8,
-              stagger: 0.03,
-              ease: 'power2.out'
-            });
-          }
-        });
-      });
-      }
-      else if (step === 2 && currentStep === 1) { // Nitrous Acid to Nitrosonium Ion
-        console.log('Animating: Nitrous Acid decomposing to form Nitrosonium Ion');
-        
-        // Make sure source and target molecules are properly prepared
-        molecules[prevDataKey].group.visible = true;
-        molecules[newDataKey].group.visible = false;
-        
-        // Create decomposition particles
-        const decompParticles = createParticleSystem(
-          molecules[prevDataKey].group.position, 
-          atomColors.NitriteHighlight, // Yellow-orange for decomposition
-          20, // particle count
-          4,  // spread
-          0.2 // size
-        );
-        transitionParticles.add(decompParticles);
-        
-        // Create water molecules that split off
-        const waterParticle = createParticleSystem(
-          molecules[prevDataKey].group.position, 
-          atomColors.O, // Oxygen color for water
-          5, // particle count
-          3, // spread
-          0.3 // size
-        );
-        transitionParticles.add(waterParticle);
-        
-        // Animate particles moving outward
-        waterParticle.children.forEach(particle => {
-          const randomAngle = Math.random() * Math.PI * 2;
-          const randomDistance = 3 + Math.random() * 3;
-          masterTimeline.to(particle.position, {
-            x: particle.position.x + Math.cos(randomAngle) * randomDistance,
-            y: particle.position.y + Math.sin(randomAngle) * randomDistance,
-            z: particle.position.z + (Math.random() - 0.5) * randomDistance,
-            duration: 1.2,
-            ease: 'power2.out'
-          }, 0.3);
-        });
-        
-        // Create a simpler fade transition
-        // Fade out source molecule
-        molecules[prevDataKey].group.traverse(object => {
-          if (object.material) {
-            if (object.material.transparent === undefined) {
-              object.material.transparent = true;
-            }
-            masterTimeline.to(object.material, {
-              opacity: 0,
-              duration: 1.0,
-              ease: 'power2.inOut'
-            }, 0.5);
-          }
-        });
-        
-        // After source fades, show target
-        masterTimeline.call(() => {
-          molecules[prevDataKey].group.visible = false;
-          molecules[newDataKey].group.visible = true;
-          // Reset opacity on source for future use
-          molecules[prevDataKey].group.traverse(object => {
-            if (object.material) {
-              object.material.opacity = 1;
-            }
-          });
-        }, null, 1.5);
-        
-        // Fade in the target molecule
-        molecules[newDataKey].group.traverse(object => {
-          if (object.material) {
-            object.material.transparent = true;
-            object.material.opacity = 0;
-            masterTimeline.to(object.material, {
-              opacity: 1,
-              duration: 0.8,
-              ease: 'power2.inOut'
-            }, 1.6);
-          }
-        });
-      }
-      else if (step === 3 && currentStep === 2) { // Nitrosonium Ion to Nitrosamine
-        console.log('Animating: Nitrosonium Ion combining with amine to form Nitrosamine');
-        
-        // Make sure source and target molecules are properly prepared
-        molecules[prevDataKey].group.visible = true;
-        molecules[newDataKey].group.visible = false;
-        
-        // Create amine particles that will combine with the nitrosonium ion
-        const amineParticles = createParticleSystem(
-          new THREE.Vector3(5, 0, 0), // Approach from right side
-          atomColors.N, // Nitrogen color for amine particles
-          12, // particle count
-          3,  // spread
-          0.3 // size
-        );
-        transitionParticles.add(amineParticles);
-        
-        // Create bonding effect particles
-        const bondingParticles = createParticleSystem(
-          molecules[prevDataKey].group.position, 
-          atomColors.NitrosoHighlight, // Red for nitrosamine formation
-          15, // particle count
-          3,  // spread
-          0.15 // size
-        );
-        transitionParticles.add(bondingParticles);
-        
-        // Animate amine particles moving toward nitrosonium ion
-        masterTimeline.to(amineParticles.position, {
-          x: molecules[prevDataKey].group.position.x,
-          y: molecules[prevDataKey].group.position.y,
-          z: molecules[prevDataKey].group.position.z,
-          duration: 1,
-          ease: "power2.inOut"
-        }, 0);
-        
-        // Create a flash at the collision point when amine reaches nitrosonium
-        const flashGeometry = new THREE.SphereGeometry(3, 24, 24);
-        const flashMaterial = new THREE.MeshBasicMaterial({
-          color: atomColors.NitrosoHighlight,
-          transparent: true,
-          opacity: 0,
-          side: THREE.DoubleSide
-        });
-        const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-        flash.position.copy(molecules[prevDataKey].group.position);
-        transitionParticles.add(flash);
-        
-        // Flash when amine hits nitrosonium
-        masterTimeline.to(flash.material, {
-          opacity: 0.5,
-          duration: 0.2,
-          ease: 'power2.in'
-        }, 1.0);
-        
-        // Create a simpler fade transition
-        // Fade out source molecule
-        molecules[prevDataKey].group.traverse(object => {
-          if (object.material) {
-            if (object.material.transparent === undefined) {
-              object.material.transparent = true;
-            }
-            masterTimeline.to(object.material, {
-              opacity: 0,
-              duration: 0.8,
-              ease: 'power2.inOut'
-            }, 1.1);
-          }
-        });
-        
-        // After source fades, show target
-        masterTimeline.call(() => {
-          molecules[prevDataKey].group.visible = false;
-          molecules[newDataKey].group.visible = true;
-          // Reset opacity on source for future use
-          molecules[prevDataKey].group.traverse(object => {
-            if (object.material) {
-              object.material.opacity = 1;
-            }
-          });
-        }, null, 1.9);
-        
-        // Fade in the target molecule
-        molecules[newDataKey].group.traverse(object => {
-          if (object.material) {
-            object.material.transparent = true;
-            object.material.opacity = 0;
-            masterTimeline.to(object.material, {
-              opacity: 1,
-              duration: 0.8,
-              ease: 'power2.inOut'
-            }, 2.0);
-          }
-        });
-        
-        // Fade out the flash
-        masterTimeline.to(flash.material, {
-          opacity: 0,
-          duration: 0.5,
-          ease: 'power2.out'
-        }, 2.0);
-      }
-      else { // Default transition for any other cases
-        console.log('Using default transition animation');
-        
-        // Make sure source and target molecules are properly prepared
-        molecules[prevDataKey].group.visible = true;
-        molecules[newDataKey].group.visible = false;
-        
-        // Create simple transition particles
-        const defaultParticles = createParticleSystem(
-          molecules[prevDataKey].group.position, 
-          0xFFFFFF, // White particles for generic transition
-          15, // particle count
-          4,  // spread
-          0.2 // size
-        );
-        transitionParticles.add(defaultParticles);
-        
-        // Create a simpler fade transition
-        // Fade out source molecule
-        molecules[prevDataKey].group.traverse(object => {
-          if (object.material) {
-            if (object.material.transparent === undefined) {
-              object.material.transparent = true;
-            }
-            masterTimeline.to(object.material, {
-              opacity: 0,
-              duration: 0.8,
-              ease: 'power2.inOut'
-            }, 0.3);
-          }
-        });
-        
-        // After source fades, show target
-        masterTimeline.call(() => {
-          molecules[prevDataKey].group.visible = false;
-          molecules[newDataKey].group.visible = true;
-          // Reset opacity on source for future use
-          molecules[prevDataKey].group.traverse(object => {
-            if (object.material) {
-              object.material.opacity = 1;
-            }
-          });
-        }, null, 1.1);
-        
-        // Fade in the target molecule
-        molecules[newDataKey].group.traverse(object => {
-          if (object.material) {
-            object.material.transparent = true;
-            object.material.opacity = 0;
-            masterTimeline.to(object.material, {
-              opacity: 1,
-              duration: 0.8,
-              ease: 'power2.inOut'
-            }, 1.2);
-          }
-        });
-      }
-      
-      // Cleanup - remove particles at the end of the animation
-      masterTimeline.call(() => {
-        scene.remove(transitionParticles);
-      }, null, 2.5);
-    } else {
-      console.error(`Missing molecule group: ${!molecules[prevDataKey] ? prevDataKey : ''} ${!molecules[newDataKey] ? newDataKey : ''}`);
-      // Fallback - just show the new molecule without animation
-      if (molecules[prevDataKey] && molecules[prevDataKey].group) {
-        molecules[prevDataKey].group.visible = false;
-      }
-      if (molecules[newDataKey] && molecules[newDataKey].group) {
-        molecules[newDataKey].group.visible = true;
-      }
-      // End animation immediately since we can't animate
-      animationPlaying = false;
-      currentStep = step;
-    }
-  
-  // If no direct change needed
-  if (!isDirectChange) {
-    // No transition needed, just simple display of the current step
-    console.log(`Simple display of step ${step} (${newDataKey})`);
+  if (stepIndicator) {
+    // Steps are 0-indexed in code but 1-indexed for display
+    stepIndicator.textContent = `Step ${step + 1}/${totalSteps + 1}`;
     
-    // Hide all molecules except for the current one
-    moleculeKeys.forEach(key => {
-      if (molecules[key] && molecules[key].group) {
-        molecules[key].group.visible = (key === newDataKey);
-      }
-    });
+    // Change color based on step
+    const definition = getStepDefinition(step);
+    const color = (definition && definition.indicatorColor) || "bg-blue-500";
     
-    // Update UI
-    updateMoleculeData(newDataKey);
-    updateScientificContext(step);
+    // Remove existing color classes
+    stepIndicator.className = stepIndicator.className.replace(/bg-\w+-\d+/g, '');
     
-    // End animation
-    animationPlaying = false;
-    // Update current step
-    currentStep = step;
-  }
-  
-  // Focus camera on the target molecule
-  try {
-    focusCameraOnCurrentMolecule(step);
-  } catch (error) {
-    console.error('Error focusing camera:', error);
-    // Use default camera position as fallback
+    // Add current color class
+    stepIndicator.classList.add(color);
   }
 }
 
-// Create or recreate the stomach environment
-function createStomachEnvironment() {
-  if (molecules.stomach) {
-    // If it exists but might be invisible, make sure it's visible
-    molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-    return;
-  }
-  
-  console.log('Creating stomach environment...');
-  // Create a new stomach environment with consistent object structure
-  molecules.stomach = { group: new THREE.Group(), visible: true };
-  molecules.stomach.group.name = "stomach";
-  
-  // Create a sphere to represent the stomach wall
-  const stomachGeometry = new THREE.SphereGeometry(40, 64, 48);
-  const stomachMaterial = new THREE.MeshPhysicalMaterial({
-    color: 0xe57373,
-    roughness: 0.5,
-    metalness: 0.1,
-    transparent: true,
-    opacity: 0.35,
-    side: THREE.DoubleSide
-  });
-  
-  const stomachMesh = new THREE.Mesh(stomachGeometry, stomachMaterial);
-  stomachMesh.castShadow = true;
-  stomachMesh.receiveShadow = true;
-  stomachMesh.name = "stomach_wall";
+// Update the step title in the bottom indicator
+function updateStepTitle(step) {
+  const stepTitle = document.querySelector(".step-title");
+  if (!stepTitle) return;
   
-  molecules.stomach.group.add(stomachMesh);
-  scene.add(molecules.stomach.group);
+  const definition = getStepDefinition(step);
+  const title = definition && definition.title ? definition.title : (pathway ? pathway.title : "Sodium Nitrite to Nitrosamine");
   
-  // Add some acid particles for visual effect
-  for (let i = 0; i < 20; i++) {
-    const radius = 25 + Math.random() * 10;
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.random() * Math.PI;
-    
-    const x = radius * Math.sin(phi) * Math.cos(theta);
-    const y = radius * Math.sin(phi) * Math.sin(theta);
-    const z = radius * Math.cos(phi);
+  stepTitle.textContent = title;
+}
+
+// Update navigation button states based on current step
+function updateNavigationButtons(step) {
+  const prevButton = document.getElementById("prev-btn");
+  const nextButton = document.getElementById("next-btn");
     
-    const particleGroup = new THREE.Group();
-    particleGroup.position.set(x, y, z);
-    particleGroup.name = `acid_particle_${i}`;
+  // Disable previous button on first step
+  if (step === 0) {
+    prevButton.classList.add('disabled');
+    prevButton.setAttribute('disabled', 'disabled');
+  } else {
+    prevButton.classList.remove('disabled');
+    prevButton.removeAttribute('disabled');
+  }
     
-    // Create a small sphere for each acid particle
-    const particleGeometry = new THREE.SphereGeometry(0.4, 12, 12);
-    const particleMaterial = new THREE.MeshStandardMaterial({
-      color: 0xaaff00,
-      emissive: 0x44aa00,
-      transparent: true,
-      opacity: 0.7
-    });
+  // Disable next button on last step
+  if (step === totalSteps) {
+    nextButton.classList.add('disabled');
+    nextButton.setAttribute('disabled', 'disabled');
+  } else {
+    nextButton.classList.remove('disabled');
+    nextButton.removeAttribute('disabled');
+  }
     
-    const particleMesh = new THREE.Mesh(particleGeometry, particleMaterial);
-    particleGroup.add(particleMesh);
-    molecules.stomach.group.add(particleGroup);
+  // Update step indicator
+  updateStepIndicator(step);
+  updateRouteChoices(step);
+  updatePathwayMap();
+}
+
+// Route buttons in the step navigator at a step where branches leave the main route
+function updateRouteChoices(step) {
+  const container = document.getElementById("route-choices");
+  if (!container) return;
+  
+  const definition = getStepDefinition(step);
+  const branches = (pathway && pathway.branches || []).filter(branch => definition && branch.from === definition.id);
+  if (branches.length === 0) {
+    container.classList.add("hidden");
+    container.innerHTML = "";
+    return;
   }
+  
+  // Continuing on the route the step belongs to, or leaving it on one of the branches
+  const ownBranch = getPathwayBranch(pathwayGraph.nodes[definition.id].branch);
+  const routes = [ownBranch || { id: "", title: pathway.mainRoute || "Main route" }].concat(branches);
+  container.innerHTML = routes.map(route => {
+    const active = (activeBranch || "") === route.id;
+    return `<button data-route="${route.id}" class="py-1 px-3 rounded-full text-xs font-medium border transition-all ${active ? "bg-blue-600 border-blue-400 text-white" : "bg-black bg-opacity-60 border-gray-700 text-gray-300 hover:bg-gray-800"}">${route.title}</button>`;
+  }).join("");
+  container.classList.remove("hidden");
 }
 
 // Create a particle system for transitions
@@ -3596,385 +5484,71 @@ function createParticleSystem(center, color = 0xffffff, count = 20, spread = 5,
   return particles;
 }
 
-// ...
-
-// Show the current step with enhanced animation transitions
-function showStepImplementation(step) {
-  // Validate step is within bounds
-  if (step < 0 || step > totalSteps) return;
-  
-  console.log('showStep called for step:', step, 'current animation flag:', animationPlaying);
-  
-  // Set animation flag
-  animationPlaying = true;
-  
-  // Ensure proper molecule objects structure
-  const moleculeKeys = ['sodiumNitrite', 'nitrousAcid', 'decomposed', 'nitrosamine'];
-  moleculeKeys.forEach(key => {
-    if (!molecules[key]) {
-      molecules[key] = { 
-        group: new THREE.Group(), 
-        visible: false 
-      };
-      molecules[key].group.name = key;
-      scene.add(molecules[key].group);
-    } else if (!molecules[key].group) {
-      molecules[key].group = new THREE.Group();
-      molecules[key].group.name = key;
-      scene.add(molecules[key].group);
-    }
-  });
-  
-  // Make sure stomach environment is visible for all steps
-  if (molecules.stomach) {
-    molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-  } else {
-    console.warn('Stomach environment not found!');
-    // Try to recreate it if missing
-    createStomachEnvironment();
-  }
-  
-  // Add a safety timeout to prevent animations from getting stuck
-  if (window.animationResetTimeout) {
-    clearTimeout(window.animationResetTimeout);
-  }
-  
-  // Safety mechanism: if animation gets stuck, reset after 10 seconds
-  window.animationResetTimeout = setTimeout(() => {
-    console.log('Animation safety timeout triggered after 10 seconds');
-    animationPlaying = false;
-  }, 10000);
-  
-  // Get the data keys for the previous and current steps
-  let prevDataKey = getDataKeyForStep(currentStep);
-  let newDataKey = getDataKeyForStep(step);
-  
-  // Check if this is a direct step change (e.g., via next/prev buttons)
-  const isDirectChange = step !== currentStep;
-  
-  console.log(`Transitioning from ${prevDataKey} to ${newDataKey}`);
-  
-  // IMPORTANT: Ensure all molecules are properly initialized and have groups
-  const ensureMoleculeExists = (key) => {
-    if (!molecules[key]) {
-      console.log(`Creating molecule container for ${key}`);
-      molecules[key] = { group: new THREE.Group(), visible: false };
-      scene.add(molecules[key].group);
-      return false;
-    }
-    
-    if (!molecules[key].group) {
-      console.log(`Creating group for ${key}`);
-      molecules[key].group = new THREE.Group();
-      scene.add(molecules[key].group);
-      return false;
-    }
-    
-    return true;
-  };
+// Create the particle meshes for a step transition defined in the pathway
+// Effects: "scatter" (spread around the source), "burst" (from the source centre),
+// "approach" (arriving from the right of the source)
+function createTransitionParticles(transition, origin) {
+  const effect = transition.effect || "scatter";
+  const count = transition.count || 15;
+  const color = new THREE.Color(transition.color || 0xFFFFFF);
+  const size = effect === "scatter" ? 0.15 : 0.2;
+  const result = [];
   
-  // Make sure all molecule types exist
-  const prevExists = ensureMoleculeExists(prevDataKey);
-  const newExists = ensureMoleculeExists(newDataKey);
-  
-  // Ensure stomach is visible during transitions
-  if (molecules.stomach) {
-    molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
-  }
-  
-  // Make sure transition particles are shown regardless
-  const showTransition = true;
-  
-  // Only do full animation if actually changing steps
-  if (isDirectChange) {
-    // Create a particle effect for the transition at stomach center
-    const stomachCenter = new THREE.Vector3(0, 0, 0);
-    const transitionParticles = createParticleSystem(
-      stomachCenter,
-      0x66ccff, // Blue particles
-      40,        // More particles for better effect
-      12,        // Broader spread
-      0.2        // Larger particles
-    );
-    scene.add(transitionParticles);
-    
-    // Make sure both molecules are properly positioned and visible
-    if (molecules[prevDataKey] && molecules[prevDataKey].group) {
-      molecules[prevDataKey].group.visible = true;
-    }
-    
-    if (molecules[newDataKey] && molecules[newDataKey].group) {
-      // Position new molecule at same position initially
-      if (molecules[prevDataKey] && molecules[prevDataKey].group) {
-        molecules[newDataKey].group.position.copy(molecules[prevDataKey].group.position);
-      }
-      // Initially hide the target molecule
-      molecules[newDataKey].group.visible = false;
-      // Prepare scale for animation
-      molecules[newDataKey].group.scale.set(0.8, 0.8, 0.8);
-    }
-    
-    // Set up a timeline for a smooth transition with more effects
-    const timeline = gsap.timeline({
-      onComplete: () => {
-        console.log('Animation complete, setting animationPlaying to false');
-        // Hide previous molecule
-        if (molecules[prevDataKey] && molecules[prevDataKey].group) {
-          molecules[prevDataKey].group.visible = false;
-        }
-        // Make sure new molecule is visible
-        if (molecules[newDataKey] && molecules[newDataKey].group) {
-          molecules[newDataKey].group.visible = true;
-        }
-        // Remove particles
-        scene.remove(transitionParticles);
-        // Animation is done
-        animationPlaying = false;
-        // Update current step
-        currentStep = step;
-      }
-    });
-    
-    // Focus camera on the target molecule
-    try {
-      focusCameraOnCurrentMolecule(step);
-    } catch (error) {
-      console.error('Error focusing camera:', error);
-      // Use default camera position as fallback
-      controls.target.set(0, 0, 0);
-    }
-    
-    // Ensure molecules are visible during transition
-    if (molecules[prevDataKey] && molecules[prevDataKey].group) {
-      molecules[prevDataKey].group.visible = true;
-    }
-    
-    if (molecules[newDataKey] && molecules[newDataKey].group) {
-      // Initially hide target molecule
-      molecules[newDataKey].group.visible = false;
-    }
-    
-    // Create center point for transition effects
-    const centerPoint = new THREE.Vector3(0, 0, 0);
-    
-    // Create transition particles at the center point with more dramatic colors and sizes
-    const centerParticles = createParticleSystem(
-      centerPoint,
-      0x00ffff, // Bright cyan glow
-      60, // Many more particles for better visibility
-      15, // Much wider spread
-      0.3 // Larger particles
-    );
-    scene.add(centerParticles);
-    
-    // Add a dramatic flash effect with brighter colors and bigger size for more visibility
-    const flashGeometry = new THREE.SphereGeometry(5, 32, 32);
-    const flashMaterial = new THREE.MeshBasicMaterial({
-      color: 0x00ffff,
+  for (let i = 0; i < count; i++) {
+    const geometry = new THREE.SphereGeometry(size, 8, 8);
+    const material = new THREE.MeshBasicMaterial({
+      color: color,
       transparent: true,
-      opacity: 0,
-      emissive: 0x00ffff,
-      emissiveIntensity: 2.0
-    });
-    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-    flash.scale.set(1, 1, 1);
-    flash.position.copy(centerPoint);
-    scene.add(flash);
-    
-    // 1. Start with a much more dramatic flash effect
-    timeline.to(flash.scale, {
-      x: 30, // Much larger scale for more visibility
-      y: 30,
-      z: 30,
-      duration: 1.0, // Longer duration to be more noticeable
-      ease: 'elastic.out(1, 0.5)' // Elastic effect for more drama
-    }, 0);
-    
-    timeline.to(flash.material, {
-      opacity: 0.9, // Higher peak opacity
-      duration: 0.5,
-      ease: 'power1.out',
-      onComplete: () => {
-        // Create a pulsing effect for the flash
-        gsap.to(flash.material, {
-          opacity: 0.3,
-          duration: 0.3,
-          ease: 'power2.in',
-          repeat: 2,
-          yoyo: true,
-          onComplete: () => {
-            // Final fade out
-            gsap.to(flash.material, {
-              opacity: 0,
-              duration: 0.7,
-              ease: 'power2.in'
-            });
-          }
-        });
-      }
-    }, 0);
-    
-    // 2. Fade out previous molecule with scale effect
-    if (molecules[prevDataKey] && molecules[prevDataKey].group) {
-      timeline.to(molecules[prevDataKey].group.scale, {
-        x: 0.7,
-        y: 0.7,
-        z: 0.7,
-        duration: 0.6,
-        ease: 'power2.in'
-      }, 0.4);
-      
-      // Traverse all objects and fade their materials
-      molecules[prevDataKey].group.traverse(obj => {
-        if (obj.material) {
-          // Ensure material can fade
-          obj.material.transparent = true;
-          timeline.to(obj.material, {
-            opacity: 0,
-            duration: 0.6,
-            ease: 'power2.in'
-          }, 0.4);
-        }
-      });
-    }
-    
-    // 3. Animate particles
-    centerParticles.children.forEach((particle, i) => {
-      const direction = new THREE.Vector3(
-        Math.random() * 2 - 1,
-        Math.random() * 2 - 1,
-        Math.random() * 2 - 1
-      ).normalize();
-      
-      const distance = 3 + Math.random() * 7;
-      const duration = 0.8 + Math.random() * 0.4;
-      const delay = 0.3 + (i / centerParticles.children.length) * 0.3;
-      
-      timeline.to(particle.position, {
-        x: particle.position.x + direction.x * distance,
-        y: particle.position.y + direction.y * distance,
-        z: particle.position.z + direction.z * distance,
-        duration: duration,
-        ease: 'power1.out',
-        delay: delay
-      }, 0.3);
-      
-      timeline.to(particle.material, {
-        opacity: 0,
-        duration: duration * 0.7,
-        ease: 'power2.in',
-        delay: delay + duration * 0.3
-      }, 0.3);
+      opacity: 0.7
     });
+    const particle = new THREE.Mesh(geometry, material);
+    const pos = origin.clone();
     
-    // 4. Fade in new molecule
-    timeline.add(() => {
-      // First hide the old molecule completely
-      if (molecules[prevDataKey] && molecules[prevDataKey].group) {
-        molecules[prevDataKey].group.visible = false;
-      }
-      
-      // Show the new molecule
-      if (molecules[newDataKey] && molecules[newDataKey].group) {
-        molecules[newDataKey].group.visible = true;
-        molecules[newDataKey].group.scale.set(0.7, 0.7, 0.7);
-        
-        // Make sure materials are set up for fading in
-        molecules[newDataKey].group.traverse(obj => {
-          if (obj.material) {
-            obj.material.transparent = true;
-            obj.material.opacity = 0;
-          }
-        });
-      }
-    }, 1.0);
-    
-    // Scale up the new molecule
-    if (molecules[newDataKey] && molecules[newDataKey].group) {
-      timeline.to(molecules[newDataKey].group.scale, {
-        x: 1,
-        y: 1,
-        z: 1,
-        duration: 0.8,
-        ease: 'back.out(1.2)'
-      }, 1.2);
-      
-      // Fade in all materials
-      timeline.add(() => {
-        molecules[newDataKey].group.traverse(obj => {
-          if (obj.material) {
-            gsap.to(obj.material, {
-              opacity: 1,
-              duration: 0.8,
-              ease: 'power2.out'
-            });
-          }
-        });
-      }, 1.2);
-    }
-    
-    // Clean up effects at the end
-    timeline.add(() => {
-      scene.remove(flash);
-      scene.remove(centerParticles);
-    }, 2.0);
-  } else {
-    // Simple display without transition (first load or step doesn't change)
-    console.log(`Simple display of step ${step} (${newDataKey})`);
-    
-    // Hide all molecules
-    hideAllMolecules();
-    
-    // Show only the current molecule
-    if (molecules[newDataKey]) {
-      molecules[newDataKey].visible = true;
-    } else {
-      console.warn(`Molecule for step ${step} (${newDataKey}) not found.`);
+    switch (effect) {
+      case "burst":
+        // Start at the source molecule
+        break;
+      case "approach":
+        pos.x += 5 + Math.random() * 3;
+        pos.y += (Math.random() - 0.5) * 4;
+        pos.z += (Math.random() - 0.5) * 4;
+        break;
+      case "scatter":
+      default:
+        pos.x += (Math.random() - 0.5) * 8;
+        pos.y += (Math.random() - 0.5) * 8;
+        pos.z += (Math.random() - 0.5) * 8;
     }
+    particle.position.copy(pos);
     
-    // Update camera position
-    focusCameraOnCurrentMolecule(step);
-    
-    // Since there's no transition, end the animation state immediately
-    animationPlaying = false;
+    result.push(particle);
   }
   
-  // Update UI elements
-  const dataKey = newDataKey;
-  
-  // Update molecular properties panel
-  updateMoleculeData(dataKey);
-  
-  // Update scientific context information
-  updateScientificContext(step);
-  
-  // Update navigation buttons
-  updateNavigationButtons(step);
-  
-  // Update the step indicator in the sidebar
-  updateStepIndicator(step);
-  
-  // Update step title in the bottom indicator
-  updateStepTitle(step);
-} // End of showStepImplementation function
+  return result;
+}
 
 // New function to handle transitions between steps
-function transitionBetweenSteps(fromStep, toStep) {
+function transitionBetweenSteps(fromStep, toStep, mechanismShown = false) {
   // Set animation playing flag
   animationPlaying = true;
+  resetResonance();
+  if (!mechanismShown) clearMechanismArrows();
+  clearFrontierOrbitals();
+  
+  // Convert steps to molecule keys
+  const fromKey = getMoleculeKeyForStep(fromStep);
+  const toKey = getMoleculeKeyForStep(toStep);
+  buildPendingMolecule(toKey);
   
-  // Convert steps to data keys
-  const fromKey = getDataKeyForStep(fromStep);
-  const toKey = getDataKeyForStep(toStep);
+  const fromEnvironment = getEnvironmentKeysForStep(fromStep);
+  const toEnvironment = getEnvironmentKeysForStep(toStep);
   
   console.log(`Transitioning from ${fromKey} (step ${fromStep}) to ${toKey} (step ${toStep})`);
   
   // Make sure the right molecule is visible at the start
   Object.keys(molecules).forEach(key => {
     if (molecules[key] && molecules[key].group) {
-      molecules[key].group.visible = (key === fromKey);
+      molecules[key].group.visible = (key === fromKey || fromEnvironment.includes(key));
       
       // Make sure opacity is reset for all molecules
       molecules[key].group.traverse(object => {
@@ -3990,95 +5564,51 @@ function transitionBetweenSteps(fromStep, toStep) {
     }
   });
   
+  // Master timeline of the step change (drives the energy profile marker)
+  const toDefinition = getStepDefinition(toStep);
+  const duration = getStepTransitionDuration(toStep); // seconds
+  const playMechanism = !mechanismShown && toStep === fromStep + 1 && toDefinition && toDefinition.arrows;
+  if (!mechanismShown) {
+    if (animationTimelines.transition) animationTimelines.transition.kill();
+    animationTimelines.transition = gsap.timeline();
+  }
+  
+  // Moving forward, first draw the curved arrows of the destination step over the source molecule
+  if (playMechanism) {
+    const mechanismDuration = playMechanismArrows(fromKey, toDefinition.arrows);
+    // The fade-out/fade-in below takes 1.1 transition durations
+    addEnergyMarkerTweens(animationTimelines.transition, fromStep, toStep, mechanismDuration, duration * 1.1);
+    setTimeout(() => transitionBetweenSteps(fromStep, toStep, true), mechanismDuration * 1000);
+    return;
+  }
+  if (!mechanismShown) {
+    addEnergyMarkerTweens(animationTimelines.transition, fromStep, toStep, 0, duration * 1.1);
+  }
+  
+  // The DNA fragment fades in unalkylated and the alkyl group attaches once it is on screen
+  if (toKey === "guanineAdduct" && fromKey !== toKey) {
+    resetGuanineAdduct(false);
+  }
+  
   // Create particles for the transition
   const particles = new THREE.Group();
   scene.add(particles);
   
-  // Add different types of particles based on the transition type
-  if (fromStep === 0 && toStep === 1) { // Sodium Nitrite to Nitrous Acid
-    // Add acid particles
-    for (let i = 0; i < 20; i++) {
-      const geometry = new THREE.SphereGeometry(0.15, 8, 8);
-      const material = new THREE.MeshBasicMaterial({
-        color: 0xFFFFFF,
-        transparent: true,
-        opacity: 0.7
-      });
-      const particle = new THREE.Mesh(geometry, material);
-      
-      // Position around the source molecule - with safety checks
-      let pos;
-      if (molecules[fromKey] && molecules[fromKey].group && molecules[fromKey].group.position) {
-        pos = molecules[fromKey].group.position.clone();
-      } else {
-        // Use a default position if the molecule group doesn't exist yet
-        console.warn(`Source molecule ${fromKey} position not available, using default`);
-        pos = new THREE.Vector3(0, 0, 0);
-      }
-      
-      pos.x += (Math.random() - 0.5) * 8;
-      pos.y += (Math.random() - 0.5) * 8;
-      pos.z += (Math.random() - 0.5) * 8;
-      particle.position.copy(pos);
-      
-      particles.add(particle);
-    }
-  } else if (fromStep === 1 && toStep === 2) { // Nitrous Acid to Nitrosonium Ion
-    // Add decomposition particles
-    for (let i = 0; i < 15; i++) {
-      const geometry = new THREE.SphereGeometry(0.2, 8, 8);
-      const material = new THREE.MeshBasicMaterial({
-        color: 0xFFA726, // orange
-        transparent: true,
-        opacity: 0.7
-      });
-      const particle = new THREE.Mesh(geometry, material);
-      
-      // Position at the source molecule with safety check
-      if (molecules[fromKey] && molecules[fromKey].group && molecules[fromKey].group.position) {
-        particle.position.copy(molecules[fromKey].group.position);
-      } else {
-        console.warn(`Source molecule ${fromKey} position not available, using default`);
-        particle.position.set(0, 0, 0);
-      }
-      
-      particles.add(particle);
-    }
-  } else if (fromStep === 2 && toStep === 3) { // Nitrosonium Ion to Nitrosamine
-    // Add amine particles approaching
-    for (let i = 0; i < 12; i++) {
-      const geometry = new THREE.SphereGeometry(0.2, 8, 8);
-      const material = new THREE.MeshBasicMaterial({
-        color: 0xFF5252, // red
-        transparent: true,
-        opacity: 0.7
-      });
-      const particle = new THREE.Mesh(geometry, material);
-      
-      // Position to the right of the molecule with safety check
-      let pos;
-      if (molecules[fromKey] && molecules[fromKey].group && molecules[fromKey].group.position) {
-        pos = molecules[fromKey].group.position.clone();
-        pos.x += 5 + Math.random() * 3;
-        pos.y += (Math.random() - 0.5) * 4;
-        pos.z += (Math.random() - 0.5) * 4;
-      } else {
-        console.warn(`Source molecule ${fromKey} position not available, using default`);
-        pos = new THREE.Vector3(
-          5 + Math.random() * 3,
-          (Math.random() - 0.5) * 4,
-          (Math.random() - 0.5) * 4
-        );
-      }
-      particle.position.copy(pos);
-      
-      particles.add(particle);
+  // Add the particle effect defined for the destination step when moving forward
+  if (toStep === fromStep + 1 && toDefinition && toDefinition.transition) {
+    // Position relative to the source molecule - with safety checks
+    let origin;
+    if (molecules[fromKey] && molecules[fromKey].group && molecules[fromKey].group.position) {
+      origin = molecules[fromKey].group.position.clone();
+    } else {
+      // Use a default position if the molecule group doesn't exist yet
+      console.warn(`Source molecule ${fromKey} position not available, using default`);
+      origin = new THREE.Vector3(0, 0, 0);
     }
+    
+    createTransitionParticles(toDefinition.transition, origin).forEach(particle => particles.add(particle));
   }
   
-  // Do the actual transition animation
-  const duration = 1.5; // seconds
-  
   // Animate the particles
   particles.children.forEach((particle, i) => {
     // Give each particle a random movement
@@ -4102,6 +5632,10 @@ function transitionBetweenSteps(fromStep, toStep) {
     }
   });
   
+  // Fade environment groups that only belong to one of the two steps
+  fromEnvironment.filter(key => !toEnvironment.includes(key)).forEach(key => fadeEnvironmentGroup(key, false, duration));
+  toEnvironment.filter(key => !fromEnvironment.includes(key)).forEach(key => fadeEnvironmentGroup(key, true, duration));
+  
   // Fade out source molecule with safety check
   if (molecules[fromKey] && molecules[fromKey].group && molecules[fromKey].group.children) {
     // We need to animate each child's material opacity individually
@@ -4165,11 +5699,14 @@ function transitionBetweenSteps(fromStep, toStep) {
         updateStepTitle(toStep);
         updateStepIndicator(toStep);
         updateNavigationButtons(toStep);
-        updateMoleculeData(toKey);
+        updateMoleculeData(getDataKeyForStep(toStep));
         updateScientificContext(toStep);
+        if (toKey === "guanineAdduct") playGuanineAlkylation();
         
         // Clean up
         scene.remove(particles);
+        clearMechanismArrows();
+        clearFrontierOrbitals();
         
         // End animation
         animationPlaying = false;
@@ -4182,7 +5719,7 @@ function transitionBetweenSteps(fromStep, toStep) {
     updateStepTitle(toStep);
     updateStepIndicator(toStep);
     updateNavigationButtons(toStep);
-    updateMoleculeData(toKey);
+    updateMoleculeData(getDataKeyForStep(toStep));
     updateScientificContext(toStep);
     
     // Clean up
@@ -4217,13 +5754,26 @@ function showStep(step) {
     return;
   }
   
+  resetResonance();
+  clearMechanismArrows();
+  clearFrontierOrbitals();
+  
   // Just directly show the molecule for the given step without animation
-  const dataKey = getDataKeyForStep(step);
+  const moleculeKey = getMoleculeKeyForStep(step);
+  const environmentKeys = getEnvironmentKeysForStep(step);
+  buildPendingMolecule(moleculeKey);
+  
+  // Finish an alkylation that a transition left running or unplayed
+  if (moleculeKey === "guanineAdduct" && !(molecules.guanineAdduct && molecules.guanineAdduct.group.userData.alkylation)) {
+    resetGuanineAdduct();
+  }
   
-  // Hide all molecules
+  // Hide all molecules except the step's molecule and its environment
   Object.keys(molecules).forEach(key => {
     if (molecules[key] && molecules[key].group) {
-      molecules[key].group.visible = (key === dataKey);
+      const visible = (key === moleculeKey || environmentKeys.includes(key));
+      molecules[key].group.visible = visible;
+      molecules[key].visible = visible;
     }
   });
   
@@ -4232,9 +5782,11 @@ function showStep(step) {
   updateStepTitle(step);
   updateStepIndicator(step);
   updateNavigationButtons(step);
-  updateMoleculeData(dataKey);
+  updateMoleculeData(getDataKeyForStep(step));
   updateScientificContext(step);
   
+  updateEnergyMarker(step);
+  
   // Focus camera
   focusCameraOnCurrentMolecule(step);
 }
@@ -4419,7 +5971,13 @@ function handleIntersections(intersects, clientX, clientY) {
       // Set tooltip content based on what was clicked
       if (moleculeData.atomType) {
         tooltip.innerHTML = `<strong>${moleculeData.atomType}</strong>`;
-        if (SCIENTIFIC_DATA[moleculeData.moleculeType]) {
+        if (moleculeData.partialCharge !== undefined) {
+          const charge = moleculeData.partialCharge;
+          tooltip.innerHTML += `<br>Partial charge: ${charge >= 0 ? "+" : "−"}${Math.abs(charge).toFixed(2)} e`;
+        }
+        if (moleculeData.residue) {
+          tooltip.innerHTML += `<br>${moleculeData.residue}<br>${moleculeData.description}`;
+        } else if (SCIENTIFIC_DATA[moleculeData.moleculeType]) {
           tooltip.innerHTML += `<br>Part of: ${moleculeData.moleculeType}`;
         }
       } else if (moleculeData.moleculeType && SCIENTIFIC_DATA[moleculeData.moleculeType]) {
@@ -4484,10 +6042,11 @@ function animate() {
   // Use a time-based animation instead of frame-based for smoother motion
   const time = performance.now() * 0.001; // Convert to seconds
   
-  // Ensure stomach is always visible
+  // Ensure stomach is always visible (an imported scene brings its own)
+  const importedScene = molecules.imported && molecules.imported.group.visible && molecules.imported.group.userData.exportType === "scene";
   if (molecules.stomach) {
-    molecules.stomach.visible = true;
-    molecules.stomach.group.visible = true;
+    molecules.stomach.visible = !importedScene;
+    molecules.stomach.group.visible = !importedScene;
     
     // Animate stomach atoms with random movement
     molecules.stomach.group.children.forEach((child, index) => {
@@ -4555,5 +6114,56 @@ function animate() {
   }
 }
 
+// Load a reaction pathway definition (steps, molecules, titles, equations, context text)
+function loadPathway(url) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} while loading ${url}`);
+      }
+      return response.json();
+    })
+    .then(definition => {
+      if (!definition || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+        throw new Error(`Pathway ${url} does not define any steps`);
+      }
+      definition.steps.forEach((step, index) => {
+        if (!step.molecule) {
+          throw new Error(`Step ${index} (${step.id || "unnamed"}) in ${url} has no molecule`);
+        }
+      });
+      
+      (definition.branches || []).forEach(branch => {
+        if (!Array.isArray(branch.steps) || branch.steps.some(step => !step.molecule)) {
+          throw new Error(`Branch ${branch.id} in ${url} has a step without molecule`);
+        }
+      });
+      
+      pathwayGraph = buildPathwayGraph(definition);
+      pathway = definition;
+      activeBranch = null;
+      activeSteps = definition.steps;
+      totalSteps = definition.steps.length - 1;
+      console.log(`Loaded pathway "${definition.title}" with ${definition.steps.length} steps`);
+      return pathway;
+    });
+}
+
+// Pathway to load - can be overridden with ?pathway=static/pathways/<name>.json
+function getPathwayUrl() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get("pathway") || DEFAULT_PATHWAY_URL;
+}
+
 // Initialize when the page loads
-window.addEventListener("load", init);
+window.addEventListener("load", () => {
+  loadPathway(getPathwayUrl())
+    .then(init)
+    .catch(error => {
+      console.error('Failed to load reaction pathway:', error);
+      const loadingText = document.querySelector("#loading p");
+      if (loadingText) {
+        loadingText.textContent = "Could not load the reaction pathway definition. Please check the console for details.";
+      }
+    });
+});
@@ -0,0 +1,747 @@
+// SMILES parsing, hydrogen completion and 3D coordinate embedding
+// smilesToRecord() returns a molecule record in the same format as parseMolfile() (static/molfile.js),
+// so SMILES input is built through createMoleculeFromRecord() like structure files are.
+// Stereo marks (@, @@, /, \) are accepted but not interpreted.
+
+const SMILES_BOND_SYMBOLS = { "-": 1, "=": 2, "#": 3, "$": 4, ":": 1.5, "/": 1, "\\": 1 };
+const SMILES_ORGANIC_SUBSET = ["Cl", "Br", "B", "C", "N", "O", "P", "S", "F", "I"];
+const SMILES_AROMATIC_SUBSET = ["se", "as", "b", "c", "n", "o", "p", "s"];
+
+// Typical bond lengths in Å by element pair (alphabetical) and bond order.
+// "ar" is an aromatic ring bond, 1.5 a charge-delocalised bond such as those of the nitrite ion.
+// Pairs that are not listed fall back to the sum of covalent radii from ELEMENT_DATA.
+const BOND_LENGTHS = {
+  "Br-C": { 1: 1.94 },
+  "C-C": { 1: 1.54, 2: 1.34, 3: 1.2, ar: 1.39 },
+  "C-Cl": { 1: 1.77 },
+  "C-F": { 1: 1.35 },
+  "C-H": { 1: 1.09 },
+  "C-I": { 1: 2.14 },
+  "C-N": { 1: 1.47, 2: 1.28, 3: 1.16, ar: 1.34 },
+  "C-O": { 1: 1.43, 2: 1.21, 1.5: 1.25, ar: 1.36 },
+  "C-P": { 1: 1.84 },
+  "C-S": { 1: 1.82, 2: 1.6, ar: 1.71 },
+  "H-N": { 1: 1.01 },
+  "H-O": { 1: 0.96 },
+  "H-S": { 1: 1.34 },
+  "N-N": { 1: 1.45, 2: 1.25, 3: 1.1, ar: 1.35 },
+  "N-O": { 1: 1.4, 2: 1.21, 1.5: 1.24, ar: 1.4 },
+  "O-O": { 1: 1.48 },
+  "O-P": { 1: 1.6, 2: 1.48 },
+  "O-S": { 1: 1.57, 2: 1.43 },
+};
+
+// Single bonds between two planar (sp2/sp) atoms are shortened by conjugation,
+// e.g. the N–N bond of NDMA (1.34 Å instead of 1.45 Å)
+const CONJUGATION_SHORTENING = 0.1;
+
+// The C–O single bond from a planar carbon: carboxylic acids and esters (resonance with the C=O group),
+// enols and phenols (resonance with the C=C group)
+const CONJUGATED_C_O_LENGTH = 1.34;
+
+// Force constants for the embedding restraints
+const EMBED_WEIGHTS = { bond: 100, angle: 30, planar: 10, repulsion: 10 };
+
+// Parse a SMILES string into a graph: { atoms: [{ element, aromatic, charge, hydrogens, bracket }], bonds: [{ begin, end, order, aromatic }] }
+// hydrogens is the explicit hydrogen count of bracket atoms (null for organic subset atoms)
+function parseSmiles(smiles) {
+  const text = smiles.trim();
+  if (!text) {
+    throw new Error("SMILES string is empty");
+  }
+
+  const atoms = [];
+  const bonds = [];
+  const branchStack = [];
+  const openRings = {};
+  let previous = null;
+  let pendingOrder = null;
+  let i = 0;
+
+  const defaultOrder = (a, b) => (atoms[a].aromatic && atoms[b].aromatic ? 1.5 : 1);
+  const addBond = (begin, end, order) => {
+    if (begin === end || bonds.some(bond => (bond.begin === begin && bond.end === end) || (bond.begin === end && bond.end === begin))) {
+      throw new Error(`Duplicate bond between atoms ${begin + 1} and ${end + 1}`);
+    }
+    bonds.push({ begin, end, order, aromatic: order === 1.5 });
+  };
+  const addAtom = atom => {
+    const index = atoms.length;
+    atoms.push(atom);
+    if (previous !== null) {
+      addBond(previous, index, pendingOrder !== null ? pendingOrder : defaultOrder(previous, index));
+    }
+    previous = index;
+    pendingOrder = null;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === "(") {
+      if (previous === null) throw new Error(`Branch without a preceding atom at position ${i + 1}`);
+      branchStack.push(previous);
+      i++;
+    } else if (char === ")") {
+      if (branchStack.length === 0) throw new Error(`Unmatched ")" at position ${i + 1}`);
+      previous = branchStack.pop();
+      pendingOrder = null;
+      i++;
+    } else if (char === ".") {
+      previous = null;
+      pendingOrder = null;
+      i++;
+    } else if (SMILES_BOND_SYMBOLS[char] !== undefined) {
+      pendingOrder = SMILES_BOND_SYMBOLS[char];
+      i++;
+    } else if (/\d/.test(char) || char === "%") {
+      let ringNumber;
+      if (char === "%") {
+        ringNumber = text.substr(i + 1, 2);
+        if (!/^\d\d$/.test(ringNumber)) throw new Error(`Invalid ring number at position ${i + 1}`);
+        i += 3;
+      } else {
+        ringNumber = char;
+        i++;
+      }
+      if (previous === null) throw new Error(`Ring closure ${ringNumber} without a preceding atom`);
+
+      const open = openRings[ringNumber];
+      if (open) {
+        const order = pendingOrder !== null ? pendingOrder : (open.order !== null ? open.order : defaultOrder(open.atom, previous));
+        addBond(open.atom, previous, order);
+        delete openRings[ringNumber];
+      } else {
+        openRings[ringNumber] = { atom: previous, order: pendingOrder };
+      }
+      pendingOrder = null;
+    } else if (char === "[") {
+      const end = text.indexOf("]", i);
+      if (end === -1) throw new Error(`Unclosed "[" at position ${i + 1}`);
+      addAtom(parseSmilesBracketAtom(text.slice(i + 1, end), i + 1));
+      i = end + 1;
+    } else {
+      const symbol = SMILES_ORGANIC_SUBSET.find(candidate => text.startsWith(candidate, i)) ||
+        SMILES_AROMATIC_SUBSET.find(candidate => candidate.length === 1 && text.startsWith(candidate, i));
+      if (!symbol) throw new Error(`Unexpected character "${char}" at position ${i + 1}`);
+      addAtom({
+        element: normalizeElementSymbol(symbol),
+        aromatic: symbol === symbol.toLowerCase(),
+        charge: 0,
+        hydrogens: null,
+        bracket: false,
+      });
+      i += symbol.length;
+    }
+  }
+
+  if (branchStack.length > 0) throw new Error("Unclosed branch: missing \")\"");
+  const unclosed = Object.keys(openRings);
+  if (unclosed.length > 0) throw new Error(`Unclosed ring bond ${unclosed.join(", ")}`);
+  if (atoms.length === 0) throw new Error("SMILES string contains no atoms");
+
+  return { atoms, bonds };
+}
+
+// Parse the contents of a bracket atom, e.g. "nH", "NH4+", "O-", "13CH3", "Na+"
+function parseSmilesBracketAtom(content, position) {
+  const match = content.match(/^(\d+)?([A-Za-z][a-z]?)(@{1,2}|@[A-Z]{2}\d*)?(H\d*)?(\+{1,3}|-{1,3}|[+-]\d+)?(:\d+)?$/);
+  if (!match) throw new Error(`Invalid bracket atom "[${content}]" at position ${position}`);
+
+  // Prefer a two-letter element ("Na", "Cl"), otherwise take one letter and let "H..." follow
+  let symbol = match[2];
+  let rest = content.slice((match[1] || "").length + symbol.length);
+  const aromatic = symbol.charAt(0) === symbol.charAt(0).toLowerCase();
+  if (symbol.length === 2 && !aromatic && !ELEMENT_DATA[symbol]) {
+    rest = symbol.charAt(1) + rest;
+    symbol = symbol.charAt(0);
+  }
+  if (aromatic && !SMILES_AROMATIC_SUBSET.includes(symbol)) {
+    throw new Error(`Unknown aromatic atom "${symbol}" at position ${position}`);
+  }
+
+  const details = rest.match(/^(@{1,2}|@[A-Z]{2}\d*)?(H\d*)?(\+{1,3}|-{1,3}|[+-]\d+)?(:\d+)?$/);
+  if (!details) throw new Error(`Invalid bracket atom "[${content}]" at position ${position}`);
+
+  let charge = 0;
+  if (details[3]) {
+    const sign = details[3].charAt(0) === "+" ? 1 : -1;
+    charge = /\d/.test(details[3]) ? sign * parseInt(details[3].slice(1), 10) : sign * details[3].length;
+  }
+
+  return {
+    element: normalizeElementSymbol(symbol),
+    aromatic,
+    charge,
+    hydrogens: details[2] ? (details[2].length > 1 ? parseInt(details[2].slice(1), 10) : 1) : 0,
+    bracket: true,
+  };
+}
+
+// Number of implicit hydrogens on an atom from the normal valences of the organic subset
+function getImplicitHydrogenCount(graph, index) {
+  const atom = graph.atoms[index];
+  if (atom.bracket) return atom.hydrogens;
+
+  const valences = (ELEMENT_DATA[atom.element] && ELEMENT_DATA[atom.element].valences) || [];
+  let used = 0;
+  let aromaticBonds = 0;
+  graph.bonds.forEach(bond => {
+    if (bond.begin !== index && bond.end !== index) return;
+    if (bond.aromatic) {
+      aromaticBonds++;
+    } else {
+      used += bond.order;
+    }
+  });
+
+  // Aromatic atoms take part in one ring double bond, except O and S which donate a lone pair (furan, thiophene)
+  if (aromaticBonds > 0) {
+    used += aromaticBonds + (atom.element === "O" || atom.element === "S" ? 0 : 1);
+  }
+
+  const valence = valences.find(candidate => candidate >= used);
+  return valence === undefined ? 0 : valence - used;
+}
+
+// Add the implicit and bracket hydrogens as explicit atoms
+function addExplicitHydrogens(graph) {
+  const atoms = graph.atoms.map(atom => Object.assign({}, atom));
+  const bonds = graph.bonds.map(bond => Object.assign({}, bond));
+
+  graph.atoms.forEach((atom, index) => {
+    const count = getImplicitHydrogenCount(graph, index);
+    for (let h = 0; h < count; h++) {
+      atoms.push({ element: "H", aromatic: false, charge: 0, hydrogens: 0, bracket: false });
+      bonds.push({ begin: index, end: atoms.length - 1, order: 1, aromatic: false });
+    }
+  });
+
+  return { atoms, bonds };
+}
+
+// Small vector helpers for the embedding ([x, y, z] arrays)
+function vecAdd(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+function vecSub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+function vecScale(a, s) { return [a[0] * s, a[1] * s, a[2] * s]; }
+function vecDot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+function vecCross(a, b) { return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]; }
+function vecLength(a) { return Math.sqrt(vecDot(a, a)); }
+function vecNormalize(a) {
+  const length = vecLength(a);
+  return length > 1e-9 ? vecScale(a, 1 / length) : [1, 0, 0];
+}
+
+// Rotate a vector around a unit axis (Rodrigues' formula)
+function vecRotate(v, axis, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return vecAdd(
+    vecAdd(vecScale(v, cos), vecScale(vecCross(axis, v), sin)),
+    vecScale(axis, vecDot(axis, v) * (1 - cos))
+  );
+}
+
+// Deterministic random numbers so the same SMILES always gives the same geometry
+function createSeededRandom(text) {
+  let seed = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    seed = Math.imul(seed ^ text.charCodeAt(i), 16777619);
+  }
+  return function() {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Hybridisation and lone pairs of every atom of a hydrogen-complete graph
+// Amine nitrogens next to a double bond or aromatic ring are planar (amides, anilines, nitrosamines)
+function getAtomGeometries(graph, neighbors) {
+  const bondsOf = graph.atoms.map(() => []);
+  graph.bonds.forEach(bond => {
+    bondsOf[bond.begin].push(bond);
+    bondsOf[bond.end].push(bond);
+  });
+
+  const geometries = graph.atoms.map((atom, index) => {
+    const orders = bondsOf[index].map(bond => bond.order);
+    const data = ELEMENT_DATA[atom.element];
+    const orderSum = orders.reduce((sum, order) => sum + order, 0);
+    const lonePairs = data ? Math.max(0, Math.floor((data.valenceElectrons - atom.charge - orderSum) / 2)) : 0;
+
+    let hybridization = "sp3";
+    if (orders.includes(3) || orders.filter(order => order === 2).length >= 2) {
+      hybridization = "sp";
+    } else if (orders.includes(2) || orders.includes(1.5) || atom.aromatic) {
+      hybridization = "sp2";
+    }
+    return { hybridization, lonePairs };
+  });
+
+  graph.atoms.forEach((atom, index) => {
+    const geometry = geometries[index];
+    if (atom.element !== "N" || geometry.hybridization !== "sp3" || geometry.lonePairs === 0) return;
+    if (neighbors[index].some(other => geometries[other].hybridization !== "sp3" && graph.atoms[other].element !== "H")) {
+      geometry.hybridization = "sp2";
+    }
+  });
+
+  return geometries;
+}
+
+// Ideal bond angle (degrees) at an atom, before ring corrections
+function getIdealBondAngle(geometry, neighborCount) {
+  if (geometry.hybridization === "sp") return 180;
+  if (geometry.hybridization === "sp2") {
+    // A lone pair compresses a bent sp2 centre, e.g. 115° O–N–O in the nitrite ion
+    return neighborCount === 2 && geometry.lonePairs > 0 ? 115 : 120;
+  }
+  if (geometry.lonePairs === 0) return 109.47;
+  return geometry.lonePairs === 1 ? 107 : 104.5;
+}
+
+// Bond angle inside a small ring (degrees), or null for rings larger than six atoms
+function getRingBondAngle(ringSize, geometry) {
+  const planar = geometry.hybridization !== "sp3";
+  switch (ringSize) {
+    case 3: return 60;
+    case 4: return 90;
+    case 5: return planar ? 108 : 105;
+    case 6: return planar ? 120 : 111;
+    default: return null;
+  }
+}
+
+// Target length of a bond in Å
+function getBondLength(graph, bond, geometries, lengthOrder) {
+  const a = graph.atoms[bond.begin].element;
+  const b = graph.atoms[bond.end].element;
+  const key = [a, b].sort().join("-");
+  const orderKey = bond.aromatic ? "ar" : lengthOrder;
+  const table = BOND_LENGTHS[key];
+
+  let length;
+  if (table && table[orderKey] !== undefined) {
+    length = table[orderKey];
+  } else {
+    const radius = element => {
+      const radii = ELEMENT_DATA[element] ? ELEMENT_DATA[element].covalentRadii : [0.75];
+      if (orderKey === "ar" || orderKey === 1.5) return ((radii[0]) + (radii[1] || radii[0])) / 2;
+      return radii[Math.min(orderKey, radii.length) - 1];
+    };
+    length = radius(a) + radius(b);
+  }
+
+  if (key === "C-O" && lengthOrder === 1 && !bond.aromatic) {
+    const carbon = a === "C" ? bond.begin : bond.end;
+    if (geometries[carbon].hybridization !== "sp3") return CONJUGATED_C_O_LENGTH;
+  }
+
+  const planar = index => geometries[index].hybridization !== "sp3";
+  if (lengthOrder === 1 && !bond.aromatic && a !== "H" && b !== "H" && planar(bond.begin) && planar(bond.end)) {
+    length -= CONJUGATION_SHORTENING;
+  }
+  return length;
+}
+
+// Bond orders used for bond lengths: a single bond to a terminal anion next to a double bond to the same
+// element is delocalised (nitrite, carboxylate), so both bonds get the 1.5 length
+function getBondLengthOrders(graph, neighbors) {
+  const orders = graph.bonds.map(bond => bond.order);
+  graph.bonds.forEach((bond, index) => {
+    if (bond.order !== 1) return;
+    [[bond.begin, bond.end], [bond.end, bond.begin]].forEach(([centre, terminal]) => {
+      const atom = graph.atoms[terminal];
+      if (atom.charge >= 0 || neighbors[terminal].length !== 1) return;
+      const partner = graph.bonds.findIndex(other =>
+        other.order === 2 &&
+        (other.begin === centre || other.end === centre) &&
+        graph.atoms[other.begin === centre ? other.end : other.begin].element === atom.element
+      );
+      if (partner !== -1) {
+        orders[index] = 1.5;
+        orders[partner] = 1.5;
+      }
+    });
+  });
+  return orders;
+}
+
+// Topological (bond count) distances between all atoms
+function getTopologicalDistances(neighbors) {
+  return neighbors.map((_, start) => {
+    const distances = new Array(neighbors.length).fill(Infinity);
+    distances[start] = 0;
+    const queue = [start];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      neighbors[current].forEach(next => {
+        if (distances[next] === Infinity) {
+          distances[next] = distances[current] + 1;
+          queue.push(next);
+        }
+      });
+    }
+    return distances;
+  });
+}
+
+// Shortest path length (in bonds) between two atoms that avoids one atom, for ring sizes
+function getPathLengthAvoiding(neighbors, from, to, avoid) {
+  const distances = { [from]: 0 };
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === to) return distances[current];
+    for (const next of neighbors[current]) {
+      if (next === avoid || distances[next] !== undefined) continue;
+      distances[next] = distances[current] + 1;
+      queue.push(next);
+    }
+  }
+  return Infinity;
+}
+
+// Unit vectors of an ideal coordination shape (linear, trigonal planar, tetrahedral), or spread over a sphere
+function getCoordinationTemplate(hybridization, count) {
+  const templates = {
+    sp: [[1, 0, 0], [-1, 0, 0]],
+    sp2: [[1, 0, 0], [-0.5, Math.sqrt(3) / 2, 0], [-0.5, -Math.sqrt(3) / 2, 0]],
+    sp3: [[1, 0, 0], [-1 / 3, Math.sqrt(8) / 3, 0], [-1 / 3, -Math.sqrt(2) / 3, Math.sqrt(2 / 3)], [-1 / 3, -Math.sqrt(2) / 3, -Math.sqrt(2 / 3)]],
+  };
+  const template = templates[hybridization];
+  if (template && count <= template.length) return template;
+
+  // Fibonacci sphere for higher coordination numbers
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const y = 1 - (2 * (i + 0.5)) / count;
+    const radius = Math.sqrt(1 - y * y);
+    const theta = Math.PI * (3 - Math.sqrt(5)) * i;
+    points.push([y, radius * Math.cos(theta), radius * Math.sin(theta)]);
+  }
+  return points;
+}
+
+// Initial coordinates: grow each fragment outwards from its first atom along ideal bond directions
+function getInitialCoordinates(graph, neighbors, geometries, bondLengthOf, random) {
+  const count = graph.atoms.length;
+  const positions = new Array(count).fill(null);
+  let offsetX = 0;
+
+  for (let root = 0; root < count; root++) {
+    if (positions[root]) continue;
+
+    positions[root] = [offsetX, 0, 0];
+    const fragment = [root];
+    const queue = [root];
+
+    while (queue.length > 0) {
+      const centre = queue.shift();
+      const placed = neighbors[centre].filter(other => positions[other]);
+      const children = neighbors[centre].filter(other => !positions[other]);
+      if (children.length === 0) continue;
+
+      let template = getCoordinationTemplate(geometries[centre].hybridization, placed.length + children.length);
+
+      // Random orientation around the first placed neighbour (or a fully random one for the root)
+      const axis = vecNormalize([random() - 0.5, random() - 0.5, random() - 0.5]);
+      template = template.map(direction => vecRotate(direction, axis, random() * Math.PI * 2));
+      if (placed.length > 0) {
+        const target = vecNormalize(vecSub(positions[placed[0]], positions[centre]));
+        const first = template[0];
+        const rotationAxis = vecCross(first, target);
+        const angle = Math.acos(Math.max(-1, Math.min(1, vecDot(first, target))));
+        const unitAxis = vecLength(rotationAxis) > 1e-9 ? vecNormalize(rotationAxis) : vecNormalize(vecCross(first, [0, 0, 1]));
+        template = template.map(direction => vecRotate(direction, unitAxis, angle));
+      }
+
+      // Drop the template directions closest to the already placed neighbours
+      let candidates = template.slice();
+      placed.forEach(other => {
+        const direction = vecNormalize(vecSub(positions[other], positions[centre]));
+        let best = 0;
+        candidates.forEach((candidate, index) => {
+          if (vecDot(candidate, direction) > vecDot(candidates[best], direction)) best = index;
+        });
+        candidates.splice(best, 1);
+      });
+
+      children.forEach((child, index) => {
+        const direction = candidates[index] || vecNormalize([random() - 0.5, random() - 0.5, random() - 0.5]);
+        positions[child] = vecAdd(positions[centre], vecScale(direction, bondLengthOf(centre, child)));
+        fragment.push(child);
+        queue.push(child);
+      });
+    }
+
+    // Place disconnected fragments (e.g. counter-ions) side by side
+    offsetX = Math.max(...fragment.map(index => positions[index][0])) + 3.0;
+  }
+
+  return positions;
+}
+
+// Minimise the restraint energy with gradient descent and an adaptive step size
+// coordinates: Float64Array with four values per atom (x, y, z and a fourth dimension w that lets
+// tangled rings pass through each other; flattenWeight pulls w back to zero)
+// Restraints: { i, j, target, weight, minimum } - minimum restraints only push atoms apart
+function minimizeRestraints(coordinates, restraints, iterations, flattenWeight = 0) {
+  const size = coordinates.length;
+
+  const evaluate = (values, gradient) => {
+    let energy = 0;
+    gradient.fill(0);
+    for (const restraint of restraints) {
+      const a = restraint.i * 4;
+      const b = restraint.j * 4;
+      const dx = values[a] - values[b];
+      const dy = values[a + 1] - values[b + 1];
+      const dz = values[a + 2] - values[b + 2];
+      const dw = values[a + 3] - values[b + 3];
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy + dz * dz + dw * dw), 1e-6);
+      const deviation = distance - restraint.target;
+      if (restraint.minimum && deviation >= 0) continue;
+
+      energy += restraint.weight * deviation * deviation;
+      const factor = (2 * restraint.weight * deviation) / distance;
+      gradient[a] += factor * dx;
+      gradient[a + 1] += factor * dy;
+      gradient[a + 2] += factor * dz;
+      gradient[a + 3] += factor * dw;
+      gradient[b] -= factor * dx;
+      gradient[b + 1] -= factor * dy;
+      gradient[b + 2] -= factor * dz;
+      gradient[b + 3] -= factor * dw;
+    }
+    if (flattenWeight > 0) {
+      for (let w = 3; w < size; w += 4) {
+        energy += flattenWeight * values[w] * values[w];
+        gradient[w] += 2 * flattenWeight * values[w];
+      }
+    }
+    return energy;
+  };
+
+  let current = Float64Array.from(coordinates);
+  let gradient = new Float64Array(size);
+  let energy = evaluate(current, gradient);
+  let trial = new Float64Array(size);
+  let trialGradient = new Float64Array(size);
+  let step = 0.001;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let largest = 0;
+    for (let a = 0; a < size; a += 4) {
+      largest = Math.max(largest, Math.hypot(gradient[a], gradient[a + 1], gradient[a + 2], gradient[a + 3]));
+    }
+    if (largest < 1e-4 || step < 1e-8) break;
+
+    // Limit the largest displacement to 0.3 Å per step
+    const scale = Math.min(step, 0.3 / largest);
+    for (let k = 0; k < size; k++) {
+      trial[k] = current[k] - scale * gradient[k];
+    }
+    const trialEnergy = evaluate(trial, trialGradient);
+
+    if (trialEnergy < energy) {
+      [current, trial] = [trial, current];
+      [gradient, trialGradient] = [trialGradient, gradient];
+      energy = trialEnergy;
+      step *= 1.2;
+    } else {
+      step *= 0.5;
+    }
+  }
+
+  return { coordinates: current, energy };
+}
+
+// Number of embedding attempts from different starting geometries; the lowest energy result is kept
+const EMBED_ATTEMPTS = 3;
+
+// Generate 3D coordinates (Å) for a hydrogen-complete graph
+// Bond lengths come from BOND_LENGTHS, bond angles from the hybridisation of each atom, and conjugated
+// systems are kept planar by 1–4 distance restraints across bonds between sp2 atoms.
+function embedMolecule(graph, seedText = "") {
+  const count = graph.atoms.length;
+  const neighbors = graph.atoms.map(() => []);
+  graph.bonds.forEach(bond => {
+    neighbors[bond.begin].push(bond.end);
+    neighbors[bond.end].push(bond.begin);
+  });
+
+  const geometries = getAtomGeometries(graph, neighbors);
+  const lengthOrders = getBondLengthOrders(graph, neighbors);
+  const topology = getTopologicalDistances(neighbors);
+  const random = createSeededRandom(seedText);
+
+  const targets = {};
+  const pairKey = (i, j) => (i < j ? `${i},${j}` : `${j},${i}`);
+  graph.bonds.forEach((bond, index) => {
+    targets[pairKey(bond.begin, bond.end)] = { i: bond.begin, j: bond.end, target: getBondLength(graph, bond, geometries, lengthOrders[index]), weight: EMBED_WEIGHTS.bond };
+  });
+  const bondLengthOf = (i, j) => targets[pairKey(i, j)].target;
+
+  // Bond angles as 1–3 distances (law of cosines)
+  const angleOf = {};
+  graph.atoms.forEach((atom, centre) => {
+    const around = neighbors[centre];
+    const ideal = getIdealBondAngle(geometries[centre], around.length);
+    const angles = [];
+    let ringAngle = null;
+
+    for (let a = 0; a < around.length; a++) {
+      for (let b = a + 1; b < around.length; b++) {
+        const ringSize = getPathLengthAvoiding(neighbors, around[a], around[b], centre) + 2;
+        const angle = getRingBondAngle(ringSize, geometries[centre]);
+        if (angle !== null) ringAngle = angle;
+        angles.push({ a: around[a], b: around[b], angle: angle !== null ? angle : ideal, inRing: angle !== null });
+      }
+    }
+
+    // Planar centres with three neighbours keep the angle sum at 360° around a small ring
+    if (geometries[centre].hybridization === "sp2" && around.length === 3 && ringAngle !== null) {
+      angles.forEach(entry => {
+        if (!entry.inRing) entry.angle = (360 - ringAngle) / 2;
+      });
+    }
+
+    angles.forEach(entry => {
+      angleOf[`${entry.a},${centre},${entry.b}`] = angleOf[`${entry.b},${centre},${entry.a}`] = entry.angle;
+      const key = pairKey(entry.a, entry.b);
+      if (targets[key] && targets[key].weight === EMBED_WEIGHTS.bond) return;
+
+      const r1 = bondLengthOf(centre, entry.a);
+      const r2 = bondLengthOf(centre, entry.b);
+      const theta = (entry.angle * Math.PI) / 180;
+      const distance = Math.sqrt(r1 * r1 + r2 * r2 - 2 * r1 * r2 * Math.cos(theta));
+      if (targets[key]) {
+        // Shared by two ring atoms (4-membered rings): average the two estimates
+        targets[key].target = (targets[key].target + distance) / 2;
+      } else {
+        targets[key] = { i: entry.a, j: entry.b, target: distance, weight: EMBED_WEIGHTS.angle };
+      }
+    });
+  });
+
+  // Non-bonded atoms (three or more bonds apart, or in different fragments) must not overlap
+  const repulsions = pair => {
+    const restraints = [];
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        if (topology[i][j] < 3 || pair[pairKey(i, j)]) continue;
+        const radius = element => (ELEMENT_DATA[element] ? ELEMENT_DATA[element].vdwRadius : 1.7);
+        const contact = radius(graph.atoms[i].element) + radius(graph.atoms[j].element);
+        restraints.push({ i, j, target: contact * (topology[i][j] === 3 ? 0.75 : 0.85), weight: EMBED_WEIGHTS.repulsion, minimum: true });
+      }
+    }
+    return restraints;
+  };
+
+  // Embed in four dimensions first, then flatten into 3D
+  const baseRestraints = Object.values(targets).concat(repulsions({}));
+  let result = null;
+  for (let attempt = 0; attempt < EMBED_ATTEMPTS; attempt++) {
+    const start = getInitialCoordinates(graph, neighbors, geometries, bondLengthOf, random);
+    const coordinates = new Float64Array(count * 4);
+    start.forEach((position, index) => {
+      coordinates.set([position[0], position[1], position[2], random() - 0.5], index * 4);
+    });
+
+    let candidate = minimizeRestraints(coordinates, baseRestraints, 1500);
+    candidate = minimizeRestraints(candidate.coordinates, baseRestraints, 1500, 1);
+    candidate = minimizeRestraints(candidate.coordinates, baseRestraints, 1500, 100);
+    for (let w = 3; w < candidate.coordinates.length; w += 4) {
+      candidate.coordinates[w] = 0;
+    }
+    candidate = minimizeRestraints(candidate.coordinates, baseRestraints, 1500);
+
+    if (!result || candidate.energy < result.energy) {
+      result = candidate;
+    }
+  }
+  const positionOf = index => [result.coordinates[index * 4], result.coordinates[index * 4 + 1], result.coordinates[index * 4 + 2]];
+
+  // Keep conjugated systems planar: 1–4 distances across bonds between two sp2 atoms,
+  // cis or trans depending on the current geometry
+  const planarTargets = {};
+  graph.bonds.forEach(bond => {
+    const j = bond.begin;
+    const k = bond.end;
+    if (geometries[j].hybridization !== "sp2" || geometries[k].hybridization !== "sp2") return;
+
+    const sideJ = neighbors[j].filter(i => i !== k);
+    const sideK = neighbors[k].filter(l => l !== j);
+    if (sideJ.length === 0 || sideK.length === 0) return;
+
+    // Cosine of the dihedral angle i–j–k–l in the current geometry (positive = cis)
+    const dihedralCosine = (i, l) => {
+      const b1 = vecSub(positionOf(j), positionOf(i));
+      const b2 = vecSub(positionOf(k), positionOf(j));
+      const b3 = vecSub(positionOf(l), positionOf(k));
+      return vecDot(vecNormalize(vecCross(b1, b2)), vecNormalize(vecCross(b2, b3)));
+    };
+
+    // Only one substituent on each side can be cis to a given one on the other side
+    const reference = sideJ[0];
+    let cisPartner = sideK.reduce((best, l) => (dihedralCosine(reference, l) > dihedralCosine(reference, best) ? l : best));
+    if (sideK.length === 1 && dihedralCosine(reference, cisPartner) < 0) {
+      cisPartner = null;
+    }
+
+    sideJ.forEach(i => {
+      sideK.forEach(l => {
+        if (l === i || targets[pairKey(i, l)]) return;
+
+        const cis = (i === reference) === (l === cisPartner);
+        const rij = bondLengthOf(i, j);
+        const rjk = bondLengthOf(j, k);
+        const rkl = bondLengthOf(k, l);
+        const thetaJ = (angleOf[`${i},${j},${k}`] * Math.PI) / 180;
+        const thetaK = (angleOf[`${j},${k},${l}`] * Math.PI) / 180;
+        const pi = [rij * Math.cos(thetaJ), rij * Math.sin(thetaJ)];
+        const pl = [rjk - rkl * Math.cos(thetaK), (cis ? 1 : -1) * rkl * Math.sin(thetaK)];
+        const distance = Math.hypot(pi[0] - pl[0], pi[1] - pl[1]);
+
+        planarTargets[pairKey(i, l)] = { i, j: l, target: distance, weight: EMBED_WEIGHTS.planar };
+      });
+    });
+  });
+
+  if (Object.keys(planarTargets).length > 0) {
+    result = minimizeRestraints(result.coordinates, Object.values(targets).concat(Object.values(planarTargets), repulsions(planarTargets)), 3000);
+  }
+
+  const positions = graph.atoms.map((atom, index) => positionOf(index));
+  const worstBond = graph.bonds.reduce((worst, bond) => {
+    const error = Math.abs(vecLength(vecSub(positions[bond.begin], positions[bond.end])) - bondLengthOf(bond.begin, bond.end));
+    return Math.max(worst, error);
+  }, 0);
+  if (worstBond > 0.05) {
+    console.warn(`Embedding of ${seedText || "molecule"} did not fully converge (largest bond length error ${worstBond.toFixed(3)} Å)`);
+  }
+
+  return positions;
+}
+
+// Parse a SMILES string and build a molecule record with explicit hydrogens and 3D coordinates
+function smilesToRecord(smiles, name) {
+  const graph = addExplicitHydrogens(parseSmiles(smiles));
+  const positions = embedMolecule(graph, smiles);
+
+  return {
+    name: name || smiles.trim(),
+    atoms: graph.atoms.map((atom, index) => ({
+      element: atom.element,
+      x: positions[index][0],
+      y: positions[index][1],
+      z: positions[index][2],
+      charge: atom.charge,
+    })),
+    bonds: graph.bonds.map(bond => ({ begin: bond.begin, end: bond.end, order: bond.order })),
+    properties: { SMILES: smiles.trim() },
+  };
+}
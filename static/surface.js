@@ -0,0 +1,217 @@
+// Molecular surfaces coloured by electrostatic potential, computed from a molecule record (see
+// static/molfile.js) with coordinates in Å, so they can be built without the 3D scene
+// The surface is the level set of a sum of Gaussians, one per atom with its van der Waals radius (a
+// smooth union of the spheres), extracted with marching tetrahedra. The potential at each vertex is
+// the Coulomb sum over the partial charges of the atoms (see static/charges.js).
+
+const SURFACE_SETTINGS = {
+  spacing: 0.35, // Å between grid points; coarser when the grid would exceed maxPoints
+  maxPoints: 120000,
+  sharpness: 2, // Gaussian exponent, higher is closer to the hard spheres
+};
+const COULOMB_CONSTANT = 332.06; // kcal·Å/(mol·e²)
+const ESP_MIN_SPAN = 10; // kcal/mol, narrowest colour scale, so a nearly uniform surface is not all noise
+
+// Cube corners as grid offsets and the six tetrahedra around the 0-6 diagonal. Neighbouring cubes
+// split their shared faces the same way, so the surface has no cracks.
+const CUBE_CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const CUBE_TETRAHEDRA = [[0, 5, 1, 6], [0, 1, 2, 6], [0, 2, 3, 6], [0, 3, 7, 6], [0, 7, 4, 6], [0, 4, 5, 6]];
+
+// Electrostatic potential (kcal/mol per unit positive charge) at each of a flat list of points in Å
+function getElectrostaticPotentials(record, charges, points) {
+  // Coordinates copied into a typed array: this is the inner loop for large molecules
+  const centres = new Float64Array(record.atoms.length * 3);
+  record.atoms.forEach((atom, index) => centres.set([atom.x, atom.y, atom.z], index * 3));
+
+  const potentials = [];
+  for (let point = 0; point < points.length; point += 3) {
+    let potential = 0;
+    for (let index = 0; index < charges.length; index++) {
+      const dx = points[point] - centres[index * 3];
+      const dy = points[point + 1] - centres[index * 3 + 1];
+      const dz = points[point + 2] - centres[index * 3 + 2];
+      potential += charges[index] / Math.max(0.5, Math.sqrt(dx * dx + dy * dy + dz * dz));
+    }
+    potentials.push(COULOMB_CONSTANT * potential);
+  }
+  return potentials;
+}
+
+// Colour scale of a set of potentials in kcal/mol: { min, zero, max }, red at min, white at zero and
+// blue at max. min and max are the 5th and 95th percentiles, so a few vertices next to a charged atom
+// do not wash out the rest. zero is 0 when the potentials change sign; on a surface of one sign (a
+// polyanion such as DNA) it is the end closest to 0, so the surface still shows where it is most and
+// least negative. Nearly uniform surfaces (single ions) get a scale symmetric about 0.
+function getPotentialRange(potentials) {
+  if (potentials.length === 0) return { min: -ESP_MIN_SPAN, zero: 0, max: ESP_MIN_SPAN };
+  const sorted = Float64Array.from(potentials).sort();
+  const min = sorted[Math.floor((sorted.length - 1) * 0.05)];
+  const max = sorted[Math.ceil((sorted.length - 1) * 0.95)];
+  if (max - min < ESP_MIN_SPAN) {
+    const extent = Math.max(ESP_MIN_SPAN, Math.abs(min), Math.abs(max));
+    return { min: -extent, zero: 0, max: extent };
+  }
+  return { min, zero: Math.max(min, Math.min(max, 0)), max };
+}
+
+// Red (negative) - white - blue (positive) as [r, g, b] in 0-1, clamped at ±range
+function getSignedColor(value, range) {
+  const t = Math.max(-1, Math.min(1, value / range));
+  return t < 0 ? [1, 1 + t, 1 + t] : [1 - t, 1 - t, 1];
+}
+
+// Colour of a potential on a scale from getPotentialRange
+function getPotentialColor(potential, range) {
+  const span = potential < range.zero ? range.zero - range.min : range.max - range.zero;
+  return span > 0 ? getSignedColor(potential - range.zero, span) : [1, 1, 1];
+}
+
+function getSurfaceRadius(atom) {
+  const data = ELEMENT_DATA[atom.element];
+  return (data && data.vdwRadius) || 1.7;
+}
+
+// Empty scalar grid over a box (Å): { min, size (points per axis), spacing, values }. The spacing
+// grows when the box would need more than maxPoints points.
+function createSurfaceGrid(min, max, spacing, maxPoints = SURFACE_SETTINGS.maxPoints) {
+  const extent = max.map((value, axis) => value - min[axis]);
+  const volume = extent[0] * extent[1] * extent[2];
+  if (volume / spacing ** 3 > maxPoints) spacing = Math.cbrt(volume / maxPoints);
+  const size = extent.map(length => Math.ceil(length / spacing) + 1);
+  return { min, size, spacing, values: new Float32Array(size[0] * size[1] * size[2]) };
+}
+
+// Triangles of the level set of a grid, the side with values >= level inside:
+// { positions, normals, indices } with positions in Å and normals pointing out (down the gradient)
+function extractIsosurface(grid, level) {
+  const { min, size, spacing, values } = grid;
+  const pointIndex = (i, j, k) => (k * size[1] + j) * size[0] + i;
+  const pointOf = index => [index % size[0], Math.floor(index / size[0]) % size[1], Math.floor(index / (size[0] * size[1]))];
+
+  // Minus the gradient at a grid point, by central differences (one-sided at the edges)
+  const getOutward = index => {
+    const point = pointOf(index);
+    return [0, 1, 2].map(axis => {
+      const lower = point.slice();
+      const upper = point.slice();
+      lower[axis] = Math.max(0, point[axis] - 1);
+      upper[axis] = Math.min(size[axis] - 1, point[axis] + 1);
+      return values[pointIndex(...lower)] - values[pointIndex(...upper)];
+    });
+  };
+
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  const edgeVertices = new Map(); // Vertex index by the grid points of its edge
+  const getVertex = (a, b) => {
+    const key = a < b ? a * values.length + b : b * values.length + a;
+    if (edgeVertices.has(key)) return edgeVertices.get(key);
+
+    const t = (level - values[a]) / (values[b] - values[a]);
+    const start = pointOf(a);
+    const end = pointOf(b);
+    const outwardStart = getOutward(a);
+    const outwardEnd = getOutward(b);
+    const normal = outwardStart.map((value, axis) => value + t * (outwardEnd[axis] - value));
+    const length = Math.hypot(...normal) || 1;
+
+    const vertex = positions.length / 3;
+    start.forEach((value, axis) => positions.push(min[axis] + (value + t * (end[axis] - value)) * spacing));
+    normal.forEach(value => normals.push(value / length));
+    edgeVertices.set(key, vertex);
+    return vertex;
+  };
+  // Wind each triangle so that its face normal points outwards
+  const addTriangle = (a, b, c) => {
+    const p = [a, b, c].map(vertex => positions.slice(vertex * 3, vertex * 3 + 3));
+    const u = [0, 1, 2].map(axis => p[1][axis] - p[0][axis]);
+    const v = [0, 1, 2].map(axis => p[2][axis] - p[0][axis]);
+    const face = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const outward = [0, 1, 2].map(axis => normals[a * 3 + axis] + normals[b * 3 + axis] + normals[c * 3 + axis]);
+    if (face[0] * outward[0] + face[1] * outward[1] + face[2] * outward[2] < 0) indices.push(a, c, b);
+    else indices.push(a, b, c);
+  };
+
+  for (let k = 0; k < size[2] - 1; k++) {
+    for (let j = 0; j < size[1] - 1; j++) {
+      for (let i = 0; i < size[0] - 1; i++) {
+        const corners = CUBE_CORNERS.map(([di, dj, dk]) => pointIndex(i + di, j + dj, k + dk));
+        const insideCount = corners.filter(point => values[point] >= level).length;
+        if (insideCount === 0 || insideCount === 8) continue;
+        CUBE_TETRAHEDRA.forEach(tetrahedron => {
+          const points = tetrahedron.map(corner => corners[corner]);
+          const inside = points.filter(point => values[point] >= level);
+          const outside = points.filter(point => values[point] < level);
+          if (inside.length === 0 || outside.length === 0) return;
+
+          if (inside.length === 1 || outside.length === 1) {
+            const [apex, others] = inside.length === 1 ? [inside[0], outside] : [outside[0], inside];
+            addTriangle(getVertex(apex, others[0]), getVertex(apex, others[1]), getVertex(apex, others[2]));
+          } else {
+            const quad = [
+              getVertex(inside[0], outside[0]),
+              getVertex(inside[0], outside[1]),
+              getVertex(inside[1], outside[1]),
+              getVertex(inside[1], outside[0]),
+            ];
+            addTriangle(quad[0], quad[1], quad[2]);
+            addTriangle(quad[0], quad[2], quad[3]);
+          }
+        });
+      }
+    }
+  }
+
+  return { positions, normals, indices };
+}
+
+// Surface of a molecule record as indexed triangles in Å:
+// { positions, normals, indices, potentials, colors, range } (flat arrays, three values per vertex for
+// positions, normals and colors). options override SURFACE_SETTINGS and can give charges (defaults to
+// calculatePartialCharges) and range, a colour scale as returned by getPotentialRange (defaults to the
+// surface's own), e.g. to colour several surfaces on one scale.
+function buildMolecularSurface(record, options = {}) {
+  const settings = { ...SURFACE_SETTINGS, ...options };
+  const charges = options.charges || calculatePartialCharges(record);
+  const atoms = record.atoms.map(atom => ({ position: [atom.x, atom.y, atom.z], radius: getSurfaceRadius(atom) }));
+  if (atoms.length === 0) {
+    throw new Error(`${record.name || "Molecule"} has no atoms to build a surface around`);
+  }
+
+  // Gaussians fall below e^-6 of their surface value at this multiple of the radius
+  const reach = Math.sqrt(1 + 6 / settings.sharpness);
+  const maxRadius = Math.max(...atoms.map(atom => atom.radius));
+  const grid = createSurfaceGrid(
+    [0, 1, 2].map(axis => Math.min(...atoms.map(atom => atom.position[axis])) - maxRadius * 1.2),
+    [0, 1, 2].map(axis => Math.max(...atoms.map(atom => atom.position[axis])) + maxRadius * 1.2),
+    settings.spacing,
+    settings.maxPoints
+  );
+  const { min, size, spacing, values } = grid;
+
+  // Sum of Gaussians, each added to the grid points within its reach
+  atoms.forEach(({ position, radius }) => {
+    const from = position.map((value, axis) => Math.max(0, Math.floor((value - radius * reach - min[axis]) / spacing)));
+    const to = position.map((value, axis) => Math.min(size[axis] - 1, Math.ceil((value + radius * reach - min[axis]) / spacing)));
+    for (let k = from[2]; k <= to[2]; k++) {
+      const dz = min[2] + k * spacing - position[2];
+      for (let j = from[1]; j <= to[1]; j++) {
+        const dy = min[1] + j * spacing - position[1];
+        for (let i = from[0]; i <= to[0]; i++) {
+          const dx = min[0] + i * spacing - position[0];
+          const ratio = (dx * dx + dy * dy + dz * dz) / (radius * radius);
+          if (ratio < reach * reach) values[(k * size[1] + j) * size[0] + i] += Math.exp(-settings.sharpness * (ratio - 1));
+        }
+      }
+    }
+  });
+
+  const surface = extractIsosurface(grid, 1);
+  const potentials = getElectrostaticPotentials(record, charges, surface.positions);
+  const range = settings.range || getPotentialRange(potentials);
+  const colors = [];
+  potentials.forEach(potential => colors.push(...getPotentialColor(potential, range)));
+
+  return { ...surface, potentials, colors, range, charges, spacing };
+}
@@ -0,0 +1,115 @@
+// Validate the geometry of the shipped structures against the reference values of static/geometry.js
+// Usage: node tools/check-geometry.js [--verbose]
+// Loads the browser scripts into a sandbox (no 3D scene needed), then checks every .mol file in
+// static/structures, the file and SMILES structures of the pathways, the amines and their products,
+// and a few SMILES builds with known experimental geometry. Exits with 1 if any molecule fails.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+const SCRIPTS = ["static/elements.js", "static/molfile.js", "static/smiles.js", "static/amines.js", "static/geometry.js"];
+
+// Small molecules whose measured structures are in the reference tables
+const EXTRA_SMILES = {
+  cyclopropane: "C1CC1",
+  benzene: "c1ccccc1",
+  pyrrole: "c1cc[nH]c1",
+  "1,3-butadiene": "C=CC=C",
+  "acetic acid": "CC(=O)O",
+  acetate: "CC(=O)[O-]",
+  formamide: "NC=O",
+  "nitrous acid": "ON=O",
+  "nitrite ion": "N(=O)[O-]",
+  methylamine: "CN",
+  methanol: "CO",
+};
+
+function loadScripts() {
+  const context = vm.createContext({ console });
+  SCRIPTS.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  });
+  return context;
+}
+
+// [{ name, build: () => record, measured }] for everything there is to check
+function getTestCases(context) {
+  const cases = [];
+  const addFile = (name, file, measured = null) => cases.push({
+    name,
+    build: () => context.parseMolfile(fs.readFileSync(path.join(ROOT, file), "utf8")),
+    measured,
+  });
+  const addSmiles = (name, smiles) => cases.push({ name, build: () => context.smilesToRecord(smiles) });
+
+  // Structure files with the measured geometry their pathway entry gives them
+  const measuredByFile = {};
+  const pathwayDir = path.join(ROOT, "static/pathways");
+  fs.readdirSync(pathwayDir)
+    .filter(file => file.endsWith(".json"))
+    .forEach(file => {
+      const pathway = JSON.parse(fs.readFileSync(path.join(pathwayDir, file), "utf8"));
+      Object.entries(pathway.structures || {}).forEach(([key, source]) => {
+        if (source.smiles) addSmiles(`${pathway.id}: ${key}`, source.smiles);
+        if (source.file && source.geometry) measuredByFile[source.file] = source.geometry;
+      });
+    });
+
+  const structureDir = path.join(ROOT, "static/structures");
+  fs.readdirSync(structureDir)
+    .filter(file => file.endsWith(".mol"))
+    .forEach(file => addFile(file, `static/structures/${file}`, measuredByFile[`static/structures/${file}`]));
+
+  Object.entries(vm.runInContext("AMINES", context)).forEach(([key, amine]) => {
+    addSmiles(key, amine.amine);
+    addSmiles(`${key}: ${amine.product.abbreviation || amine.product.name}`, amine.product.smiles);
+    const activation = amine.product.activation;
+    if (activation) {
+      addSmiles(`${key}: α-hydroxy`, activation.hydroxy.smiles);
+      addSmiles(`${key}: diazonium`, activation.diazonium.smiles);
+    }
+  });
+
+  Object.entries(EXTRA_SMILES).forEach(([name, smiles]) => addSmiles(name, smiles));
+  return cases;
+}
+
+function formatFailure(item, unit, digits) {
+  return `    ${item.label} ${item.type}: ${(item.length !== undefined ? item.length : item.angle).toFixed(digits)}${unit}, ` +
+    `reference ${item.reference}${unit} (${item.source})`;
+}
+
+function main() {
+  const verbose = process.argv.includes("--verbose");
+  const context = loadScripts();
+  const tolerances = vm.runInContext("GEOMETRY_TOLERANCES", context);
+  let failures = 0;
+
+  getTestCases(context).forEach(({ name, build, measured }) => {
+    let report;
+    try {
+      report = context.validateGeometry(build(), tolerances, measured || null);
+    } catch (error) {
+      failures++;
+      console.log(`ERROR ${name}: ${error.message}`);
+      return;
+    }
+
+    if (!report.valid) failures++;
+    console.log(`${report.valid ? "ok   " : "FAIL "} ${name}: max ${report.maxLengthDeviation.toFixed(3)} Å, ` +
+      `${report.maxAngleDeviation.toFixed(1)}°`);
+    report.bonds
+      .filter(bond => verbose ? bond.reference !== null : !bond.valid)
+      .forEach(bond => console.log(formatFailure(bond, " Å", 3)));
+    report.angles
+      .filter(angle => verbose || !angle.valid)
+      .forEach(angle => console.log(formatFailure(angle, "°", 1)));
+  });
+
+  console.log(failures === 0 ? "All structures pass" : `${failures} structure(s) outside the tolerances`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main();